@@ -3,14 +3,87 @@
  * All data retrieval and analysis is executed in the browser
  */
 
-import { YouTrackClient } from './services/youtrackClient.js';
-import { DataCollector } from './services/dataCollector.js';
+import { YouTrackClient, YouTrackApiError } from './services/youtrackClient.js';
+import { DataCollector, COMMENT_STRATEGIES } from './services/dataCollector.js';
+import { ActivityCollector } from './services/activityCollector.js';
 import { StatisticsCalculator } from './services/statisticsCalculator.js';
+import { HistoryCalculator, HISTORY_SERIES } from './services/historyCalculator.js';
+import { achievementRegistry } from './services/achievements.js';
+import { TeamStatisticsCalculator } from './services/teamStatisticsCalculator.js';
+import { ProjectStatisticsCalculator } from './services/projectStatisticsCalculator.js';
+import { ResponseCache, formatBytes } from './services/responseCache.js';
+import { DatasetStore } from './services/datasetStore.js';
+import { createPeriod, nextPeriodLabel, periodBounds, previousPeriod } from './services/period.js';
+import { browserTimeZone, isValidTimeZone, supportedTimeZones } from './services/timeZone.js';
+import { attachTooltips, barChart, chartLegend, radialClockChart, stackedBarChart } from './services/charts.js';
+import { CARD_FORMATS, buildStoryCards, canvasToPng, drawStoryCard } from './services/storyCards.js';
+import { createZip } from './services/zipArchive.js';
+import { CSV_EXPORTS, exportCsv, exportDatasetJson, exportFileName, exportStatisticsJson, parseDatasetExport } from './services/dataExport.js';
+import { NEVER_SHARED, SHARE_FRAGMENT_PREFIX, buildSharePayload, decodeSharePayload, describeSharePayload, encodeSharePayload, sharePageHtml, shareUrl } from './services/sharedWrapped.js';
+
+/**
+ * Optional file with extra achievement definitions (see README)
+ */
+const CUSTOM_ACHIEVEMENTS_URL = 'achievements.json';
+
+/**
+ * How each achievement comparator reads in a tier's rule
+ */
+const COMPARATOR_TEXT = {
+  '>=': 'at least',
+  '>': 'more than',
+  '<=': 'at most',
+  '<': 'less than',
+  '==': 'exactly'
+};
+
+/**
+ * Activity types the activity timeline is stacked by, bottom segment first
+ */
+const ACTIVITY_SERIES = [
+  { key: 'issue', label: 'Issues', color: '#6366f1' },
+  { key: 'comment', label: 'Comments', color: '#ec4899' },
+  { key: 'article', label: 'Articles', color: '#f59e0b' },
+  { key: 'activity', label: 'Other updates', color: '#14b8a6' }
+];
+
+const DAY_SHORT_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Counters of the summary slide, as [element id, summary key]
+ */
+const SUMMARY_COUNTERS = [
+  ['stat-issues-created', 'totalIssuesCreated'],
+  ['stat-issues-resolved', 'totalIssuesResolved'],
+  ['stat-comments', 'totalComments'],
+  ['stat-articles', 'totalArticles'],
+  ['total-contributions', 'totalContributions']
+];
+
+/**
+ * Configuration while showing a shared Wrapped: nothing links to or loads from YouTrack
+ */
+const SHARED_CONFIG = { baseUrl: null, token: null, offline: true, shared: true };
+
+/**
+ * Controls only the Wrapped's owner can use, left out of shared pages
+ */
+const OWNER_ONLY_CONTROLS = '#back-to-history, .share-section, #report-button, #export-section, .story-cards, #share-page';
 
 class YouTrackWrapped {
   constructor() {
     this.data = null;
+    this.rawData = null;
+    this.history = null;
     this.config = null;
+    this.abortController = null;
+    this.storyCards = [];
+    this.storyCardsArchiveName = null;
+    this.sharePayload = null;
+    this.responseCache = new ResponseCache();
+    this.datasetStore = new DatasetStore();
+    // Document the slides are rendered into (see renderSharedSlides)
+    this.root = document;
     console.log('[YouTrackWrapped] Initializing application...');
     this.init();
   }
@@ -18,7 +91,31 @@ class YouTrackWrapped {
   init() {
     console.log('[YouTrackWrapped] Setting up login form');
     this.setupLoginForm();
+    this.setupImport();
+    this.setupCancelButton();
+    this.setupCacheControls();
+    this.setupHistoryScreen();
+    this.setupShareButton();
+    this.setupStoryCards();
+    this.setupReport();
+    this.setupExport();
+    this.setupSharePage();
+    this.setupAchievementDetails();
+    attachTooltips(document.getElementById('time-stats'));
     this.loadSavedConfig();
+    this.loadCustomAchievements();
+    this.openSharedWrapped();
+  }
+
+  /**
+   * Add the organization's own badges from achievements.json next to the app, if there is one
+   */
+  async loadCustomAchievements() {
+    try {
+      await achievementRegistry.loadFromUrl(CUSTOM_ACHIEVEMENTS_URL);
+    } catch (error) {
+      console.warn('[YouTrackWrapped] Could not load custom achievements:', error.message);
+    }
   }
 
   /**
@@ -33,8 +130,18 @@ class YouTrackWrapped {
         const config = JSON.parse(saved);
         document.getElementById('youtrack-url').value = config.baseUrl || '';
         document.getElementById('youtrack-token').value = config.token || '';
-        document.getElementById('year').value = config.year || 2025;
+        this.fillPeriodForm(config.period || { type: 'year', year: config.year });
+        document.getElementById('wrapped-mode').value = config.team ? 'team' : config.project ? 'project' : 'me';
+        if (config.project) this.fillProjectOptions([{ shortName: config.project, name: config.project }], config.project);
+        document.getElementById('team-members').value = config.team?.logins?.join(', ') || '';
+        document.getElementById('team-group').value = config.team?.group || '';
+        document.getElementById('team-name').value = config.team?.name || '';
+        this.updateModeFields();
         document.getElementById('article-projects').value = config.articleProjects || '';
+        document.getElementById('breakdown-fields').value = config.breakdownFields || '';
+        document.getElementById('use-cache').checked = config.useCache ?? true;
+        document.getElementById('incremental-refresh').checked = config.incremental ?? false;
+        document.getElementById('compare-previous').checked = config.compare ?? false;
 
         // If we have saved credentials, the user previously chose to remember them
         if (config.baseUrl && config.token) {
@@ -93,6 +200,196 @@ class YouTrackWrapped {
     if (!yearInput.value) {
       yearInput.value = 2025;
     }
+
+    document.getElementById('period-type').addEventListener('change', () => this.updatePeriodFields());
+    this.updatePeriodFields();
+
+    document.getElementById('wrapped-mode').addEventListener('change', () => this.updateModeFields());
+    this.updateModeFields();
+
+    document.getElementById('load-projects-button').addEventListener('click', () => this.loadProjectOptions());
+
+    document.getElementById('time-zone-options').innerHTML = supportedTimeZones()
+      .map(timeZone => `<option value="${timeZone}">`)
+      .join('');
+  }
+
+  /**
+   * Show only the inputs the selected period type needs
+   */
+  updatePeriodFields() {
+    const type = document.getElementById('period-type').value;
+    document.querySelectorAll('#login-form [data-period]').forEach(el => {
+      el.style.display = el.dataset.period.split(' ').includes(type) ? '' : 'none';
+    });
+  }
+
+  /**
+   * Show only the inputs the selected Wrapped mode (me, team or project) needs
+   */
+  updateModeFields() {
+    const mode = document.getElementById('wrapped-mode').value;
+    document.querySelectorAll('#login-form [data-mode]').forEach(el => {
+      el.style.display = el.dataset.mode.split(' ').includes(mode) ? '' : 'none';
+    });
+  }
+
+  /**
+   * Fill the project picker with the projects the token can access
+   */
+  async loadProjectOptions() {
+    const baseUrl = document.getElementById('youtrack-url').value.trim();
+    const token = document.getElementById('youtrack-token').value.trim();
+    const hint = document.getElementById('project-hint');
+
+    if (!baseUrl || !token) {
+      this.showLoginError('Enter your YouTrack URL and API token to load projects');
+      return;
+    }
+
+    hint.textContent = 'Loading projects...';
+    try {
+      const client = new YouTrackClient(baseUrl, token, {
+        cache: this.responseCache.isAvailable ? this.responseCache : null
+      });
+      const projects = await client.getProjects();
+      projects.sort((a, b) => a.name.localeCompare(b.name));
+      this.fillProjectOptions(projects, document.getElementById('project-select').value);
+      hint.textContent = `${projects.length} projects available.`;
+    } catch (error) {
+      console.error('[YouTrackWrapped] Could not load projects:', error);
+      hint.textContent = 'Could not load projects.';
+    }
+  }
+
+  /**
+   * Replace the project picker's options, keeping the selected project when present
+   */
+  fillProjectOptions(projects, selected) {
+    const select = document.getElementById('project-select');
+    select.innerHTML = projects
+      .map(project => `<option value="${escapeHtml(project.shortName)}">${escapeHtml(project.name)} (${escapeHtml(project.shortName)})</option>`)
+      .join('');
+    if (selected && projects.some(project => project.shortName === selected)) {
+      select.value = selected;
+    }
+  }
+
+  /**
+   * Read the team inputs from the login form
+   * @returns {object|null} Options for DataCollector.collectTeamData(), or null for a personal Wrapped
+   */
+  readTeamForm() {
+    if (document.getElementById('wrapped-mode').value !== 'team') return null;
+
+    const logins = document.getElementById('team-members').value
+      .split(',')
+      .map(login => login.trim())
+      .filter(login => login);
+    const group = document.getElementById('team-group').value.trim();
+    const name = document.getElementById('team-name').value.trim();
+    return { name, logins, group: logins.length > 0 ? '' : group };
+  }
+
+  /**
+   * Read the period inputs from the login form
+   * @returns {object} Options for createPeriod()
+   */
+  readPeriodForm() {
+    return {
+      type: document.getElementById('period-type').value,
+      year: parseInt(document.getElementById('year').value, 10),
+      quarter: parseInt(document.getElementById('quarter').value, 10),
+      half: parseInt(document.getElementById('half').value, 10),
+      fiscalStartMonth: parseInt(document.getElementById('fiscal-start-month').value, 10),
+      startDate: document.getElementById('period-start').value,
+      endDate: document.getElementById('period-end').value,
+      label: document.getElementById('period-label').value.trim(),
+      timeZone: document.getElementById('time-zone').value.trim()
+    };
+  }
+
+  /**
+   * Restore the period inputs from saved options
+   */
+  fillPeriodForm(options) {
+    document.getElementById('period-type').value = options.type || 'year';
+    document.getElementById('year').value = options.year || 2025;
+    if (options.quarter) document.getElementById('quarter').value = options.quarter;
+    if (options.half) document.getElementById('half').value = options.half;
+    if (options.fiscalStartMonth) document.getElementById('fiscal-start-month').value = options.fiscalStartMonth;
+    document.getElementById('period-start').value = options.startDate || '';
+    document.getElementById('period-end').value = options.endDate || '';
+    document.getElementById('period-label').value = options.label || '';
+    document.getElementById('time-zone').value = options.timeZone || '';
+    this.updatePeriodFields();
+  }
+
+  /**
+   * Set up cache size reporting and the purge action on the login form
+   */
+  setupCacheControls() {
+    const clearButton = document.getElementById('clear-cache-button');
+
+    if (!this.responseCache.isAvailable) {
+      document.getElementById('use-cache').disabled = true;
+      document.getElementById('incremental-refresh').disabled = true;
+      document.getElementById('cache-info').textContent = 'Caching is not supported in this browser';
+      clearButton.style.display = 'none';
+      return;
+    }
+
+    clearButton.addEventListener('click', async () => {
+      try {
+        await this.responseCache.clear();
+        await this.datasetStore.clear();
+      } catch (error) {
+        console.warn('[YouTrackWrapped] Could not clear cache:', error);
+      }
+      await this.updateCacheInfo();
+    });
+
+    this.updateCacheInfo();
+  }
+
+  /**
+   * Show how much data is currently cached
+   */
+  async updateCacheInfo() {
+    const info = document.getElementById('cache-info');
+    try {
+      const stats = await this.responseCache.getStats();
+      info.textContent = stats.entries > 0
+        ? `${formatBytes(stats.bytes)} cached in ${stats.entries} response${stats.entries === 1 ? '' : 's'}`
+        : 'Cache is empty';
+    } catch (error) {
+      console.warn('[YouTrackWrapped] Could not read cache stats:', error);
+      info.textContent = 'Cache size unavailable';
+    }
+  }
+
+  /**
+   * Set up the cancel button on the loading screen
+   */
+  setupCancelButton() {
+    const cancelButton = document.getElementById('cancel-button');
+    cancelButton.addEventListener('click', () => {
+      if (this.abortController) {
+        console.log('[YouTrackWrapped] Cancelling data collection');
+        cancelButton.disabled = true;
+        this.updateProgress('Cancelling...');
+        this.abortController.abort();
+      }
+    });
+  }
+
+  /**
+   * Return to the login screen after a cancelled collection
+   */
+  showLoginScreen() {
+    document.getElementById('loading').style.display = 'none';
+    document.getElementById('login-screen').style.display = 'flex';
+    this.updateCacheInfo();
   }
 
   /**
@@ -101,39 +398,239 @@ class YouTrackWrapped {
   async handleLogin() {
     const baseUrl = document.getElementById('youtrack-url').value.trim();
     const token = document.getElementById('youtrack-token').value.trim();
-    const year = parseInt(document.getElementById('year').value, 10);
+    const periodOptions = this.readPeriodForm();
+    const team = this.readTeamForm();
+    const project = document.getElementById('wrapped-mode').value === 'project'
+      ? document.getElementById('project-select').value
+      : null;
     const articleProjectsInput = document.getElementById('article-projects').value.trim();
     const rememberCredentials = document.getElementById('remember-credentials').checked;
+    const useCache = document.getElementById('use-cache').checked;
+    const incremental = document.getElementById('incremental-refresh').checked;
+    const compare = document.getElementById('compare-previous').checked;
     const articleProjects = articleProjectsInput
       ? articleProjectsInput.split(',').map(p => p.trim()).filter(p => p)
       : [];
+    const breakdownFieldsInput = document.getElementById('breakdown-fields').value.trim();
 
-    if (!baseUrl || !token || !year) {
+    if (!baseUrl || !token || (periodOptions.type !== 'custom' && !periodOptions.year)) {
       this.showLoginError('Please fill in all required fields');
       return;
     }
 
-    this.config = { baseUrl, token, year, articleProjects: articleProjectsInput };
+    if (project === '') {
+      this.showLoginError('Load your projects and pick the project to wrap');
+      return;
+    }
+
+    if (team && team.logins.length === 0 && !team.group) {
+      this.showLoginError('Enter the team members\' logins or a YouTrack group');
+      return;
+    }
+
+    if (periodOptions.timeZone && !isValidTimeZone(periodOptions.timeZone)) {
+      this.showLoginError(`Unknown time zone: ${periodOptions.timeZone}`);
+      return;
+    }
+
+    let period;
+    try {
+      period = createPeriod(periodOptions);
+    } catch (error) {
+      this.showLoginError(error.message);
+      return;
+    }
+
+    this.config = {
+      baseUrl,
+      token,
+      period: periodOptions,
+      team,
+      project,
+      articleProjects: articleProjectsInput,
+      breakdownFields: breakdownFieldsInput,
+      useCache,
+      incremental,
+      compare
+    };
 
     // Hide login, show loading
     document.getElementById('login-screen').style.display = 'none';
     document.getElementById('loading').style.display = 'flex';
+    document.getElementById('cancel-button').disabled = false;
+    document.getElementById('login-error').style.display = 'none';
 
     try {
-      await this.loadData(baseUrl, token, year, articleProjects);
+      await this.loadData(baseUrl, token, period, articleProjects, { useCache, incremental, team, project, compare });
       this.saveConfig(this.config, rememberCredentials);
       this.hideLoading();
       this.showWrapped();
       this.renderAll();
       this.setupScrollAnimations();
-      this.setupShareButton();
       console.log('[YouTrackWrapped] Init completed successfully');
     } catch (error) {
+      if (error instanceof YouTrackApiError && error.isAborted) {
+        console.log('[YouTrackWrapped] Data collection cancelled by user');
+        this.showLoginScreen();
+        return;
+      }
       console.error('[YouTrackWrapped] Init failed with error:', error);
       this.showError(error.message);
     }
   }
 
+  /**
+   * Handle the "View my history" button: collect every year the user was active in
+   */
+  async handleHistory() {
+    const baseUrl = document.getElementById('youtrack-url').value.trim();
+    const token = document.getElementById('youtrack-token').value.trim();
+    const { timeZone } = this.readPeriodForm();
+    const articleProjectsInput = document.getElementById('article-projects').value.trim();
+    const rememberCredentials = document.getElementById('remember-credentials').checked;
+    const useCache = document.getElementById('use-cache').checked;
+    const articleProjects = articleProjectsInput
+      ? articleProjectsInput.split(',').map(p => p.trim()).filter(p => p)
+      : [];
+
+    if (!baseUrl || !token) {
+      this.showLoginError('Please enter your YouTrack URL and token');
+      return;
+    }
+
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      this.showLoginError(`Unknown time zone: ${timeZone}`);
+      return;
+    }
+
+    this.config = {
+      baseUrl,
+      token,
+      period: this.readPeriodForm(),
+      team: null,
+      project: null,
+      articleProjects: articleProjectsInput,
+      breakdownFields: document.getElementById('breakdown-fields').value.trim(),
+      useCache,
+      incremental: document.getElementById('incremental-refresh').checked,
+      compare: document.getElementById('compare-previous').checked
+    };
+
+    document.getElementById('login-screen').style.display = 'none';
+    document.getElementById('loading').style.display = 'flex';
+    document.getElementById('cancel-button').disabled = false;
+    document.getElementById('login-error').style.display = 'none';
+
+    try {
+      await this.loadHistory(baseUrl, token, articleProjects, { useCache, timeZone });
+      this.saveConfig(this.config, rememberCredentials);
+      this.hideLoading();
+      this.showHistory();
+      console.log('[YouTrackWrapped] History loaded successfully');
+    } catch (error) {
+      if (error instanceof YouTrackApiError && error.isAborted) {
+        console.log('[YouTrackWrapped] History collection cancelled by user');
+        this.showLoginScreen();
+        return;
+      }
+      console.error('[YouTrackWrapped] History failed with error:', error);
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * Let a dataset export be dropped on the login screen (or picked with the
+   * file input) to render its Wrapped without connecting to YouTrack
+   */
+  setupImport() {
+    const screen = document.getElementById('login-screen');
+    const dropZone = document.getElementById('import-drop');
+    const fileInput = document.getElementById('import-file');
+
+    screen.addEventListener('dragover', (event) => {
+      if (!event.dataTransfer.types.includes('Files')) return;
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+      dropZone.classList.add('dragging');
+    });
+    screen.addEventListener('dragleave', (event) => {
+      if (!screen.contains(event.relatedTarget)) dropZone.classList.remove('dragging');
+    });
+    screen.addEventListener('drop', (event) => {
+      event.preventDefault();
+      dropZone.classList.remove('dragging');
+      const [file] = event.dataTransfer.files;
+      if (file) this.handleImport(file);
+    });
+
+    fileInput.addEventListener('change', () => {
+      const [file] = fileInput.files;
+      fileInput.value = '';
+      if (file) this.handleImport(file);
+    });
+  }
+
+  /**
+   * Show the Wrapped of an exported dataset, offline: nothing is fetched, and
+   * the statistics are calculated with this version of the app
+   * @param {File} file - A dataset export (see exportDatasetJson)
+   */
+  async handleImport(file) {
+    console.log(`[YouTrackWrapped] Importing ${file.name}`);
+    document.getElementById('login-error').style.display = 'none';
+
+    let imported;
+    try {
+      imported = parseDatasetExport(await file.text());
+    } catch (error) {
+      console.warn('[YouTrackWrapped] Import failed:', error.message);
+      this.showLoginError(`${file.name}: ${error.message}`);
+      return;
+    }
+
+    const { kind, dataset } = imported;
+    this.config = {
+      baseUrl: null,
+      token: null,
+      offline: true,
+      period: dataset.period,
+      team: kind === 'team' ? { name: dataset.team.name, group: dataset.team.group || null, logins: [] } : null,
+      project: kind === 'project' ? dataset.project.shortName : null,
+      articleProjects: '',
+      breakdownFields: document.getElementById('breakdown-fields').value.trim(),
+      useCache: false,
+      incremental: false,
+      compare: false
+    };
+
+    try {
+      const options = { breakdownFields: this.getBreakdownFields() };
+      let calculator;
+      if (kind === 'project') {
+        calculator = new ProjectStatisticsCalculator(dataset, options);
+      } else if (kind === 'team') {
+        calculator = new TeamStatisticsCalculator(dataset, options);
+      } else {
+        calculator = new StatisticsCalculator(dataset, options);
+      }
+      this.data = calculator.calculateAll();
+      this.rawData = dataset;
+      this.history = null;
+
+      document.getElementById('login-screen').style.display = 'none';
+      this.showWrapped();
+      this.renderAll();
+      this.setupScrollAnimations();
+    } catch (error) {
+      console.error('[YouTrackWrapped] Could not show the import:', error);
+      document.getElementById('wrapped').style.display = 'none';
+      this.showLoginScreen();
+      this.showLoginError(`${file.name}: this file could not be shown as a Wrapped (${error.message})`);
+      return;
+    }
+    console.log(`[YouTrackWrapped] Imported ${kind} dataset for ${dataset.period.label}`);
+  }
+
   /**
    * Show error on login form
    */
@@ -155,26 +652,57 @@ class YouTrackWrapped {
 
   /**
    * Load data directly from YouTrack API
+   * @param {object} period - Period created by createPeriod()
+   * @param {object} options
+   * @param {boolean} options.useCache - Serve requests from the response cache when possible
+   * @param {boolean} options.incremental - Only fetch changes since the stored dataset was collected
+   * @param {object} options.team - Team to build a Team Wrapped for (see readTeamForm)
+   * @param {string} options.project - Short name of the project to build a Project Wrapped for
+   * @param {boolean} options.compare - Also collect the preceding period and compare against it
    */
-  async loadData(baseUrl, token, year, articleProjects) {
-    console.log(`[YouTrackWrapped] Loading data for year ${year} from ${baseUrl}`);
+  async loadData(baseUrl, token, period, articleProjects, { useCache = true, incremental = false, team = null, project = null, compare = false } = {}) {
+    console.log(`[YouTrackWrapped] Loading data for ${period.label} from ${baseUrl}`);
     const startTime = performance.now();
 
     try {
-      // Create the client and collector
-      this.updateProgress('Connecting to YouTrack...');
-      const client = new YouTrackClient(baseUrl, token);
-      const collector = new DataCollector(client);
-
-      // Collect all data
-      const rawData = await collector.collectYearData(year, articleProjects, (progress) => {
-        this.updateProgress(progress);
-      });
+      const { client, collector } = this.connect(baseUrl, token, useCache);
+
+      // Count days in the chosen time zone, falling back to the YouTrack profile's
+      if (!period.timeZone) {
+        period = { ...period, timeZone: await this.resolveTimeZone(client) };
+      }
+      console.log(`[YouTrackWrapped] Using time zone ${period.timeZone}`);
+
+      const onProgress = (progress) => this.updateProgress(progress);
+      const sources = { team, project, incremental };
+      const rawData = await this.collectDataset(client, collector, period, articleProjects, sources, onProgress);
+
+      // The preceding period of the same kind, for year-over-year style comparisons
+      let previousData = null;
+      if (compare) {
+        const before = previousPeriod(period);
+        previousData = await this.collectDataset(client, collector, before, articleProjects, sources,
+          (progress) => onProgress(`${before.label}: ${progress}`));
+      }
+
+      // Developer option: ?benchmark compares the network cost of every comment strategy
+      if (new URLSearchParams(window.location.search).has('benchmark')) {
+        await collector.benchmarkCommentStrategies(period, onProgress);
+      }
 
       // Calculate statistics
       this.updateProgress('Calculating your statistics...');
-      const calculator = new StatisticsCalculator(rawData);
+      const options = { previousData, breakdownFields: this.getBreakdownFields() };
+      let calculator;
+      if (project) {
+        calculator = new ProjectStatisticsCalculator(rawData, options);
+      } else if (team) {
+        calculator = new TeamStatisticsCalculator(rawData, options);
+      } else {
+        calculator = new StatisticsCalculator(rawData, options);
+      }
       this.data = calculator.calculateAll();
+      this.rawData = rawData;
 
       const duration = (performance.now() - startTime).toFixed(2);
       console.log(`[YouTrackWrapped] Data loaded and processed in ${duration}ms`);
@@ -182,24 +710,150 @@ class YouTrackWrapped {
     } catch (error) {
       const duration = (performance.now() - startTime).toFixed(2);
       console.error(`[YouTrackWrapped] Failed after ${duration}ms:`, error);
+      throw explainError(error);
+    } finally {
+      this.abortController = null;
+    }
+  }
+
+  /**
+   * Custom fields the configuration breaks issues down by; the calculator's
+   * defaults when none are configured
+   * @returns {string[]|undefined}
+   */
+  getBreakdownFields() {
+    const fields = (this.config?.breakdownFields || '').split(',').map(f => f.trim()).filter(f => f);
+    return fields.length > 0 ? fields : undefined;
+  }
+
+  /**
+   * Create a cancellable YouTrack client and a data collector on top of it
+   */
+  connect(baseUrl, token, useCache) {
+    this.updateProgress('Connecting to YouTrack...');
+    this.abortController = new AbortController();
+    const client = new YouTrackClient(baseUrl, token, {
+      signal: this.abortController.signal,
+      cache: this.responseCache.isAvailable ? this.responseCache : null,
+      useCache
+    });
+
+    // Developer option: ?comments=<strategy> picks how comments are collected
+    const params = new URLSearchParams(window.location.search);
+    const commentStrategy = COMMENT_STRATEGIES.includes(params.get('comments'))
+      ? params.get('comments')
+      : undefined;
+    const collector = new DataCollector(client, {
+      commentStrategy,
+      activityCollector: new ActivityCollector(client)
+    });
 
-      // Provide more helpful error messages
-      if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
-        throw new Error(
-          'Could not connect to YouTrack. Please check:\n' +
-          '1. The YouTrack URL is correct\n' +
-          '2. Your YouTrack instance has CORS enabled for this origin\n' +
-          '3. You have network connectivity'
-        );
+    return { client, collector };
+  }
+
+  /**
+   * Collect one dataset per calendar year the user has been active in
+   * Years that were over when their stored dataset was collected are not fetched again
+   * @param {object} options
+   * @param {boolean} options.useCache - Serve requests from the response cache when possible
+   * @param {string} options.timeZone - Time zone years are counted in (defaults to the YouTrack profile's)
+   */
+  async loadHistory(baseUrl, token, articleProjects, { useCache = true, timeZone } = {}) {
+    console.log(`[YouTrackWrapped] Loading history from ${baseUrl}`);
+    const startTime = performance.now();
+
+    try {
+      const { client, collector } = this.connect(baseUrl, token, useCache);
+      timeZone = timeZone || await this.resolveTimeZone(client);
+
+      this.updateProgress('Fetching your user information...');
+      const user = await client.getCurrentUser();
+      this.updateProgress('Finding your first activity...');
+      const years = await collector.findActiveYears(user, timeZone);
+      if (years.length === 0) {
+        throw new Error('No activity found: you have not reported issues or left comments yet.');
       }
-      if (error.message.includes('401') || error.message.includes('403')) {
-        throw new Error(
-          'Authentication failed. Please check your API token.\n' +
-          'Make sure the token has the required permissions.'
-        );
+
+      const scope = await client.getCacheScope();
+      const datasets = [];
+      for (const year of years) {
+        const period = createPeriod({ type: 'year', year, timeZone });
+        const stored = await this.datasetStore.load(client.baseUrl, scope, period);
+        const finished = stored && new Date(stored.collectedAt).getTime() > periodBounds(period).end;
+
+        if (finished && sameProjects(stored.articleProjects, articleProjects)) {
+          console.log(`[YouTrackWrapped] Using stored dataset for ${year}`);
+          datasets.push(stored);
+          continue;
+        }
+
+        const dataset = await collector.collectYearData(year, articleProjects,
+          (progress) => this.updateProgress(`${year}: ${progress}`), { user, timeZone });
+        await this.datasetStore.save(client.baseUrl, scope, dataset);
+        datasets.push(dataset);
       }
-      throw error;
+
+      this.updateProgress('Calculating your statistics...');
+      this.history = {
+        datasets,
+        stats: new HistoryCalculator(datasets).calculateAll()
+      };
+
+      const duration = (performance.now() - startTime).toFixed(2);
+      console.log(`[YouTrackWrapped] History of ${years.length} years loaded in ${duration}ms`);
+    } catch (error) {
+      const duration = (performance.now() - startTime).toFixed(2);
+      console.error(`[YouTrackWrapped] History failed after ${duration}ms:`, error);
+      throw explainError(error);
+    } finally {
+      this.abortController = null;
+    }
+  }
+
+  /**
+   * Collect the raw dataset of one period for a person, team or project
+   * Personal datasets are stored so later runs can fetch only what changed
+   * @param {object} sources - `team`, `project` and `incremental` as passed to loadData
+   */
+  async collectDataset(client, collector, period, articleProjects, { team, project, incremental }, onProgress) {
+    if (project) {
+      return collector.collectProjectData(period, project, onProgress);
+    }
+    if (team) {
+      // Team datasets are always collected in full; the response cache still
+      // spares requests that were made recently
+      return collector.collectTeamData(period, team, articleProjects, onProgress);
+    }
+
+    // Collect all data, or only what changed since the stored dataset
+    const scope = await client.getCacheScope();
+    const previous = incremental
+      ? await this.datasetStore.load(client.baseUrl, scope, period)
+      : undefined;
+
+    let rawData;
+    if (previous && sameProjects(previous.articleProjects, articleProjects)) {
+      console.log(`[YouTrackWrapped] Refreshing stored dataset collected at ${previous.collectedAt}`);
+      rawData = await collector.refreshData(previous, onProgress);
+    } else {
+      rawData = await collector.collectPeriodData(period, articleProjects, onProgress);
+    }
+    await this.datasetStore.save(client.baseUrl, scope, rawData);
+    return rawData;
+  }
+
+  /**
+   * Time zone from the user's YouTrack profile, or the browser's when the profile has none
+   */
+  async resolveTimeZone(client) {
+    try {
+      const timeZone = await client.getUserTimeZone();
+      if (isValidTimeZone(timeZone)) return timeZone;
+    } catch (error) {
+      if (error instanceof YouTrackApiError && error.isAborted) throw error;
+      console.warn('[YouTrackWrapped] Could not read the profile time zone:', error.message);
     }
+    return browserTimeZone();
   }
 
   hideLoading() {
@@ -207,9 +861,55 @@ class YouTrackWrapped {
   }
 
   showWrapped() {
+    document.getElementById('history').style.display = 'none';
+    document.getElementById('back-to-history').style.display = this.history ? '' : 'none';
     document.getElementById('wrapped').style.display = 'block';
   }
 
+  /**
+   * Wire up the history screen: opening it from the login form, and jumping
+   * from a year on the chart into that year's Wrapped and back
+   */
+  setupHistoryScreen() {
+    document.getElementById('history-button').addEventListener('click', () => this.handleHistory());
+
+    const openYear = (event) => {
+      const target = event.target.closest('[data-year]');
+      if (target) this.openYear(parseInt(target.dataset.year, 10));
+    };
+    document.getElementById('history-chart').addEventListener('click', openYear);
+    document.getElementById('history-years').addEventListener('click', openYear);
+
+    document.getElementById('back-to-history').addEventListener('click', () => this.showHistory());
+  }
+
+  showHistory() {
+    document.getElementById('wrapped').style.display = 'none';
+    document.getElementById('history').style.display = 'block';
+    this.renderHistory();
+    window.scrollTo(0, 0);
+  }
+
+  /**
+   * Show the full Wrapped of one year from the history, compared with the year before
+   */
+  openYear(year) {
+    const { datasets } = this.history;
+    const index = datasets.findIndex(dataset => dataset.year === year);
+    if (index === -1) return;
+
+    console.log(`[YouTrackWrapped] Opening ${year} from history`);
+    this.rawData = datasets[index];
+    this.data = new StatisticsCalculator(datasets[index], {
+      previousData: datasets[index - 1] || null,
+      breakdownFields: this.getBreakdownFields()
+    }).calculateAll();
+    this.showWrapped();
+    this.renderAll();
+    this.setupScrollAnimations();
+    window.scrollTo(0, 0);
+  }
+
   showError(message) {
     document.getElementById('loading').style.display = 'none';
     document.getElementById('error').style.display = 'flex';
@@ -217,29 +917,41 @@ class YouTrackWrapped {
   }
 
   renderAll() {
+    // Comparison callouts stay empty (and hidden) unless a previous period was collected
+    this.root.querySelectorAll('.stat-delta, .comparison-callout').forEach(element => {
+      element.textContent = '';
+      element.classList.remove('up', 'down');
+    });
+
     this.renderHero();
     this.renderSummary();
+    this.renderLeaderboards();
     this.renderTopProject();
+    this.renderResolution();
+    this.renderFieldBreakdowns();
+    this.renderTimeTracking();
     this.renderTimeStats();
     this.renderStreak();
+    this.renderActivityCalendar();
     this.renderFunFacts();
     this.renderAchievements();
+    this.renderThenVsNow();
     this.renderFinal();
   }
 
   renderHero() {
-    const { user, year } = this.data;
-
-    document.getElementById('year-text').textContent = year;
-    document.getElementById('user-name').textContent = user.fullName || user.login;
-
-    const avatar = document.getElementById('user-avatar');
-    if (user.avatarUrl) {
-      // Build full avatar URL if it's a relative path
-      let avatarUrl = user.avatarUrl;
-      if (avatarUrl.startsWith('/')) {
-        avatarUrl = this.config.baseUrl + avatarUrl;
-      }
+    const { user, period, team, project } = this.data;
+
+    const badgePrefix = team ? 'Team ' : project ? 'Project ' : '';
+    this.root.getElementById('hero-badge').textContent = `${badgePrefix}${period.noun} in Review`;
+    this.root.getElementById('year-text').textContent = period.label;
+    this.root.getElementById('user-name').textContent = team
+      ? `${team.name} · ${team.memberCount} ${team.memberCount === 1 ? 'member' : 'members'}`
+      : user.fullName || user.login;
+
+    const avatar = this.root.getElementById('user-avatar');
+    const avatarUrl = this.avatarSource(user);
+    if (avatarUrl) {
       avatar.src = avatarUrl;
       avatar.onerror = () => {
         // Fallback to initials if avatar fails to load
@@ -250,13 +962,18 @@ class YouTrackWrapped {
     }
   }
 
+  /**
+   * Full URL of the user's avatar, or null without one, or when showing an
+   * imported dataset (the avatar lives on the YouTrack server)
+   */
+  avatarSource(user) {
+    if (!user.avatarUrl || this.config.offline) return null;
+    // Build full avatar URL if it's a relative path
+    return user.avatarUrl.startsWith('/') ? this.config.baseUrl + user.avatarUrl : user.avatarUrl;
+  }
+
   renderInitialsAvatar(avatar, user) {
-    const initials = (user.fullName || user.login)
-      .split(' ')
-      .map(n => n[0])
-      .join('')
-      .substring(0, 2)
-      .toUpperCase();
+    const initials = initialsOf(user.fullName || user.login);
 
     const canvas = document.createElement('canvas');
     canvas.width = 120;
@@ -273,83 +990,422 @@ class YouTrackWrapped {
   }
 
   renderSummary() {
-    const { summary } = this.data;
+    const { summary, period, team, project } = this.data;
 
-    this.animateNumber('stat-issues-created', summary.totalIssuesCreated);
-    this.animateNumber('stat-issues-resolved', summary.totalIssuesResolved);
-    this.animateNumber('stat-comments', summary.totalComments);
-    this.animateNumber('stat-articles', summary.totalArticles);
-    this.animateNumber('total-contributions', summary.totalContributions);
+    let owner = 'Your';
+    if (team) owner = 'Your Team\'s';
+    if (project) owner = `${project.shortName}'s`;
+    this.root.getElementById('summary-title').textContent = `${owner} ${period.noun} at a Glance`;
+
+    for (const [elementId, key] of SUMMARY_COUNTERS) {
+      this.animateNumber(elementId, summary[key]);
+    }
+    this.renderActivityBreakdown();
+
+    const { comparison } = this.data;
+    if (comparison) {
+      const label = comparison.period.label;
+      this.renderChange('stat-issues-created-delta', comparison.summary.totalIssuesCreated, 'issues created', label);
+      this.renderChange('stat-issues-resolved-delta', comparison.summary.totalIssuesResolved, 'issues resolved', label);
+      this.renderChange('stat-comments-delta', comparison.summary.totalComments, 'comments', label);
+      this.renderChange('stat-articles-delta', comparison.summary.totalArticles, 'articles', label);
+      this.renderChange('total-contributions-delta', comparison.summary.totalContributions, 'contributions', label);
+    }
+  }
+
+  /**
+   * Show a "+34% more comments than 2024" style callout
+   * @param {object} change - A { current, previous, delta, percent } comparison
+   */
+  renderChange(elementId, change, noun, previousLabel) {
+    const element = this.root.getElementById(elementId);
+    element.classList.remove('up', 'down');
+    element.textContent = describeChange(change, noun, previousLabel);
+    if (change.delta > 0) element.classList.add('up');
+    if (change.delta < 0) element.classList.add('down');
+  }
+
+  renderActivityBreakdown() {
+    const { activityStats } = this.data;
+    const container = this.root.getElementById('activity-breakdown');
+
+    if (activityStats.total === 0) {
+      container.style.display = 'none';
+      return;
+    }
+
+    const { byType } = activityStats;
+    const items = [
+      { icon: '🚦', count: byType['state-change'], label: 'State changes' },
+      { icon: '⬆️', count: byType['priority-change'], label: 'Reprioritizations' },
+      { icon: '👤', count: byType['assignment'], label: 'Assignments' },
+      { icon: '🔧', count: byType['field-change'], label: 'Other field updates' },
+      { icon: '🏷️', count: byType['tag'], label: 'Tag changes' },
+      { icon: '📎', count: byType['attachment'], label: 'Attachments' },
+      { icon: '🔗', count: byType['link'], label: 'Links' },
+      { icon: '👍', count: byType['vote'], label: 'Votes' },
+      { icon: '✏️', count: byType['edit'], label: 'Edits' }
+    ].filter(item => item.count > 0);
+
+    container.innerHTML = items
+      .map(item => `
+        <div class="activity-chip" title="${item.label}">
+          <span class="activity-chip-icon">${item.icon}</span>
+          <span class="activity-chip-count">${escapeHtml(item.count.toLocaleString())}</span>
+          <span class="activity-chip-label">${item.label}</span>
+        </div>
+      `)
+      .join('');
+  }
+
+  renderLeaderboards() {
+    const { leaderboards, project } = this.data;
+    const section = this.root.getElementById('leaderboards');
+
+    if (!leaderboards || leaderboards.length === 0) {
+      section.style.display = 'none';
+      return;
+    }
+    section.style.display = '';
+    this.root.getElementById('leaderboards-title').textContent = project ? 'Top Contributors' : 'Team Leaderboards';
+
+    this.root.getElementById('leaderboards-grid').innerHTML = leaderboards
+      .map(board => `
+        <div class="leaderboard-card">
+          <h4>${escapeHtml(board.icon)} ${escapeHtml(board.label)}</h4>
+          ${board.entries.slice(0, 5).map((entry, index) => `
+            <div class="leaderboard-entry">
+              <span class="leaderboard-rank">${index + 1}</span>
+              <span class="leaderboard-name" title="${escapeHtml(entry.name)}">${escapeHtml(entry.name)}</span>
+              <span class="leaderboard-value">${escapeHtml(entry.value.toLocaleString())}</span>
+            </div>
+          `).join('')}
+        </div>
+      `)
+      .join('');
   }
 
   renderTopProject() {
-    const { projectStats } = this.data;
+    const { projectStats, project } = this.data;
 
-    if (!projectStats.topProject) {
-      document.getElementById('top-project').style.display = 'none';
+    // A Project Wrapped is already about a single project
+    const section = this.root.getElementById('top-project');
+    if (!projectStats.topProject || project) {
+      section.style.display = 'none';
       return;
     }
+    section.style.display = '';
 
     const top = projectStats.topProject;
-    document.getElementById('project-badge').textContent = top.shortName;
-    document.getElementById('project-name').textContent = top.name;
-    document.getElementById('project-issues').textContent = top.issuesCreated;
-    document.getElementById('project-resolved').textContent = top.issuesResolved;
-    document.getElementById('project-comments').textContent = top.comments;
+    this.root.getElementById('project-badge').textContent = top.shortName;
+    this.root.getElementById('project-name').textContent = top.name;
+    this.root.getElementById('project-issues').textContent = top.issuesCreated;
+    this.root.getElementById('project-resolved').textContent = top.issuesResolved;
+    this.root.getElementById('project-comments').textContent = top.comments;
+
+    const { comparison } = this.data;
+    const rankChange = this.root.getElementById('project-rank-change');
+    if (comparison && comparison.projects.length > 0) {
+      const { previousRank } = comparison.projects[0];
+      const label = comparison.period.label;
+      rankChange.classList.toggle('up', previousRank !== 1);
+      if (previousRank === null) {
+        rankChange.textContent = `New this time: you weren't active in ${top.shortName} in ${label}`;
+      } else if (previousRank === 1) {
+        rankChange.textContent = `Your top project in ${label} too`;
+      } else {
+        rankChange.textContent = `Up from #${previousRank} in ${label}`;
+      }
+    }
 
     // Render all projects list
-    const projectsList = document.getElementById('projects-list');
+    const projectsList = this.root.getElementById('projects-list');
     projectsList.innerHTML = projectStats.projects
       .slice(0, 10)
-      .map(p => `<div class="project-chip">${p.shortName}: ${p.totalActivity}</div>`)
+      .map(p => `<div class="project-chip">${escapeHtml(p.shortName)}: ${escapeHtml(p.totalActivity)}</div>`)
+      .join('');
+  }
+
+  renderResolution() {
+    const { resolutionStats, team, project } = this.data;
+    const section = this.root.getElementById('resolution');
+
+    if (resolutionStats.resolvedCount === 0) {
+      section.style.display = 'none';
+      return;
+    }
+    section.style.display = '';
+
+    let title = 'How Fast You Closed Things';
+    if (team) title = 'How Fast the Team Closed Things';
+    if (project) title = 'How Fast Issues Got Closed';
+    this.root.getElementById('resolution-title').textContent = title;
+
+    this.root.getElementById('resolution-median').textContent = formatDuration(resolutionStats.medianMs);
+    this.root.getElementById('resolution-p90').textContent = formatDuration(resolutionStats.p90Ms);
+    this.root.getElementById('resolution-count').textContent =
+      `of ${resolutionStats.resolvedCount.toLocaleString()} resolved issues`;
+
+    const renderExtreme = (prefix, { issue, durationMs }) => {
+      this.root.getElementById(`${prefix}-time`).textContent = formatDuration(durationMs);
+      const link = this.root.getElementById(`${prefix}-issue`);
+      link.textContent = issue.idReadable;
+      link.title = issue.summary || '';
+      // Imported datasets have no YouTrack to link to
+      if (this.config.baseUrl) link.href = `${this.config.baseUrl}/issue/${issue.idReadable}`;
+      else link.removeAttribute('href');
+    };
+    renderExtreme('resolution-fastest', resolutionStats.fastest);
+    renderExtreme('resolution-slowest', resolutionStats.slowest);
+
+    const buckets = resolutionStats.distribution.map(bucket => ({ label: bucket.label, value: bucket.count }));
+    this.renderTimelineChart('resolution-chart', 'resolution-chart-labels', buckets, 'issues');
+
+    const breakdowns = [
+      { title: 'By Project', rows: resolutionStats.byProject },
+      ...Object.entries(resolutionStats.byField).map(([field, rows]) => ({ title: `By ${field}`, rows }))
+    ].filter(breakdown => breakdown.rows.length > 1);
+
+    this.root.getElementById('resolution-breakdowns').innerHTML = breakdowns
+      .map(breakdown => `
+        <div class="leaderboard-card">
+          <h4>${escapeHtml(breakdown.title)}</h4>
+          ${breakdown.rows.slice(0, 5).map(row => `
+            <div class="leaderboard-entry">
+              <span class="leaderboard-name">${escapeHtml(row.name)} <small>(${escapeHtml(row.count)})</small></span>
+              <span class="leaderboard-value">${escapeHtml(formatDuration(row.medianMs))}</span>
+            </div>
+          `).join('')}
+        </div>
+      `)
+      .join('');
+  }
+
+  renderFieldBreakdowns() {
+    const { fieldBreakdowns, team, project } = this.data;
+    const section = this.root.getElementById('field-breakdowns');
+    const fields = Object.entries(fieldBreakdowns.fields)
+      .filter(([, breakdown]) => breakdown.created.length + breakdown.resolved.length > 0);
+
+    if (fields.length === 0) {
+      section.style.display = 'none';
+      return;
+    }
+    section.style.display = '';
+
+    let title = 'What You Worked On';
+    if (team) title = 'What the Team Worked On';
+    if (project) title = 'What Got Filed';
+    this.root.getElementById('breakdown-title').textContent = title;
+
+    const { headline } = fieldBreakdowns;
+    let headlineText = '';
+    if (headline) {
+      const share = `${Math.round(headline.share * 100)}% of them`;
+      if (project) headlineText = `Most issues filed were <strong>${escapeHtml(headline.value)}</strong> (${escapeHtml(share)})`;
+      else headlineText = `${team ? 'The team' : 'You'} mostly filed <strong>${escapeHtml(headline.value)}</strong> issues (${escapeHtml(share)})`;
+    }
+    const headlineElement = this.root.getElementById('breakdown-headline');
+    headlineElement.innerHTML = headlineText;
+    headlineElement.style.display = headline ? '' : 'none';
+
+    this.root.getElementById('breakdown-grid').innerHTML = fields
+      .map(([field, breakdown]) => {
+        // Values in either list, busiest first
+        const rows = new Map();
+        for (const { value, count } of breakdown.created) rows.set(value, { value, created: count, resolved: 0 });
+        for (const { value, count } of breakdown.resolved) {
+          rows.set(value, { ...(rows.get(value) || { value, created: 0 }), resolved: count });
+        }
+        const sorted = [...rows.values()].sort((a, b) => (b.created + b.resolved) - (a.created + a.resolved));
+
+        return `
+          <div class="leaderboard-card">
+            <h4>By ${escapeHtml(field)} <small>filed · resolved</small></h4>
+            ${sorted.slice(0, 5).map(row => `
+              <div class="leaderboard-entry">
+                <span class="leaderboard-name">${escapeHtml(row.value)}</span>
+                <span class="leaderboard-value">${escapeHtml(row.created.toLocaleString())} · ${escapeHtml(row.resolved.toLocaleString())}</span>
+              </div>
+            `).join('')}
+          </div>
+        `;
+      })
       .join('');
   }
 
+  renderTimeTracking() {
+    const { timeTrackingStats } = this.data;
+
+    const section = this.root.getElementById('time-tracking');
+    if (timeTrackingStats.totalWorkItems === 0) {
+      section.style.display = 'none';
+      return;
+    }
+    section.style.display = '';
+
+    this.root.getElementById('tracking-hours').textContent = timeTrackingStats.totalHours.toLocaleString();
+
+    const topProject = timeTrackingStats.byProject[0];
+    this.root.getElementById('tracking-top-project').textContent = topProject.shortName;
+    this.root.getElementById('tracking-top-project-hours').textContent = `${topProject.hours} hours`;
+
+    const topType = timeTrackingStats.byWorkType[0];
+    this.root.getElementById('tracking-top-type').textContent = topType.type;
+    this.root.getElementById('tracking-top-type-hours').textContent = `${topType.hours} hours`;
+
+    this.root.getElementById('tracking-avg-day').textContent = `${timeTrackingStats.avgHoursPerActiveDay}h`;
+    this.root.getElementById('tracking-active-days').textContent = `${timeTrackingStats.activeDays} days logged`;
+
+    const biggest = timeTrackingStats.biggestLog;
+    const biggestIssue = biggest.workItem.issue;
+    this.root.getElementById('tracking-biggest').innerHTML = biggestIssue
+      ? `Biggest single log: <strong>${escapeHtml(biggest.hours)}h</strong> on ${escapeHtml(biggestIssue.idReadable)}`
+      : `Biggest single log: <strong>${escapeHtml(biggest.hours)}h</strong>`;
+
+    const { granularity, buckets } = timeTrackingStats.hoursTimeline;
+    this.root.getElementById('tracking-chart-title').textContent =
+      granularity === 'week' ? 'Hours per Week' : 'Hours per Month';
+    this.renderTimelineChart('tracking-monthly-chart', 'tracking-chart-labels', buckets, 'hours');
+  }
+
   renderTimeStats() {
     const { timeStats } = this.data;
 
-    document.getElementById('busiest-month').textContent = timeStats.busiestMonth.monthName;
-    document.getElementById('busiest-month-count').textContent = `${timeStats.busiestMonth.count} activities`;
+    this.root.getElementById('busiest-month').textContent = timeStats.busiestMonth.monthName;
+    this.root.getElementById('busiest-month-count').textContent = `${timeStats.busiestMonth.count} activities`;
+
+    const { comparison } = this.data;
+    if (comparison && comparison.busiestMonth.previous.count > 0) {
+      const { previous, shifted } = comparison.busiestMonth;
+      this.root.getElementById('busiest-month-shift').textContent = shifted
+        ? `Shifted from ${previous.monthName} in ${comparison.period.label}`
+        : `Same as in ${comparison.period.label}`;
+    }
+
+    this.root.getElementById('busiest-day').textContent = timeStats.busiestDayOfWeek.dayName;
+    this.root.getElementById('busiest-day-count').textContent = `${timeStats.busiestDayOfWeek.count} activities`;
+
+    this.root.getElementById('busiest-hour').textContent = `${String(timeStats.busiestHour.hour).padStart(2, '0')}:00`;
+    this.root.getElementById('busiest-hour-count').textContent = `${timeStats.busiestHour.count} activities`;
+
+    this.root.getElementById('hourly-chart').innerHTML = radialClockChart(timeStats.hourlyActivity, {
+      label: 'Activities per hour of the day',
+      unit: 'activities',
+      highlight: timeStats.busiestHour.count > 0 ? timeStats.busiestHour.hour : null
+    });
+
+    this.root.getElementById('weekday-chart').innerHTML = barChart(
+      DAY_SHORT_NAMES.map((day, index) => ({ label: day, value: timeStats.dayOfWeekActivity[index] })),
+      {
+        label: 'Activities per day of the week',
+        unit: 'activities',
+        color: '#ec4899',
+        highlight: timeStats.busiestDayOfWeek.count > 0 ? timeStats.busiestDayOfWeek.day : null
+      }
+    );
 
-    document.getElementById('busiest-day').textContent = timeStats.busiestDayOfWeek.dayName;
-    document.getElementById('busiest-day-count').textContent = `${timeStats.busiestDayOfWeek.count} activities`;
+    // Render the activity timeline (weekly for short periods), stacked by type
+    const { granularity, buckets } = timeStats.activityTimeline;
+    const title = granularity === 'week' ? 'Weekly Activity' : 'Monthly Activity';
+    this.root.getElementById('activity-chart-title').textContent = title;
+    const series = ACTIVITY_SERIES.filter(({ key }) => buckets.some(bucket => bucket.byType[key] > 0));
+    this.root.getElementById('monthly-chart').innerHTML = stackedBarChart(
+      buckets.map(bucket => ({ label: bucket.label, values: bucket.byType })),
+      series,
+      { label: `${title} by type`, unit: 'activities' }
+    );
+    this.root.getElementById('activity-chart-legend').innerHTML = chartLegend(series);
 
-    document.getElementById('busiest-hour').textContent = `${String(timeStats.busiestHour.hour).padStart(2, '0')}:00`;
-    document.getElementById('busiest-hour-count').textContent = `${timeStats.busiestHour.count} activities`;
+    this.root.getElementById('time-zone-note').textContent =
+      `Times shown in ${this.data.period.timeZone || 'UTC'}`;
+  }
 
-    // Render monthly chart
-    const chartContainer = document.getElementById('monthly-chart');
-    const maxActivity = Math.max(...Object.values(timeStats.monthlyActivity));
+  /**
+   * Render a bar chart of timeline buckets with their labels
+   * Labels are thinned out so long periods stay readable
+   */
+  renderTimelineChart(chartId, labelsId, buckets, unit) {
+    const maxValue = Math.max(...buckets.map(bucket => bucket.value));
 
-    chartContainer.innerHTML = Object.values(timeStats.monthlyActivity)
-      .map((count, index) => {
-        const height = maxActivity > 0 ? (count / maxActivity) * 100 : 0;
-        return `<div class="chart-bar" style="height: ${Math.max(height, 3)}%" title="${count} activities"></div>`;
+    this.root.getElementById(chartId).innerHTML = buckets
+      .map(bucket => {
+        const height = maxValue > 0 ? (bucket.value / maxValue) * 100 : 0;
+        return `<div class="chart-bar" style="height: ${Math.max(height, 3)}%" title="${escapeHtml(`${bucket.label}: ${bucket.value} ${unit}`)}"></div>`;
       })
       .join('');
+
+    const labelStep = Math.ceil(buckets.length / 12);
+    this.root.getElementById(labelsId).innerHTML = buckets
+      .map((bucket, index) => `<span>${index % labelStep === 0 ? escapeHtml(bucket.label) : ''}</span>`)
+      .join('');
   }
 
   renderStreak() {
     const { timeStats } = this.data;
     const streak = timeStats.longestStreak;
 
-    document.getElementById('streak-days').textContent = streak.days;
+    this.root.getElementById('streak-days').textContent = streak.days;
 
-    const datesContainer = document.getElementById('streak-dates');
+    const datesContainer = this.root.getElementById('streak-dates');
     if (streak.days > 0 && streak.startDate) {
       datesContainer.innerHTML = `
-        <span class="streak-start">${this.formatDate(streak.startDate)}</span>
+        <span class="streak-start">${escapeHtml(this.formatDate(streak.startDate))}</span>
         <span class="streak-arrow">→</span>
-        <span class="streak-end">${this.formatDate(streak.endDate)}</span>
+        <span class="streak-end">${escapeHtml(this.formatDate(streak.endDate))}</span>
       `;
     } else {
       datesContainer.innerHTML = '<span>No streak recorded</span>';
     }
+
+    const { comparison } = this.data;
+    if (comparison && comparison.streak.previous > 0) {
+      const { delta, previous } = comparison.streak;
+      const label = comparison.period.label;
+      const callout = this.root.getElementById('streak-comparison');
+      callout.classList.toggle('up', delta > 0);
+      callout.classList.toggle('down', delta < 0);
+      callout.textContent = delta === 0
+        ? `Exactly as long as your longest streak in ${label}`
+        : `${delta > 0 ? '+' : ''}${delta} days vs your ${previous}-day streak in ${label}`;
+    }
+  }
+
+  renderActivityCalendar() {
+    const { weeks, busiestDay } = this.data.timeStats.calendar;
+
+    // A month label above the first week that contains the month's first day
+    this.root.getElementById('calendar-months').innerHTML = weeks
+      .map(week => {
+        const first = week.find(day => day && day.date.endsWith('-01'));
+        return `<span>${first ? escapeHtml(this.formatDate(first.date, { month: 'short', day: undefined })) : ''}</span>`;
+      })
+      .join('');
+
+    const grid = this.root.getElementById('calendar-grid');
+    grid.innerHTML = weeks
+      .flat()
+      .map(day => {
+        if (!day) return '<span class="calendar-day empty"></span>';
+        const classes = ['calendar-day', `level-${day.level}`];
+        if (day.inStreak) classes.push('in-streak');
+        if (day.isBusiest) classes.push('busiest');
+        const title = describeDay(day, this.formatDate(day.date, { weekday: 'short' }));
+        return `<span class="${classes.join(' ')}" title="${escapeHtml(title)}"></span>`;
+      })
+      .join('');
+
+    const activeDays = weeks.flat().filter(day => day && day.total > 0).length;
+    grid.setAttribute('aria-label', `Activity calendar: ${activeDays} active days`);
+
+    this.root.getElementById('calendar-busiest').textContent = busiestDay
+      ? `Busiest day: ${this.formatDate(busiestDay.date, { weekday: 'short' })} with ${busiestDay.total} activities`
+      : '';
   }
 
   renderFunFacts() {
     const { funFacts } = this.data;
-    const container = document.getElementById('facts-list');
+    const container = this.root.getElementById('facts-list');
 
     if (funFacts.length === 0) {
       container.innerHTML = '<p style="color: var(--text-secondary);">Not enough data for fun facts yet!</p>';
@@ -359,43 +1415,208 @@ class YouTrackWrapped {
     container.innerHTML = funFacts
       .map(fact => `
         <div class="fact-card">
-          <div class="fact-icon">${fact.icon}</div>
+          <div class="fact-icon">${escapeHtml(fact.icon)}</div>
           <div class="fact-content">
-            <div class="fact-text">${fact.text}</div>
-            <div class="fact-comparison">${fact.comparison}</div>
+            <div class="fact-text">${escapeHtml(fact.text)}</div>
+            <div class="fact-comparison">${escapeHtml(fact.comparison)}</div>
           </div>
         </div>
       `)
       .join('');
   }
 
+  /**
+   * Show the full badge catalog: earned badges, locked ones greyed out, and the
+   * progress towards each badge's next tier. Team Wrapped also lists how many
+   * members earned each personal badge
+   */
   renderAchievements() {
-    const { achievements } = this.data;
-    const container = document.getElementById('achievements-grid');
+    const { achievementProgress, memberBadges, team, project } = this.data;
+
+    let title = 'Your Achievements';
+    if (team) title = 'Team Achievements';
+    if (project) title = 'Project Achievements';
+    this.root.getElementById('achievements-title').textContent = title;
+
+    const unlocked = achievementProgress.filter(badge => badge.earned).length;
+    this.root.getElementById('achievements-count').textContent = unlocked > 0
+      ? `${unlocked} of ${achievementProgress.length} unlocked`
+      : 'Keep contributing to unlock achievements!';
+
+    this.root.getElementById('achievements-grid').innerHTML = achievementProgress
+      .map(badge => achievementCard(badge, 'own'))
+      .join('');
+
+    this.root.getElementById('member-badges').style.display = memberBadges ? '' : 'none';
+    this.root.getElementById('member-badges-grid').innerHTML = (memberBadges || [])
+      .map(badge => achievementCard(badge, 'members'))
+      .join('');
+  }
 
-    if (achievements.length === 0) {
-      container.innerHTML = '<p style="color: var(--text-secondary);">Keep contributing to unlock achievements!</p>';
+  /**
+   * Fill the badge detail popover before a badge card opens it
+   */
+  setupAchievementDetails() {
+    const popover = document.getElementById('achievement-popover');
+    const showDetails = (event) => {
+      const card = event.target.closest('[data-badge]');
+      if (!card) return;
+
+      const { achievementProgress, memberBadges, team, project } = this.data;
+      const members = card.dataset.group === 'members';
+      const badge = (members ? memberBadges : achievementProgress).find(b => b.id === card.dataset.badge);
+
+      let owner = 'Your';
+      if (team) owner = 'Team';
+      if (project) owner = 'Project';
+      popover.innerHTML = achievementDetails(badge, members ? { memberCount: team.memberCount } : { owner });
+    };
+
+    document.getElementById('achievements-grid').addEventListener('click', showDetails);
+    document.getElementById('member-badges-grid').addEventListener('click', showDetails);
+  }
+
+  renderThenVsNow() {
+    const { comparison, period, timeStats } = this.data;
+    const section = this.root.getElementById('then-vs-now');
+
+    if (!comparison) {
+      section.style.display = 'none';
       return;
     }
+    section.style.display = '';
+
+    this.root.getElementById('comparison-then-label').textContent = comparison.period.label;
+    this.root.getElementById('comparison-now-label').textContent = period.label;
+
+    const rows = [
+      { label: 'Issues created', change: comparison.summary.totalIssuesCreated },
+      { label: 'Issues resolved', change: comparison.summary.totalIssuesResolved },
+      { label: 'Comments', change: comparison.summary.totalComments },
+      { label: 'Articles', change: comparison.summary.totalArticles },
+      { label: 'Triage actions', change: comparison.summary.totalTriageActions },
+      { label: 'Total contributions', change: comparison.summary.totalContributions },
+      { label: 'Longest streak (days)', change: comparison.streak }
+    ].filter(row => row.change.current > 0 || row.change.previous > 0);
+
+    const changeCell = ({ delta, percent }) => {
+      const trend = delta > 0 ? 'up' : delta < 0 ? 'down' : '';
+      const text = percent === null ? (delta > 0 ? 'New' : '–') : `${percent > 0 ? '+' : ''}${percent}%`;
+      return `<td class="${trend}">${escapeHtml(text)}</td>`;
+    };
 
-    container.innerHTML = achievements
-      .map(achievement => `
-        <div class="achievement-card">
-          <div class="achievement-icon">${achievement.icon}</div>
-          <div class="achievement-name">${achievement.name}</div>
-          <div class="achievement-description">${achievement.description}</div>
-        </div>
+    const busiestMonth = comparison.busiestMonth.previous.count > 0
+      ? `<tr><td>Busiest month</td><td>${escapeHtml(comparison.busiestMonth.previous.monthName)}</td><td>${escapeHtml(timeStats.busiestMonth.monthName)}</td><td></td></tr>`
+      : '';
+
+    this.root.getElementById('comparison-rows').innerHTML = rows
+      .map(row => `
+        <tr>
+          <td>${row.label}</td>
+          <td>${escapeHtml(row.change.previous.toLocaleString())}</td>
+          <td>${escapeHtml(row.change.current.toLocaleString())}</td>
+          ${changeCell(row.change)}
+        </tr>
       `)
-      .join('');
+      .join('') + busiestMonth;
   }
 
   renderFinal() {
-    const { year } = this.data;
-    document.getElementById('next-year').textContent = year + 1;
+    const { period } = this.data;
+    this.root.getElementById('next-year').textContent = nextPeriodLabel(period);
+
+    // Cards and the share preview of the previously shown Wrapped are stale
+    this.clearStoryCards();
+    this.root.getElementById('story-cards-panel').style.display = 'none';
+    this.sharePayload = null;
+    this.root.getElementById('share-page-panel').style.display = 'none';
+  }
+
+  renderHistory() {
+    const { stats } = this.history;
+    const { allTime, totals, user } = stats;
+
+    document.getElementById('history-user-name').textContent = user.fullName || user.login;
+    document.getElementById('history-range').textContent = allTime.firstYear === allTime.lastYear
+      ? String(allTime.firstYear)
+      : `${allTime.firstYear} – ${allTime.lastYear}`;
+
+    document.getElementById('history-total').textContent = totals.totalContributions.toLocaleString();
+    document.getElementById('history-busiest-year').textContent =
+      `Busiest year: ${allTime.busiestYear.year} (${allTime.busiestYear.totalContributions.toLocaleString()})`;
+
+    const { longestStreak } = allTime;
+    document.getElementById('history-streak').textContent = longestStreak.days;
+    document.getElementById('history-streak-dates').textContent = longestStreak.days > 0
+      ? `${this.formatDate(longestStreak.startDate, { year: 'numeric' })} → ${this.formatDate(longestStreak.endDate, { year: 'numeric' })}`
+      : 'No streak recorded';
+
+    const { topProject } = allTime;
+    document.getElementById('history-top-project').textContent = topProject ? topProject.shortName : '—';
+    document.getElementById('history-top-project-name').textContent = topProject
+      ? `${topProject.name} · ${topProject.totalActivity.toLocaleString()} activities`
+      : 'No project activity yet';
+
+    this.renderTrendChart(stats.years);
+
+    document.getElementById('history-years').innerHTML = stats.years
+      .map(year => `
+        <button type="button" class="history-year" data-year="${year.year}">
+          <span class="history-year-label">${year.year}</span>
+          <span class="history-year-count">${year.summary.totalContributions.toLocaleString()} contributions</span>
+        </button>
+      `)
+      .join('');
+  }
+
+  /**
+   * Draw the yearly totals as one SVG line per HISTORY_SERIES entry
+   * Points and year labels carry data-year so clicking them opens that year
+   */
+  renderTrendChart(years) {
+    const width = 640;
+    const height = 260;
+    const padding = { top: 16, right: 16, bottom: 32, left: 44 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    const maxValue = Math.max(1, ...years.flatMap(year => HISTORY_SERIES.map(series => year.summary[series.key])));
+    const x = index => padding.left + (years.length === 1 ? plotWidth / 2 : (index / (years.length - 1)) * plotWidth);
+    const y = value => padding.top + plotHeight - (value / maxValue) * plotHeight;
+
+    const gridLines = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+      const value = Math.round(maxValue * fraction);
+      return `
+        <line class="history-grid" x1="${padding.left}" x2="${width - padding.right}" y1="${y(value)}" y2="${y(value)}"></line>
+        <text class="history-axis" x="${padding.left - 8}" y="${y(value) + 4}" text-anchor="end">${value}</text>
+      `;
+    });
+
+    const lines = HISTORY_SERIES.map(series => {
+      const points = years.map((year, index) => `${x(index)},${y(year.summary[series.key])}`).join(' ');
+      const dots = years.map((year, index) => `
+        <circle class="history-point" data-year="${year.year}" cx="${x(index)}" cy="${y(year.summary[series.key])}" r="5" fill="${series.color}">
+          <title>${year.year}: ${year.summary[series.key].toLocaleString()} ${series.label.toLowerCase()}</title>
+        </circle>
+      `);
+      return `<polyline class="history-line" points="${points}" stroke="${series.color}"></polyline>${dots.join('')}`;
+    });
+
+    const labels = years.map((year, index) => `
+      <text class="history-axis history-year-axis" data-year="${year.year}" x="${x(index)}" y="${height - 8}" text-anchor="middle">${year.year}</text>
+    `);
+
+    const chart = document.getElementById('history-chart');
+    chart.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    chart.innerHTML = gridLines.join('') + lines.join('') + labels.join('');
+
+    document.getElementById('history-legend').innerHTML = HISTORY_SERIES
+      .map(series => `<span class="history-legend-item"><span class="history-swatch" style="background: ${series.color}"></span>${series.label}</span>`)
+      .join('');
   }
 
   animateNumber(elementId, target, duration = 1500) {
-    const element = document.getElementById(elementId);
+    const element = this.root.getElementById(elementId);
     const start = 0;
     const startTime = performance.now();
 
@@ -419,10 +1640,11 @@ class YouTrackWrapped {
     requestAnimationFrame(update);
   }
 
-  formatDate(dateStr) {
+  formatDate(dateStr, options = {}) {
     if (!dateStr) return '';
     const date = new Date(dateStr);
-    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    // Date-only strings parse as UTC midnight; format them in UTC so the day doesn't shift
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', ...options, timeZone: 'UTC' });
   }
 
   setupScrollAnimations() {
@@ -445,20 +1667,24 @@ class YouTrackWrapped {
   setupShareButton() {
     const shareButton = document.getElementById('share-button');
     shareButton.addEventListener('click', async () => {
-      const { user, year, summary } = this.data;
+      const { period, summary, team, project } = this.data;
 
-      const shareText = `My YouTrack ${year} Wrapped:
+      let owner = 'My';
+      if (team) owner = `${team.name}'s`;
+      if (project) owner = `${project.name}'s`;
+      const shareText = `${owner} YouTrack ${period.label} Wrapped:
 - ${summary.totalIssuesCreated} issues created
 - ${summary.totalIssuesResolved} issues resolved
 - ${summary.totalComments} comments left
 - ${summary.totalArticles} articles written
+- ${summary.totalTriageActions} triage actions
 
 ${summary.totalContributions} total contributions!`;
 
       if (navigator.share) {
         try {
           await navigator.share({
-            title: `YouTrack ${year} Wrapped`,
+            title: `YouTrack ${period.label} Wrapped`,
             text: shareText,
           });
         } catch (err) {
@@ -472,6 +1698,466 @@ ${summary.totalContributions} total contributions!`;
     });
   }
 
+  /**
+   * Wire up the image cards: creating them in the chosen format, downloading
+   * them as a zip and sharing them as files
+   */
+  setupStoryCards() {
+    document.getElementById('create-cards').addEventListener('click', () => this.renderStoryCards());
+    document.querySelectorAll('input[name="card-format"]').forEach(input => {
+      input.addEventListener('change', () => this.renderStoryCards());
+    });
+    document.getElementById('download-cards').addEventListener('click', () => this.downloadStoryCards());
+    document.getElementById('share-cards').addEventListener('click', () => this.shareStoryCards());
+  }
+
+  /**
+   * Draw every card of the current Wrapped and list them for download
+   */
+  async renderStoryCards() {
+    const formatId = document.querySelector('input[name="card-format"]:checked').value;
+    const format = CARD_FORMATS[formatId];
+    const { user, period, team, project } = this.data;
+    const panel = document.getElementById('story-cards-panel');
+    const list = document.getElementById('story-card-list');
+    panel.style.display = '';
+    list.innerHTML = '<p class="story-cards-status">Drawing your cards...</p>';
+
+    const avatar = team || project ? null : await this.loadCardAvatar(user);
+    const options = {
+      avatar,
+      initials: initialsOf(user.fullName || user.login),
+      footer: `YouTrack Wrapped · ${period.label}`
+    };
+    const slug = period.label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+    this.clearStoryCards();
+    this.storyCardsArchiveName = `youtrack-wrapped-${slug}-${format.id}.zip`;
+    for (const card of buildStoryCards(this.data)) {
+      const blob = await canvasToPng(drawStoryCard(card, format, options));
+      const file = new File([blob], `youtrack-wrapped-${slug}-${card.id}-${format.id}.png`, { type: 'image/png' });
+      this.storyCards.push({ card, file, url: URL.createObjectURL(file) });
+    }
+    console.log(`[YouTrackWrapped] Drew ${this.storyCards.length} ${format.label.toLowerCase()} images`);
+
+    list.classList.toggle('landscape', format.width > format.height);
+    list.innerHTML = this.storyCards
+      .map(({ card, file, url }) => `
+        <a class="story-card" href="${url}" download="${escapeHtml(file.name)}" title="Download ${escapeHtml(file.name)}">
+          <img src="${url}" alt="${escapeHtml(card.eyebrow)}" loading="lazy">
+          <span>${escapeHtml(card.eyebrow)}</span>
+        </a>
+      `)
+      .join('');
+
+    const files = this.storyCards.map(({ file }) => file);
+    document.getElementById('share-cards').style.display = navigator.canShare?.({ files }) ? '' : 'none';
+  }
+
+  /**
+   * The user's avatar as an image the cards can be drawn with, or null
+   * Cross-origin avatars only work when YouTrack allows CORS for them;
+   * otherwise the canvas couldn't be exported and the initials are drawn instead
+   */
+  async loadCardAvatar(user) {
+    const src = this.avatarSource(user);
+    if (!src) return null;
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.src = src;
+    try {
+      await image.decode();
+      return image;
+    } catch {
+      console.warn('[YouTrackWrapped] Avatar could not be loaded for the image cards, using initials');
+      return null;
+    }
+  }
+
+  async downloadStoryCards() {
+    if (this.storyCards.length === 0) return;
+    const archive = await createZip(this.storyCards.map(({ file }) => ({ name: file.name, data: file })));
+    downloadBlob(archive, this.storyCardsArchiveName);
+  }
+
+  async shareStoryCards() {
+    const files = this.storyCards.map(({ file }) => file);
+    try {
+      await navigator.share({ title: `YouTrack ${this.data.period.label} Wrapped`, files });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.warn('[YouTrackWrapped] Could not share the image cards:', error);
+      }
+    }
+  }
+
+  clearStoryCards() {
+    for (const { url } of this.storyCards) {
+      URL.revokeObjectURL(url);
+    }
+    this.storyCards = [];
+  }
+
+  /**
+   * The "Download report" button: lay the statistics out as a paginated
+   * document and open the print dialog, where it can be saved as PDF
+   */
+  setupReport() {
+    document.getElementById('report-button').addEventListener('click', () => {
+      const { user, period, team, project } = this.data;
+      const owner = team ? team.name : project ? project.name : user.fullName || user.login;
+      document.getElementById('report').innerHTML = this.renderReport();
+
+      // The title is the default file name when saving as PDF
+      const title = document.title;
+      document.title = `YouTrack Wrapped Report - ${owner} - ${period.label}`;
+      window.addEventListener('afterprint', () => {
+        document.title = title;
+      }, { once: true });
+      window.print();
+    });
+  }
+
+  /**
+   * Report of every statistic of the current Wrapped, as HTML for the print stylesheet
+   * @returns {string}
+   */
+  renderReport() {
+    const {
+      user, period, summary, projectStats, timeStats, resolutionStats, fieldBreakdowns,
+      timeTrackingStats, funFacts, achievementProgress, leaderboards, comparison, team, project
+    } = this.data;
+    const owner = team ? team.name : project ? `${project.name} (${project.shortName})` : user.fullName || user.login;
+    const kind = team ? 'Team Wrapped' : project ? 'Project Wrapped' : 'Wrapped';
+    // Titles, headers and cells are plain text; the bodies of sections are markup built here
+    const section = (title, body) => `<section class="report-section"><h2>${escapeHtml(title)}</h2>${body}</section>`;
+    const table = (headers, rows) => `
+      <table class="report-table">
+        <thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+      </table>
+    `;
+    const sections = [];
+
+    // Summary, with the previous period when it was collected
+    const summaryRows = [
+      ['Issues created', 'totalIssuesCreated'],
+      ['Issues resolved', 'totalIssuesResolved'],
+      ['Comments', 'totalComments'],
+      ['Articles', 'totalArticles'],
+      ['Triage actions', 'totalTriageActions'],
+      ['Other updates', 'totalActivityEvents'],
+      ['Total contributions', 'totalContributions']
+    ].map(([label, key]) => comparison
+      ? [label, summary[key].toLocaleString(), comparison.summary[key].previous.toLocaleString(), formatPercentChange(comparison.summary[key])]
+      : [label, summary[key].toLocaleString()]);
+    sections.push(section('Summary', comparison
+      ? table(['', period.label, comparison.period.label, 'Change'], summaryRows)
+      : table(['', period.label], summaryRows)));
+
+    if (leaderboards?.length > 0) {
+      sections.push(section(project ? 'Top Contributors' : 'Leaderboards', leaderboards
+        .map(board => `<h3>${escapeHtml(board.label)}</h3>${table(['#', 'Name', 'Count'],
+          board.entries.slice(0, 10).map((entry, index) => [index + 1, entry.name, entry.value.toLocaleString()]))}`)
+        .join('')));
+    }
+
+    if (projectStats.projects.length > 0 && !project) {
+      sections.push(section('Projects', table(
+        ['Project', 'Issues created', 'Issues resolved', 'Comments'],
+        projectStats.projects.map(p => [`${p.name} (${p.shortName})`, p.issuesCreated, p.issuesResolved, p.comments])
+      )));
+    }
+
+    const { buckets, granularity } = timeStats.activityTimeline;
+    const series = ACTIVITY_SERIES.filter(({ key }) => buckets.some(bucket => bucket.byType[key] > 0));
+    sections.push(section('When the Work Happened', `
+      <p>Busiest month: <strong>${escapeHtml(timeStats.busiestMonth.monthName)}</strong> (${escapeHtml(timeStats.busiestMonth.count)} activities) ·
+        power day: <strong>${escapeHtml(timeStats.busiestDayOfWeek.dayName)}</strong> ·
+        peak hour: <strong>${escapeHtml(String(timeStats.busiestHour.hour).padStart(2, '0'))}:00</strong> ·
+        times in ${escapeHtml(period.timeZone || 'UTC')}</p>
+      <div class="report-charts">
+        <figure>${radialClockChart(timeStats.hourlyActivity, { label: 'Activities per hour of the day', unit: 'activities' })}<figcaption>Hour of the day</figcaption></figure>
+        <figure>${barChart(DAY_SHORT_NAMES.map((day, index) => ({ label: day, value: timeStats.dayOfWeekActivity[index] })), { label: 'Activities per day of the week', unit: 'activities', color: '#ec4899' })}<figcaption>Day of the week</figcaption></figure>
+      </div>
+      <figure>${stackedBarChart(buckets.map(bucket => ({ label: bucket.label, values: bucket.byType })), series, { label: 'Activity over time by type', unit: 'activities' })}
+        <figcaption>${granularity === 'week' ? 'Weekly' : 'Monthly'} activity</figcaption></figure>
+      <div class="chart-legend">${chartLegend(series)}</div>
+    `));
+
+    const streak = timeStats.longestStreak;
+    const busiestDay = timeStats.calendar.busiestDay;
+    sections.push(section('Streak', `
+      <p>Longest streak: <strong>${escapeHtml(streak.days)} consecutive day${streak.days === 1 ? '' : 's'}</strong>${streak.days > 0
+        ? escapeHtml(` (${this.formatDate(streak.startDate, { year: 'numeric' })} – ${this.formatDate(streak.endDate, { year: 'numeric' })})`)
+        : ''}</p>
+      ${busiestDay ? `<p>Busiest day: <strong>${escapeHtml(this.formatDate(busiestDay.date, { weekday: 'long', year: 'numeric' }))}</strong> with ${escapeHtml(busiestDay.total)} activities</p>` : ''}
+    `));
+
+    if (resolutionStats.resolvedCount > 0) {
+      const breakdowns = [
+        ['Project', resolutionStats.byProject],
+        ...Object.entries(resolutionStats.byField)
+      ].filter(([, rows]) => rows.length > 1);
+      sections.push(section('Resolution Time', `
+        ${table(['Resolved issues', 'Median', '90th percentile', 'Fastest', 'Slowest'], [[
+          resolutionStats.resolvedCount.toLocaleString(),
+          formatDuration(resolutionStats.medianMs),
+          formatDuration(resolutionStats.p90Ms),
+          `${formatDuration(resolutionStats.fastest.durationMs)} (${resolutionStats.fastest.issue.idReadable})`,
+          `${formatDuration(resolutionStats.slowest.durationMs)} (${resolutionStats.slowest.issue.idReadable})`
+        ]])}
+        ${table(['Time to resolution', 'Issues'], resolutionStats.distribution.map(bucket => [bucket.label, bucket.count]))}
+        ${breakdowns.map(([field, rows]) => `<h3>By ${escapeHtml(field)}</h3>${table([field, 'Issues', 'Median'],
+          rows.map(row => [row.name, row.count, formatDuration(row.medianMs)]))}`).join('')}
+      `));
+    }
+
+    const fields = Object.entries(fieldBreakdowns.fields);
+    if (fields.length > 0) {
+      sections.push(section('Issues by Field', fields
+        .map(([field, breakdown]) => {
+          const values = [...new Set([...breakdown.created, ...breakdown.resolved].map(entry => entry.value))];
+          return `<h3>${escapeHtml(field)}</h3>${table([field, 'Created', 'Resolved'], values.map(value => [
+            value, breakdown.createdByValue[value] || 0, breakdown.resolvedByValue[value] || 0
+          ]))}`;
+        })
+        .join('')));
+    }
+
+    if (timeTrackingStats.totalWorkItems > 0) {
+      sections.push(section('Time Tracking', `
+        <p><strong>${escapeHtml(timeTrackingStats.totalHours.toLocaleString())} hours</strong> logged on ${escapeHtml(timeTrackingStats.activeDays)} days
+          (${escapeHtml(timeTrackingStats.avgHoursPerActiveDay)}h per day logged)</p>
+        ${table(['Project', 'Hours'], timeTrackingStats.byProject.map(p => [p.name || p.shortName, p.hours]))}
+        ${table(['Work type', 'Hours'], timeTrackingStats.byWorkType.map(type => [type.type, type.hours]))}
+      `));
+    }
+
+    if (funFacts.length > 0) {
+      sections.push(section('Fun Facts', `<ul class="report-facts">${funFacts
+        .map(fact => `<li>${escapeHtml(fact.icon)} <strong>${escapeHtml(fact.text)}</strong> — ${escapeHtml(fact.comparison)}</li>`).join('')}</ul>`));
+    }
+
+    const earned = achievementProgress.filter(badge => badge.earned);
+    sections.push(section('Achievements', `
+      <p>${earned.length} of ${achievementProgress.length} badges earned</p>
+      ${table(['Badge', 'Tier', 'Progress'], achievementProgress.map(badge => [
+        `${badge.icon} ${badge.name}${badge.earned ? '' : ' (locked)'}`,
+        badge.earned ? `${badge.tier + 1} of ${badge.tierCount}` : '–',
+        badge.progressText || (badge.earned ? 'Highest tier reached' : '')
+      ]))}
+    `));
+
+    const cover = `
+      <section class="report-cover">
+        <p class="report-kind">YouTrack ${kind}</p>
+        <h1>${escapeHtml(owner)}</h1>
+        <p class="report-period">${escapeHtml(period.label)}</p>
+        <p>${escapeHtml(`${this.formatDate(period.startDate, { year: 'numeric' })} – ${this.formatDate(period.endDate, { year: 'numeric' })} · ${period.timeZone || 'UTC'}`)}</p>
+        <p class="report-total"><strong>${escapeHtml(summary.totalContributions.toLocaleString())}</strong> contributions</p>
+        <p class="report-generated">Generated ${new Date().toLocaleDateString('en-US', { dateStyle: 'long' })}</p>
+      </section>
+    `;
+
+    return cover + sections.join('');
+  }
+
+  /**
+   * The data export buttons: the raw dataset and the statistics as JSON, and
+   * one button per CSV table
+   */
+  setupExport() {
+    const csvButtons = CSV_EXPORTS
+      .map(table => `<button class="history-button" data-export="${table.id}">${table.label} (CSV)</button>`)
+      .join('');
+    document.getElementById('export-csv-buttons').innerHTML = csvButtons;
+
+    document.getElementById('export-section').addEventListener('click', (event) => {
+      const button = event.target.closest('[data-export]');
+      if (button) this.exportData(button.dataset.export);
+    });
+  }
+
+  /**
+   * Download one export of the current Wrapped
+   * @param {string} id - "dataset", "statistics" or a CSV_EXPORTS id
+   */
+  exportData(id) {
+    const { period } = this.data;
+    let blob;
+    if (id === 'dataset') {
+      blob = new Blob([exportDatasetJson(this.rawData)], { type: 'application/json' });
+    } else if (id === 'statistics') {
+      blob = new Blob([exportStatisticsJson(this.data)], { type: 'application/json' });
+    } else {
+      // The byte order mark makes spreadsheet apps read the file as UTF-8
+      blob = new Blob(['\ufeff', exportCsv(id, this.rawData, this.data)], { type: 'text/csv' });
+    }
+    downloadBlob(blob, exportFileName(period, id, id === 'dataset' || id === 'statistics' ? 'json' : 'csv'));
+    console.log(`[YouTrackWrapped] Exported ${id}`);
+  }
+
+  /**
+   * Wire up the "Create shareable page" panel, and opening shared links
+   * pasted into an already open app
+   */
+  setupSharePage() {
+    document.getElementById('create-share-page').addEventListener('click', () => this.renderSharePreview());
+    document.getElementById('share-issue-titles').addEventListener('change', () => this.renderSharePreview());
+    document.getElementById('copy-share-link').addEventListener('click', () => this.copyShareLink());
+    document.getElementById('download-share-page').addEventListener('click', () => this.downloadSharePage());
+    window.addEventListener('hashchange', () => this.openSharedWrapped());
+  }
+
+  /**
+   * Build the shareable payload of the current Wrapped and list exactly what it includes
+   */
+  renderSharePreview() {
+    const includeIssueTitles = document.getElementById('share-issue-titles').checked;
+    this.sharePayload = buildSharePayload(this.data, { includeIssueTitles });
+
+    const groups = [
+      ...describeSharePayload(this.sharePayload).map(group => ({ ...group, included: true })),
+      { label: 'Never included', items: NEVER_SHARED, included: false }
+    ];
+    const preview = document.getElementById('share-preview');
+    preview.replaceChildren(...groups.flatMap(({ label, items, included }) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const description = document.createElement('dd');
+      description.className = included ? '' : 'share-preview-excluded';
+      const list = document.createElement('ul');
+      list.append(...items.map(item => {
+        const entry = document.createElement('li');
+        entry.textContent = item;
+        return entry;
+      }));
+      description.appendChild(list);
+      return [term, description];
+    }));
+
+    document.getElementById('share-page-status').textContent = '';
+    document.getElementById('share-page-panel').style.display = '';
+  }
+
+  /**
+   * Copy a link that opens the previewed payload in the read-only viewer
+   */
+  async copyShareLink() {
+    const status = document.getElementById('share-page-status');
+    const encoded = await encodeSharePayload(this.sharePayload);
+    const url = shareUrl(window.location.href.split('#')[0], encoded);
+    try {
+      await navigator.clipboard.writeText(url);
+      status.textContent = `Link copied (${formatBytes(url.length)}). Anyone with the link sees these slides; nothing is stored on a server.`;
+    } catch (error) {
+      console.warn('[YouTrackWrapped] Could not copy the share link:', error);
+      status.textContent = 'Could not copy the link; download the page instead';
+    }
+    console.log(`[YouTrackWrapped] Share link created, ${url.length} characters`);
+  }
+
+  /**
+   * Download the previewed payload's slides as one HTML file that opens anywhere, offline
+   */
+  async downloadSharePage() {
+    const status = document.getElementById('share-page-status');
+    const { period, team, project, user } = this.sharePayload.statistics;
+
+    const owner = team ? team.name : project ? project.name : user.fullName || user.login;
+    let html;
+    try {
+      html = sharePageHtml({
+        title: `${owner} · YouTrack ${period.label} Wrapped`,
+        styles: loadedStyles('styles.css'),
+        body: this.renderSharedSlides(this.sharePayload)
+      });
+    } catch (error) {
+      console.warn('[YouTrackWrapped] Could not build the shared page:', error);
+      status.textContent = 'Could not build the page; try the link instead';
+      return;
+    }
+    const slug = period.label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    downloadBlob(new Blob([html], { type: 'text/html' }), `youtrack-wrapped-${slug}-shared.html`);
+    status.textContent = `Page downloaded (${formatBytes(html.length)})`;
+    console.log('[YouTrackWrapped] Shared page downloaded');
+  }
+
+  /**
+   * Markup of the slides rendered from a shared payload alone, for the
+   * standalone page. They are rendered into a detached copy of the page by a
+   * viewer of their own, so the Wrapped on screen and its state stay as they are
+   */
+  renderSharedSlides(payload) {
+    const page = document.implementation.createHTMLDocument('');
+    page.body.replaceWith(page.importNode(document.body, true));
+
+    const viewer = Object.assign(Object.create(YouTrackWrapped.prototype), {
+      root: page,
+      data: payload.statistics,
+      config: SHARED_CONFIG,
+      storyCards: [],
+      sharePayload: null
+    });
+    viewer.renderAll();
+    viewer.renderSharedBanner(payload);
+
+    const slides = page.getElementById('wrapped');
+    slides.querySelectorAll(`${OWNER_ONLY_CONTROLS}, .chart-tooltip`).forEach(element => element.remove());
+    // The counters only count up in later frames; the page shows where they end
+    for (const [elementId, key] of SUMMARY_COUNTERS) {
+      slides.querySelector(`#${elementId}`).textContent = payload.statistics.summary[key].toLocaleString();
+    }
+    return slides.outerHTML;
+  }
+
+  /**
+   * Show the Wrapped of a shared link (#share=...) read-only, without
+   * connecting to YouTrack
+   */
+  async openSharedWrapped() {
+    const { hash } = window.location;
+    if (!hash.startsWith(SHARE_FRAGMENT_PREFIX)) return;
+
+    console.log('[YouTrackWrapped] Opening shared Wrapped');
+    document.getElementById('login-screen').style.display = 'none';
+    let payload = null;
+    try {
+      payload = await decodeSharePayload(hash.slice(SHARE_FRAGMENT_PREFIX.length));
+      this.config = SHARED_CONFIG;
+      this.data = payload.statistics;
+      this.rawData = null;
+      this.history = null;
+      document.body.classList.add('shared-view');
+      this.showWrapped();
+      this.renderAll();
+      this.renderSharedBanner(payload);
+      this.setupScrollAnimations();
+      window.scrollTo(0, 0);
+    } catch (error) {
+      console.error('[YouTrackWrapped] Could not open shared Wrapped:', error);
+      document.getElementById('wrapped').style.display = 'none';
+      // Messages of decodeSharePayload() are meant for the user; rendering errors are not
+      this.showError(payload
+        ? `Invalid shared Wrapped: the link could not be shown (${error.message})`
+        : error.message);
+    }
+  }
+
+  /**
+   * The note above a shared Wrapped's slides: read-only, when it was shared,
+   * and a link to make one's own
+   */
+  renderSharedBanner(payload) {
+    const sharedOn = payload.createdAt
+      ? `Shared on ${new Date(payload.createdAt).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' })} · `
+      : '';
+    this.root.getElementById('shared-banner-date').textContent = `${sharedOn}read-only`;
+    this.root.getElementById('shared-banner-link').href = window.location.href.split('#')[0];
+    this.root.getElementById('shared-banner').style.display = '';
+  }
+
   copyToClipboard(text) {
     navigator.clipboard.writeText(text).then(() => {
       const button = document.getElementById('share-button');
@@ -484,6 +2170,213 @@ ${summary.totalContributions} total contributions!`;
   }
 }
 
+/**
+ * Text of one of the page's stylesheets as the browser already loaded it,
+ * so building a page from it needs no network
+ * @param {string} fileName - e.g. 'styles.css'
+ */
+function loadedStyles(fileName) {
+  const sheet = [...document.styleSheets].find(each => each.href && new URL(each.href).pathname.endsWith(`/${fileName}`));
+  if (!sheet) throw new Error(`${fileName} is not loaded`);
+  return [...sheet.cssRules].map(rule => rule.cssText).join('\n');
+}
+
+/**
+ * Card for one badge of an achievement evaluation, or of a team's member badges
+ * @param {string} group - 'own' or 'members', telling the popover which list the badge is in
+ */
+function achievementCard(badge, group) {
+  const showProgress = group === 'own' && badge.next && badge.next.remaining !== null;
+  const rarity = group === 'members'
+    ? `<div class="achievement-rarity">Earned by ${escapeHtml(badge.rarity)}% of the team</div>`
+    : '';
+  const progress = showProgress
+    ? `
+      <div class="achievement-progress"><div class="achievement-progress-fill" style="width: ${Math.round(badge.progress * 100)}%"></div></div>
+      <div class="achievement-next">${escapeHtml(badge.progressText)}</div>
+    `
+    : '';
+
+  return `
+    <button type="button" class="achievement-card${badge.earned ? '' : ' locked'}"
+      data-badge="${escapeHtml(badge.id)}" data-group="${group}" popovertarget="achievement-popover">
+      <div class="achievement-icon">${escapeHtml(badge.icon)}</div>
+      <div class="achievement-name">${escapeHtml(badge.name)}</div>
+      <div class="achievement-description">${escapeHtml(badge.description)}</div>
+      ${rarity}
+      ${progress}
+    </button>
+  `;
+}
+
+/**
+ * Popover content explaining how a badge was computed: the measured value,
+ * every tier's rule and, for member badges, how many members reached each tier
+ * @param {object} context - `owner` ("Your", "Team", ...) for own badges, `memberCount` for member badges
+ */
+function achievementDetails(badge, { owner, memberCount } = {}) {
+  const formatValue = value => (Number.isInteger(value) ? value.toLocaleString() : value.toFixed(2));
+
+  const tiers = badge.tiers.map(tier => {
+    let rule = tier.description || '';
+    if (tier.threshold !== null && badge.comparator) {
+      rule = `${COMPARATOR_TEXT[badge.comparator]} ${formatValue(tier.threshold)}${badge.unit ? ` ${badge.unit}` : ''}`;
+    }
+    const status = memberCount
+      ? `${tier.earnedBy} of ${memberCount}`
+      : (tier.reached ? '✓' : '');
+    return `<li class="${tier.reached ? 'reached' : ''}"><span>${escapeHtml(`${tier.icon || ''} ${tier.name} · ${rule}`)}</span><span>${escapeHtml(status)}</span></li>`;
+  });
+
+  const value = !memberCount && badge.value !== null
+    ? `<p>${escapeHtml(owner)} value: <strong>${escapeHtml(`${formatValue(badge.value)}${badge.unit ? ` ${badge.unit}` : ''}`)}</strong></p>`
+    : '';
+
+  return `
+    <div class="achievement-popover-header"><span>${escapeHtml(badge.icon)}</span><strong>${escapeHtml(badge.name)}</strong></div>
+    <p>${escapeHtml(badge.description)}</p>
+    ${badge.explanation ? `<p>${escapeHtml(badge.explanation)}</p>` : ''}
+    ${value}
+    <ul class="achievement-tiers">${tiers.join('')}</ul>
+    ${!memberCount && badge.progressText ? `<p>${escapeHtml(badge.progressText)}</p>` : ''}
+  `;
+}
+
+/**
+ * A duration in the largest unit that keeps it readable, e.g. "3 hours" or "2.5 days"
+ */
+function formatDuration(ms) {
+  const minutes = ms / 60000;
+  if (minutes < 60) return `${Math.max(1, Math.round(minutes))} min`;
+  const hours = minutes / 60;
+  if (hours < 24) return `${Math.round(hours)} hour${Math.round(hours) === 1 ? '' : 's'}`;
+  const days = Math.round((hours / 24) * 10) / 10;
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * Save a blob as a file through a temporary download link
+ */
+function downloadBlob(blob, fileName) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+/**
+ * Up to two initials of a name, e.g. "JD" for "Jane Doe"
+ */
+function initialsOf(name) {
+  return name
+    .split(' ')
+    .map(n => n[0])
+    .join('')
+    .substring(0, 2)
+    .toUpperCase();
+}
+
+/**
+ * Tooltip of an activity calendar day: the total, then the count of each type
+ */
+function describeDay({ total, byType, inStreak, isBusiest }, dateLabel) {
+  if (total === 0) return `${dateLabel}: no activity`;
+  const nouns = { issue: 'issue', comment: 'comment', article: 'article', activity: 'update' };
+  const parts = Object.entries(byType)
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => `${count} ${nouns[type]}${count === 1 ? '' : 's'}`);
+  const notes = [isBusiest && 'busiest day', inStreak && 'longest streak'].filter(Boolean);
+  return `${dateLabel}: ${total} ${total === 1 ? 'activity' : 'activities'} (${parts.join(', ')})${notes.length ? ` · ${notes.join(', ')}` : ''}`;
+}
+
+/**
+ * A comparison as "+34%", "-5%" or "new" when there was nothing before
+ */
+function formatPercentChange({ current, percent }) {
+  if (percent === null) return current > 0 ? 'new' : '–';
+  return `${percent > 0 ? '+' : ''}${percent}%`;
+}
+
+/**
+ * Replace YouTrack API errors with messages that tell the user what to check
+ * Aborts and other errors are returned unchanged
+ */
+function explainError(error) {
+  if (!(error instanceof YouTrackApiError) || error.isAborted) {
+    return error;
+  }
+  if (error.isNetworkError) {
+    return new Error(
+      'Could not connect to YouTrack. Please check:\n' +
+      '1. The YouTrack URL is correct\n' +
+      '2. Your YouTrack instance has CORS enabled for this origin\n' +
+      '3. You have network connectivity'
+    );
+  }
+  if (error.isAuthError) {
+    return new Error(
+      'Authentication failed. Please check your API token.\n' +
+      'Make sure the token has the required permissions.'
+    );
+  }
+  if (error.isRateLimited) {
+    return new Error(
+      'YouTrack is rate limiting requests and did not recover after retrying as long as it allowed.\n' +
+      'Please wait a few minutes and try again.'
+    );
+  }
+  if (error.isServerError) {
+    return new Error(
+      `YouTrack returned a server error (${error.status}) after several retries.\n` +
+      'The instance may be overloaded or under maintenance. Please try again later.'
+    );
+  }
+  if (error.isInvalidResponse) {
+    return new Error(
+      'YouTrack answered with something other than JSON.\n' +
+      'Please check that the YouTrack URL points at the instance itself, not a login or proxy page.'
+    );
+  }
+  return error;
+}
+
+/**
+ * Sentence describing a change against the previous period, e.g.
+ * "+34% more comments than 2024"
+ */
+function describeChange({ current, previous, percent }, noun, previousLabel) {
+  if (previous === 0) {
+    return current > 0 ? `Up from none in ${previousLabel}` : '';
+  }
+  if (percent === 0) return `Same as ${previousLabel}`;
+  return percent > 0
+    ? `+${percent}% more ${noun} than ${previousLabel}`
+    : `${percent}% fewer ${noun} than ${previousLabel}`;
+}
+
+/**
+ * Whether two lists of project short names contain the same projects
+ */
+function sameProjects(a = [], b = []) {
+  const normalize = list => [...list].map(p => p.toUpperCase()).sort().join(',');
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Text made safe to put into markup, inside elements and quoted attributes
+ * Everything the slides show came from YouTrack, an imported file or a shared
+ * link, so none of it may be interpolated as HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
   new YouTrackWrapped();
@@ -0,0 +1,232 @@
+/**
+ * Achievement Registry
+ * Badges declared as data: a metric read from the calculated statistics, a
+ * comparator and one or more tiers of thresholds, plus optional predicate
+ * functions for rules a single number can't express. Definitions can be
+ * loaded from JSON, so organizations can add their own badges
+ */
+
+/**
+ * Comparators a definition can use; the first two count up towards a threshold
+ */
+const COMPARATORS = {
+  '>=': (value, threshold) => value >= threshold,
+  '>': (value, threshold) => value > threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '<': (value, threshold) => value < threshold,
+  '==': (value, threshold) => value === threshold
+};
+
+/**
+ * Wrapped modes a badge can apply to
+ */
+export const ACHIEVEMENT_MODES = ['personal', 'team', 'project'];
+
+export class AchievementRegistry {
+  /**
+   * @param {object[]} definitions - Achievement definitions (see register())
+   * @param {object} options
+   * @param {Object<string, function>} options.predicates - Named predicates JSON definitions can refer to
+   */
+  constructor(definitions = [], { predicates = {} } = {}) {
+    this.definitions = new Map();
+    this.predicates = new Map(Object.entries(predicates));
+    for (const definition of definitions) {
+      this.register(definition);
+    }
+  }
+
+  /**
+   * Add a badge, replacing any badge with the same id
+   * @param {object} definition
+   * @param {string} definition.id - Unique badge id
+   * @param {string[]} definition.modes - Modes the badge applies to (default ['personal'])
+   * @param {string|function} definition.metric - Dot path into the statistics (e.g. "summary.totalComments"),
+   *   or a function of the statistics returning a number
+   * @param {string} definition.comparator - One of >=, >, <=, <, == (default >=)
+   * @param {string} definition.unit - What the metric counts, for progress text (e.g. "comments")
+   * @param {string} definition.explanation - How the badge is computed, for rules the metric and
+   *   tiers don't explain by themselves
+   * @param {object[]} definition.tiers - Tiers from lowest to highest: { id, name, icon, description, threshold }
+   * @param {string|function} definition.predicate - Extra condition every tier needs: a function of the
+   *   statistics, or the name of a registered predicate. Badges without a metric only use the predicate
+   */
+  register(definition) {
+    const { id, metric, predicate, tiers, comparator = '>=', modes = ['personal'] } = definition;
+    const fail = message => {
+      throw new Error(`Invalid achievement "${id}": ${message}`);
+    };
+
+    if (!id) throw new Error('Invalid achievement: missing id');
+    if (!Array.isArray(tiers) || tiers.length === 0) fail('needs at least one tier');
+    if (!metric && !predicate) fail('needs a metric or a predicate');
+    if (!COMPARATORS[comparator]) fail(`unknown comparator ${comparator}`);
+    if (!modes.every(mode => ACHIEVEMENT_MODES.includes(mode))) fail(`unknown mode in ${modes.join(', ')}`);
+    for (const tier of tiers) {
+      if (!tier.id || !tier.name) fail('every tier needs an id and a name');
+      if (typeof tier.icon !== 'string' || !tier.icon) fail(`tier "${tier.id}" needs an icon`);
+      if (typeof tier.description !== 'string' || !tier.description) fail(`tier "${tier.id}" needs a description`);
+      if (metric && typeof tier.threshold !== 'number') fail(`tier "${tier.id}" needs a numeric threshold`);
+    }
+
+    this.definitions.set(id, { ...definition, comparator, modes });
+    return this;
+  }
+
+  /**
+   * Make a predicate available to definitions by name
+   * @param {string} name
+   * @param {function} predicate - Called with the statistics, returns a boolean
+   */
+  registerPredicate(name, predicate) {
+    this.predicates.set(name, predicate);
+    return this;
+  }
+
+  /**
+   * Register the definitions of a JSON document: an array of definitions, or
+   * an object with an `achievements` array
+   * @param {string|object} json - JSON text or the parsed document
+   * @returns {number} How many definitions were registered
+   */
+  loadJson(json) {
+    const document = typeof json === 'string' ? JSON.parse(json) : json;
+    const definitions = Array.isArray(document) ? document : document?.achievements;
+    if (!Array.isArray(definitions)) {
+      throw new Error('Achievement file must contain an array of definitions or an "achievements" array');
+    }
+    for (const definition of definitions) {
+      this.register(definition);
+    }
+    return definitions.length;
+  }
+
+  /**
+   * Fetch and register a JSON file of definitions
+   * @param {string} url
+   * @returns {Promise<number>} How many definitions were registered (0 when the file doesn't exist)
+   */
+  async loadFromUrl(url) {
+    const response = await fetch(url);
+    if (response.status === 404) return 0;
+    if (!response.ok) throw new Error(`Could not load achievements from ${url}: HTTP ${response.status}`);
+    const count = this.loadJson(await response.json());
+    console.log(`[AchievementRegistry] Loaded ${count} achievements from ${url}`);
+    return count;
+  }
+
+  /**
+   * Evaluate every badge of a mode against the statistics
+   * @param {object} stats - The statistics metric paths and predicates are read from
+   * @param {string} mode - One of ACHIEVEMENT_MODES
+   * @returns {object[]} One result per badge: { id, tierId, name, icon, description, earned, tier,
+   *   tierCount, tiers, value, unit, comparator, explanation, next, progress, progressText }, where
+   *   name, icon and description are those of the highest earned tier (or the first tier while
+   *   locked), tiers lists every tier with whether it was reached, next is the next tier with the
+   *   `remaining` amount to reach it and progress is 0-1 towards it
+   */
+  evaluate(stats, mode = 'personal') {
+    return [...this.definitions.values()]
+      .filter(definition => definition.modes.includes(mode))
+      .map(definition => this.evaluateDefinition(definition, stats));
+  }
+
+  /**
+   * Find the highest tier a badge reaches and the progress towards the next one
+   */
+  evaluateDefinition(definition, stats) {
+    const { id, metric, comparator, tiers, unit, explanation } = definition;
+    const compare = COMPARATORS[comparator];
+    const predicateHolds = this.checkPredicate(definition, stats);
+
+    let value = null;
+    if (metric) {
+      value = typeof metric === 'function' ? metric(stats) : readPath(stats, metric);
+      if (typeof value !== 'number' || Number.isNaN(value)) value = null;
+    }
+
+    let tier = -1;
+    if (predicateHolds) {
+      tiers.forEach((candidate, index) => {
+        if (!metric || (value !== null && compare(value, candidate.threshold))) tier = index;
+      });
+    }
+
+    const shown = tiers[Math.max(tier, 0)];
+    const nextTier = tiers[tier + 1];
+    const countsUp = metric && (comparator === '>=' || comparator === '>');
+
+    let next = null;
+    let progress = tier >= 0 ? 1 : 0;
+    if (nextTier && countsUp && value !== null) {
+      const target = comparator === '>' ? nextTier.threshold + 1 : nextTier.threshold;
+      const remaining = Math.max(0, Math.ceil(target - value));
+      const from = tier >= 0 ? tiers[tier].threshold : 0;
+      next = { id: nextTier.id, name: nextTier.name, threshold: nextTier.threshold, remaining };
+      progress = target > from ? Math.min(1, Math.max(0, (value - from) / (target - from))) : 0;
+    } else if (nextTier) {
+      next = { id: nextTier.id, name: nextTier.name, threshold: nextTier.threshold ?? null, remaining: null };
+    }
+
+    return {
+      id,
+      tierId: tier >= 0 ? tiers[tier].id : null,
+      name: shown.name,
+      icon: shown.icon,
+      description: shown.description,
+      earned: tier >= 0,
+      tier,
+      tierCount: tiers.length,
+      tiers: tiers.map(({ id, name, icon, description, threshold }, index) => ({
+        id, name, icon, description, threshold: threshold ?? null, reached: index <= tier
+      })),
+      value,
+      unit: unit || null,
+      comparator: metric ? comparator : null,
+      explanation: explanation || null,
+      next,
+      progress,
+      progressText: next && next.remaining !== null ? `${next.remaining.toLocaleString()} more ${unit || 'to go'} for ${next.name}` : null
+    };
+  }
+
+  /**
+   * Whether a badge's predicate holds (badges without one always pass)
+   */
+  checkPredicate({ id, predicate }, stats) {
+    if (!predicate) return true;
+    const check = typeof predicate === 'function' ? predicate : this.predicates.get(predicate);
+    if (!check) {
+      console.warn(`[AchievementRegistry] Achievement "${id}" uses unknown predicate "${predicate}"`);
+      return false;
+    }
+    return Boolean(check(stats));
+  }
+}
+
+/**
+ * Earned badges in the { id, name, description, icon } shape the slides show,
+ * keeping the progress towards each badge's next tier
+ * @param {object[]} results - Result of AchievementRegistry.evaluate()
+ */
+export function earnedAchievements(results) {
+  return results
+    .filter(result => result.earned)
+    .map(result => ({
+      id: result.tierId,
+      badge: result.id,
+      name: result.name,
+      description: result.description,
+      icon: result.icon,
+      progressText: result.progressText
+    }));
+}
+
+/**
+ * Read a dot-separated path such as "summary.totalComments"
+ */
+function readPath(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+export default AchievementRegistry;
@@ -0,0 +1,296 @@
+/**
+ * Built-in Achievements
+ * The badge catalog of personal, team and project Wrapped, declared for the
+ * AchievementRegistry. Metric paths are read from the statistics each
+ * calculator passes to the registry (see their evaluateAchievements())
+ */
+
+import { AchievementRegistry } from './achievementRegistry.js';
+
+export const PERSONAL_ACHIEVEMENTS = [
+  {
+    id: 'issues_created',
+    metric: 'summary.totalIssuesCreated',
+    unit: 'issues created',
+    tiers: [
+      { id: 'issue_starter', name: 'Issue Starter', description: 'Created 5+ issues', icon: '🥉', threshold: 5 },
+      { id: 'issue_enthusiast', name: 'Issue Enthusiast', description: 'Created 20+ issues', icon: '🥈', threshold: 20 },
+      { id: 'issue_expert', name: 'Issue Expert', description: 'Created 50+ issues', icon: '🥇', threshold: 50 },
+      { id: 'issue_master', name: 'Issue Master', description: 'Created 100+ issues', icon: '🏆', threshold: 100 }
+    ]
+  },
+  {
+    id: 'issues_resolved',
+    metric: 'summary.totalIssuesResolved',
+    unit: 'issues resolved',
+    tiers: [
+      { id: 'bug_squasher', name: 'Bug Squasher', description: 'Resolved 20+ issues', icon: '👊', threshold: 20 },
+      { id: 'bug_hunter', name: 'Bug Hunter', description: 'Resolved 50+ issues', icon: '🔍', threshold: 50 },
+      { id: 'bug_crusher', name: 'Bug Crusher', description: 'Resolved 100+ issues', icon: '🐛', threshold: 100 }
+    ]
+  },
+  {
+    id: 'comments',
+    metric: 'summary.totalComments',
+    unit: 'comments',
+    tiers: [
+      { id: 'contributor', name: 'Contributor', description: 'Left 50+ comments', icon: '✍️', threshold: 50 },
+      { id: 'conversationalist', name: 'Conversationalist', description: 'Left 200+ comments', icon: '🗣️', threshold: 200 },
+      { id: 'chatterbox', name: 'Chatterbox', description: 'Left 500+ comments', icon: '💬', threshold: 500 }
+    ]
+  },
+  {
+    id: 'articles',
+    metric: 'summary.totalArticles',
+    unit: 'articles',
+    tiers: [
+      { id: 'writer', name: 'Writer', description: 'Created 3+ articles', icon: '✏️', threshold: 3 },
+      { id: 'knowledge_sharer', name: 'Knowledge Sharer', description: 'Created 10+ articles', icon: '📖', threshold: 10 },
+      { id: 'documentation_hero', name: 'Documentation Hero', description: 'Created 20+ articles', icon: '📚', threshold: 20 }
+    ]
+  },
+  {
+    id: 'triage',
+    metric: 'summary.totalTriageActions',
+    unit: 'triage actions',
+    tiers: [
+      { id: 'triager', name: 'Triager', description: '50+ state, priority or assignee changes', icon: '🗂️', threshold: 50 },
+      { id: 'triage_master', name: 'Triage Master', description: '200+ state, priority or assignee changes', icon: '🧭', threshold: 200 }
+    ]
+  },
+  {
+    id: 'streak',
+    metric: 'timeStats.longestStreak.days',
+    unit: 'streak days',
+    tiers: [
+      { id: 'dedicated', name: 'Dedicated', description: '7+ day streak', icon: '💪', threshold: 7 },
+      { id: 'consistent', name: 'Consistent', description: '14+ day streak', icon: '⚡', threshold: 14 },
+      { id: 'unstoppable', name: 'Unstoppable', description: '30+ day streak', icon: '🔥', threshold: 30 }
+    ]
+  },
+  {
+    id: 'projects',
+    metric: 'projectStats.totalProjects',
+    unit: 'projects',
+    tiers: [
+      { id: 'versatile', name: 'Versatile', description: 'Active in 5+ projects', icon: '🎯', threshold: 5 },
+      { id: 'polyglot', name: 'Polyglot', description: 'Active in 10+ projects', icon: '🌍', threshold: 10 }
+    ]
+  },
+  {
+    id: 'critical_responder',
+    metric: 'fieldBreakdowns.criticalResolved',
+    explanation: 'Counts resolved issues with Show-stopper or Critical priority',
+    unit: 'critical issues resolved',
+    tiers: [
+      { id: 'first_responder', name: 'First Responder', description: 'Resolved 5+ critical issues', icon: '🚑', threshold: 5 },
+      { id: 'critical_responder', name: 'Critical Responder', description: 'Resolved 20+ critical issues', icon: '🚨', threshold: 20 }
+    ]
+  },
+  {
+    id: 'bug_reporter',
+    metric: ({ fieldBreakdowns }) => fieldBreakdowns.fields.Type?.createdByValue.Bug || 0,
+    explanation: 'Counts created issues of type Bug',
+    unit: 'bugs reported',
+    tiers: [
+      { id: 'bug_spotter', name: 'Bug Spotter', description: 'Reported 10+ bugs', icon: '🐞', threshold: 10 },
+      { id: 'eagle_eye', name: 'Eagle Eye', description: 'Reported 50+ bugs', icon: '🦅', threshold: 50 }
+    ]
+  },
+  {
+    id: 'feature_factory',
+    metric: ({ fieldBreakdowns }) => fieldBreakdowns.fields.Type?.createdByValue.Feature || 0,
+    explanation: 'Counts created issues of type Feature',
+    unit: 'feature requests',
+    tiers: [
+      { id: 'feature_factory', name: 'Feature Factory', description: 'Filed 10+ feature requests', icon: '🏭', threshold: 10 }
+    ]
+  },
+  {
+    id: 'weekend_warrior',
+    metric: 'activityWindows.weekend',
+    comparator: '>',
+    explanation: 'Counts activities on Saturdays and Sundays',
+    unit: 'weekend activities',
+    tiers: [
+      { id: 'weekend_warrior', name: 'Weekend Warrior', description: 'Active on weekends', icon: '🦸', threshold: 20 }
+    ]
+  },
+  {
+    id: 'night_owl',
+    metric: 'activityWindows.night',
+    comparator: '>',
+    explanation: 'Counts activities between 22:00 and 05:00',
+    unit: 'late-night activities',
+    tiers: [
+      { id: 'night_owl', name: 'Night Owl', description: 'Active late at night', icon: '🦉', threshold: 20 }
+    ]
+  },
+  {
+    id: 'early_bird',
+    metric: 'activityWindows.earlyMorning',
+    comparator: '>',
+    explanation: 'Counts activities between 05:00 and 09:00',
+    unit: 'early-morning activities',
+    tiers: [
+      { id: 'early_bird', name: 'Early Bird', description: 'Active early morning', icon: '🐦', threshold: 20 }
+    ]
+  }
+];
+
+export const TEAM_ACHIEVEMENTS = [
+  {
+    id: 'full_house',
+    modes: ['team'],
+    // Everyone pitched in
+    predicate: stats => stats.members.length > 1 && stats.members.every(member => member.summary.totalContributions > 0),
+    explanation: 'Every member of a team of two or more made at least one contribution',
+    tiers: [
+      { id: 'full_house', name: 'Full House', description: 'Every member contributed', icon: '🤝' }
+    ]
+  },
+  {
+    id: 'team_contributions',
+    modes: ['team'],
+    metric: 'summary.totalContributions',
+    unit: 'contributions',
+    tiers: [
+      { id: 'busy_bees', name: 'Busy Bees', description: '250+ contributions together', icon: '🍯', threshold: 250 },
+      { id: 'hive_mind', name: 'Hive Mind', description: '1000+ contributions together', icon: '🐝', threshold: 1000 }
+    ]
+  },
+  {
+    id: 'squad_goals',
+    modes: ['team'],
+    metric: 'summary.totalIssuesResolved',
+    unit: 'issues resolved',
+    tiers: [
+      { id: 'squad_goals', name: 'Squad Goals', description: 'Resolved 100+ issues together', icon: '🛡️', threshold: 100 }
+    ]
+  },
+  {
+    id: 'team_library',
+    modes: ['team'],
+    metric: 'summary.totalArticles',
+    unit: 'articles',
+    tiers: [
+      { id: 'team_library', name: 'Team Library', description: 'Wrote 10+ articles together', icon: '📚', threshold: 10 }
+    ]
+  },
+  {
+    id: 'balanced_team',
+    modes: ['team'],
+    // Nobody carried the team alone
+    metric: stats => stats.summary.totalContributions > 0
+      ? Math.max(...stats.members.map(member => member.summary.totalContributions)) / stats.summary.totalContributions
+      : 1,
+    comparator: '<=',
+    predicate: stats => stats.members.length >= 3,
+    explanation: 'The top contributor\'s share of all contributions, in teams of three or more',
+    tiers: [
+      { id: 'balanced_team', name: 'Balanced Team', description: 'No member did more than half the work', icon: '⚖️', threshold: 0.5 }
+    ]
+  },
+  {
+    id: 'always_on',
+    modes: ['team'],
+    // Someone was always around
+    metric: 'timeStats.longestStreak.days',
+    unit: 'streak days',
+    tiers: [
+      { id: 'always_on', name: 'Always On', description: '30+ day team streak', icon: '🔥', threshold: 30 }
+    ]
+  },
+  {
+    id: 'around_the_clock',
+    modes: ['team'],
+    metric: stats => Object.values(stats.timeStats.hourlyActivity).filter(count => count > 0).length,
+    explanation: 'Counts the hours of the day with any team activity',
+    unit: 'active hours of the day',
+    tiers: [
+      { id: 'around_the_clock', name: 'Around the Clock', description: 'Active in 20+ hours of the day', icon: '🌐', threshold: 20 }
+    ]
+  }
+];
+
+export const PROJECT_ACHIEVEMENTS = [
+  {
+    id: 'project_issues',
+    modes: ['project'],
+    metric: 'summary.totalIssuesCreated',
+    unit: 'issues filed',
+    tiers: [
+      { id: 'busy_tracker', name: 'Busy Tracker', description: '100+ issues filed', icon: '📈', threshold: 100 },
+      { id: 'bustling', name: 'Bustling', description: '1000+ issues filed', icon: '🏙️', threshold: 1000 }
+    ]
+  },
+  {
+    id: 'inbox_zero',
+    modes: ['project'],
+    predicate: ({ summary }) => summary.totalIssuesCreated > 0 && summary.totalIssuesResolved >= summary.totalIssuesCreated,
+    explanation: 'At least as many issues were resolved as were filed during the period',
+    tiers: [
+      { id: 'inbox_zero', name: 'Inbox Zero', description: 'Resolved at least as many issues as were filed', icon: '📭' }
+    ]
+  },
+  {
+    id: 'quick_turnaround',
+    modes: ['project'],
+    metric: 'resolutionStats.medianDays',
+    comparator: '<=',
+    predicate: ({ resolutionStats }) => resolutionStats.resolvedCount >= 10,
+    explanation: 'Median days from creation to resolution, once at least 10 issues were resolved',
+    tiers: [
+      { id: 'quick_turnaround', name: 'Quick Turnaround', description: 'Median resolution under 2 days', icon: '⚡', threshold: 2 }
+    ]
+  },
+  {
+    id: 'fire_brigade',
+    modes: ['project'],
+    metric: 'fieldBreakdowns.criticalResolved',
+    explanation: 'Counts resolved issues with Show-stopper or Critical priority',
+    unit: 'critical issues resolved',
+    tiers: [
+      { id: 'fire_brigade', name: 'Fire Brigade', description: 'Resolved 10+ critical issues', icon: '🧯', threshold: 10 }
+    ]
+  },
+  {
+    id: 'lively_discussions',
+    modes: ['project'],
+    metric: 'summary.totalComments',
+    unit: 'comments',
+    tiers: [
+      { id: 'lively_discussions', name: 'Lively Discussions', description: '500+ comments', icon: '🗣️', threshold: 500 }
+    ]
+  },
+  {
+    id: 'community',
+    modes: ['project'],
+    metric: ({ leaderboards }) => leaderboards.find(board => board.id === 'reporters')?.entries.length || 0,
+    unit: 'reporters',
+    tiers: [
+      { id: 'community', name: 'Community', description: '10+ different reporters', icon: '👥', threshold: 10 }
+    ]
+  },
+  {
+    id: 'well_documented',
+    modes: ['project'],
+    metric: 'summary.totalArticles',
+    unit: 'articles',
+    tiers: [
+      { id: 'well_documented', name: 'Well Documented', description: '5+ knowledge base articles', icon: '📚', threshold: 5 }
+    ]
+  }
+];
+
+/**
+ * The registry calculators use unless given another one; custom badges loaded
+ * at startup are added to it
+ */
+export const achievementRegistry = new AchievementRegistry([
+  ...PERSONAL_ACHIEVEMENTS,
+  ...TEAM_ACHIEVEMENTS,
+  ...PROJECT_ACHIEVEMENTS
+]);
+
+export default achievementRegistry;
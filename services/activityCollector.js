@@ -0,0 +1,138 @@
+/**
+ * Activity Collector Service (Browser Version)
+ * Collects what the user did to issues (field changes, state transitions, tags,
+ * attachments, links, votes, edits) from the YouTrack activities stream and
+ * normalizes it into a common event shape
+ */
+
+import { periodBounds } from './period.js';
+
+/**
+ * Activity categories collected, mapped to the event type they produce
+ * Comments, issue creation and resolution are left out because DataCollector
+ * already counts them
+ */
+export const ACTIVITY_CATEGORIES = {
+  CustomFieldCategory: 'field-change',
+  TagsCategory: 'tag',
+  AttachmentsCategory: 'attachment',
+  LinksCategory: 'link',
+  VotersCategory: 'vote',
+  SummaryCategory: 'edit',
+  DescriptionCategory: 'edit'
+};
+
+/**
+ * Custom fields whose changes get their own event type
+ */
+const FIELD_EVENT_TYPES = {
+  state: 'state-change',
+  priority: 'priority-change',
+  assignee: 'assignment'
+};
+
+/**
+ * Event types that count as triage work
+ */
+export const TRIAGE_EVENT_TYPES = ['state-change', 'priority-change', 'assignment'];
+
+export class ActivityCollector {
+  /**
+   * @param {YouTrackClient} youtrackClient
+   * @param {object} options
+   * @param {string[]} options.categories - Subset of ACTIVITY_CATEGORIES to collect
+   */
+  constructor(youtrackClient, { categories = Object.keys(ACTIVITY_CATEGORIES) } = {}) {
+    this.client = youtrackClient;
+    this.categories = categories;
+    console.log('[ActivityCollector] Initialized with YouTrack client');
+  }
+
+  /**
+   * Collect the user's activity events for a period, one request stream per category
+   * @param {string} userLogin - The user's login
+   * @param {object} period - Period created by createPeriod()
+   * @param {function} onProgress - Optional progress callback
+   * @param {object} options
+   * @param {number} options.since - Only collect events at or after this timestamp (ms)
+   * @param {boolean} options.cache - Set to false to bypass the response cache
+   * @returns {Promise<object[]>} Normalized events sorted by timestamp
+   */
+  async collectPeriodActivity(userLogin, period, onProgress, { since, cache } = {}) {
+    const bounds = periodBounds(period);
+    const start = since ? Math.max(bounds.start, since) : bounds.start;
+    let total = 0;
+
+    const perCategory = await Promise.all(this.categories.map(async (category) => {
+      const events = [];
+      try {
+        for await (const page of this.client.paginateActivities(userLogin, [category], start, bounds.end, { cache })) {
+          events.push(...page.map(activity => this.normalizeActivity(activity, category)));
+          total += page.length;
+          if (onProgress) onProgress(`Fetched ${total} activity items...`);
+        }
+      } catch (error) {
+        if (error.kind !== 'client' && error.kind !== 'not-found') throw error;
+        // Older instances may not know every category
+        console.warn(`[ActivityCollector] Could not fetch ${category} activities:`, error.message);
+      }
+      console.log(`[ActivityCollector] ${category}: ${events.length} items`);
+      return events;
+    }));
+
+    return perCategory.flat().sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Convert a raw activity item into the common event shape
+   * @returns {{id, type, category, timestamp, field, added, removed, issue}}
+   */
+  normalizeActivity(activity, category = activity.category?.id) {
+    const field = activity.field?.name || null;
+    let type = ACTIVITY_CATEGORIES[category] || 'other';
+    if (category === 'CustomFieldCategory' && field) {
+      type = FIELD_EVENT_TYPES[field.toLowerCase()] || type;
+    }
+
+    // Summary and description edits carry the full text; keep only the fact of the edit
+    const keepValues = type !== 'edit';
+
+    return {
+      id: activity.id,
+      type,
+      category,
+      timestamp: activity.timestamp,
+      field,
+      added: keepValues ? valueNames(activity.added) : [],
+      removed: keepValues ? valueNames(activity.removed) : [],
+      issue: issueSummary(activity.target)
+    };
+  }
+}
+
+/**
+ * Display names of activity values (enum values, users, tags, attachments, ...)
+ */
+function valueNames(values) {
+  if (!Array.isArray(values)) return [];
+  return values
+    .map(value => value?.name || value?.fullName || value?.login || null)
+    .filter(Boolean);
+}
+
+/**
+ * The issue an activity belongs to; the target is either the issue itself or an
+ * entity (attachment, link) that references it
+ */
+function issueSummary(target) {
+  const issue = target?.idReadable ? target : target?.issue;
+  if (!issue) return null;
+  return {
+    id: issue.id,
+    idReadable: issue.idReadable,
+    summary: issue.summary,
+    project: issue.project
+  };
+}
+
+export default ActivityCollector;
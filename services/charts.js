@@ -0,0 +1,232 @@
+/**
+ * SVG Charts
+ * Small dependency-free charts for the slides, returned as SVG markup: a
+ * 24-hour radial clock, a bar chart and a stacked bar chart. Every mark is
+ * focusable and carries an aria-label, which attachTooltips() also shows as a
+ * tooltip on hover and focus
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Activity per hour of the day as wedges around a clock face, midnight at the top
+ * @param {number[]|Object<number, number>} values - Count per hour, 0-23
+ * @param {object} options
+ * @param {string} options.label - Accessible name of the chart
+ * @param {string} options.unit - What the values count, for labels (e.g. "activities")
+ * @param {string} options.color - Wedge color
+ * @param {number} options.highlight - Hour to emphasize (e.g. the busiest one)
+ * @returns {string} SVG markup
+ */
+export function radialClockChart(values, { label, unit = '', color = '#6366f1', highlight = null } = {}) {
+  const size = 260;
+  const center = size / 2;
+  const innerRadius = 34;
+  const outerRadius = 100;
+  const counts = Array.from({ length: 24 }, (_, hour) => values[hour] || 0);
+  const maxValue = Math.max(1, ...counts);
+
+  const wedges = counts.map((count, hour) => {
+    // Area, not radius, grows with the count, so busy hours don't look inflated
+    const radius = innerRadius + Math.sqrt(count / maxValue) * (outerRadius - innerRadius);
+    const start = (hour / 24) * 2 * Math.PI;
+    const end = ((hour + 1) / 24) * 2 * Math.PI;
+    const path = [
+      `M ${polar(center, innerRadius, start)}`,
+      `L ${polar(center, Math.max(radius, innerRadius + 2), start)}`,
+      `A ${Math.max(radius, innerRadius + 2)} ${Math.max(radius, innerRadius + 2)} 0 0 1 ${polar(center, Math.max(radius, innerRadius + 2), end)}`,
+      `L ${polar(center, innerRadius, end)}`,
+      `A ${innerRadius} ${innerRadius} 0 0 0 ${polar(center, innerRadius, start)}`,
+      'Z'
+    ].join(' ');
+    const hourLabel = `${String(hour).padStart(2, '0')}:00–${String((hour + 1) % 24).padStart(2, '0')}:00`;
+    return mark('path', { d: path, fill: color, class: hour === highlight ? 'highlight' : '' }, `${hourLabel}: ${withUnit(count, unit)}`);
+  });
+
+  const ticks = [0, 6, 12, 18].map(hour => {
+    const [x, y] = polar(center, outerRadius + 14, (hour / 24) * 2 * Math.PI).split(' ');
+    return `<text class="chart-axis" x="${x}" y="${Number(y) + 4}" text-anchor="middle">${String(hour).padStart(2, '0')}</text>`;
+  });
+
+  return svg(size, size, label, [
+    `<circle class="chart-ring" cx="${center}" cy="${center}" r="${outerRadius}"></circle>`,
+    `<circle class="chart-ring" cx="${center}" cy="${center}" r="${innerRadius}"></circle>`,
+    ...wedges,
+    ...ticks
+  ]);
+}
+
+/**
+ * Vertical bars with a label under each
+ * @param {Array<{label: string, value: number, title?: string}>} items - Bars in order; `title`
+ *   names the bar in tooltips when the axis label is abbreviated
+ * @param {object} options
+ * @param {string} options.label - Accessible name of the chart
+ * @param {string} options.unit - What the values count, for labels
+ * @param {string} options.color - Bar color
+ * @param {number} options.highlight - Index of the bar to emphasize
+ * @returns {string} SVG markup
+ */
+export function barChart(items, { label, unit = '', color = '#6366f1', highlight = null } = {}) {
+  const width = 360;
+  const height = 180;
+  const padding = { top: 8, bottom: 24, side: 4 };
+  const plotHeight = height - padding.top - padding.bottom;
+  const slot = (width - padding.side * 2) / Math.max(items.length, 1);
+  const maxValue = Math.max(1, ...items.map(item => item.value));
+
+  const bars = items.map((item, index) => {
+    const barHeight = Math.max((item.value / maxValue) * plotHeight, 2);
+    const x = padding.side + index * slot + slot * 0.15;
+    return mark('rect', {
+      x,
+      y: padding.top + plotHeight - barHeight,
+      width: slot * 0.7,
+      height: barHeight,
+      rx: 4,
+      fill: color,
+      class: index === highlight ? 'highlight' : ''
+    }, `${item.title || item.label}: ${withUnit(item.value, unit)}`);
+  });
+
+  const labels = items.map((item, index) =>
+    `<text class="chart-axis" x="${round(padding.side + (index + 0.5) * slot)}" y="${height - 6}" text-anchor="middle">${escapeXml(item.label)}</text>`
+  );
+
+  return svg(width, height, label, [...bars, ...labels]);
+}
+
+/**
+ * Bars split into stacked segments, one per series
+ * @param {Array<{label: string, values: Object<string, number>}>} buckets - Bars in order
+ * @param {Array<{key: string, label: string, color: string}>} series - Segments from the bottom up
+ * @param {object} options
+ * @param {string} options.label - Accessible name of the chart
+ * @param {string} options.unit - What the values count, for labels
+ * @returns {string} SVG markup
+ */
+export function stackedBarChart(buckets, series, { label, unit = '' } = {}) {
+  const width = 640;
+  const height = 200;
+  const padding = { top: 8, bottom: 24, side: 4 };
+  const plotHeight = height - padding.top - padding.bottom;
+  const slot = (width - padding.side * 2) / Math.max(buckets.length, 1);
+  const totalOf = bucket => series.reduce((sum, { key }) => sum + (bucket.values[key] || 0), 0);
+  const maxValue = Math.max(1, ...buckets.map(totalOf));
+  // Thin out labels so long periods stay readable
+  const labelStep = Math.ceil(buckets.length / 12);
+
+  const bars = buckets.map((bucket, index) => {
+    const x = padding.side + index * slot + slot * 0.15;
+    let y = padding.top + plotHeight;
+    const segments = series
+      .filter(({ key }) => bucket.values[key] > 0)
+      .map(({ key, color }) => {
+        const segmentHeight = (bucket.values[key] / maxValue) * plotHeight;
+        y -= segmentHeight;
+        return `<rect x="${round(x)}" y="${round(y)}" width="${round(slot * 0.7)}" height="${round(segmentHeight)}" fill="${color}"></rect>`;
+      });
+    const parts = series
+      .filter(({ key }) => bucket.values[key] > 0)
+      .map(({ key, label: seriesLabel }) => `${seriesLabel.toLowerCase()}: ${bucket.values[key].toLocaleString()}`);
+    const description = `${bucket.label}: ${withUnit(totalOf(bucket), unit)}${parts.length ? ` (${parts.join(', ')})` : ''}`;
+    // An invisible full-height target, so thin bars are easy to hover
+    const target = `<rect class="chart-target" x="${round(padding.side + index * slot)}" y="${padding.top}" width="${round(slot)}" height="${plotHeight}"></rect>`;
+    return mark('g', {}, description, target + segments.join(''));
+  });
+
+  const labels = buckets.map((bucket, index) => index % labelStep === 0
+    ? `<text class="chart-axis" x="${round(padding.side + (index + 0.5) * slot)}" y="${height - 6}" text-anchor="middle">${escapeXml(bucket.label)}</text>`
+    : '');
+
+  return svg(width, height, label, [...bars, ...labels]);
+}
+
+/**
+ * HTML legend of a chart's series
+ * @param {Array<{label: string, color: string}>} series
+ */
+export function chartLegend(series) {
+  return series
+    .map(({ label, color }) => `<span class="chart-legend-item"><span class="chart-swatch" style="background: ${color}"></span>${escapeXml(label)}</span>`)
+    .join('');
+}
+
+/**
+ * Show the label of the chart mark under the pointer, or with keyboard focus,
+ * in a tooltip; call once per container, charts can be re-rendered in its
+ * child elements
+ * @param {HTMLElement} container
+ */
+export function attachTooltips(container) {
+  const tooltip = document.createElement('div');
+  tooltip.className = 'chart-tooltip';
+  tooltip.setAttribute('aria-hidden', 'true');
+  container.style.position = 'relative';
+  container.appendChild(tooltip);
+
+  const show = (target, clientX, clientY) => {
+    const bounds = container.getBoundingClientRect();
+    tooltip.textContent = target.getAttribute('aria-label');
+    tooltip.style.left = `${clientX - bounds.left}px`;
+    tooltip.style.top = `${clientY - bounds.top}px`;
+    tooltip.classList.add('visible');
+  };
+  const hide = () => tooltip.classList.remove('visible');
+
+  container.addEventListener('pointermove', (event) => {
+    const target = event.target.closest?.('.chart-mark');
+    if (target) show(target, event.clientX, event.clientY);
+    else hide();
+  });
+  container.addEventListener('pointerleave', hide);
+  container.addEventListener('focusin', (event) => {
+    const target = event.target.closest?.('.chart-mark');
+    if (!target) return;
+    const rect = target.getBoundingClientRect();
+    show(target, rect.left + rect.width / 2, rect.top);
+  });
+  container.addEventListener('focusout', hide);
+}
+
+/**
+ * An <svg> root scaling to its container's width
+ */
+function svg(width, height, label, children) {
+  return `<svg class="svg-chart" xmlns="${SVG_NS}" viewBox="0 0 ${width} ${height}" role="group" aria-label="${escapeXml(label || '')}">${children.join('')}</svg>`;
+}
+
+/**
+ * A focusable chart element described by its aria-label
+ */
+function mark(tag, { class: className = '', ...attributes }, description, content = '') {
+  const attrs = Object.entries(attributes)
+    .map(([name, value]) => `${name}="${typeof value === 'number' ? round(value) : value}"`)
+    .join(' ');
+  return `<${tag} class="${`chart-mark ${className}`.trim()}" ${attrs} role="img" tabindex="0" aria-label="${escapeXml(description)}">${content}</${tag}>`;
+}
+
+/**
+ * "x y" of a point at an angle (radians, clockwise from 12 o'clock) around the center
+ */
+function polar(center, radius, angle) {
+  return `${round(center + radius * Math.sin(angle))} ${round(center - radius * Math.cos(angle))}`;
+}
+
+function withUnit(value, unit) {
+  return unit ? `${value.toLocaleString()} ${unit}` : value.toLocaleString();
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export default radialClockChart;
@@ -3,10 +3,34 @@
  * Collects and aggregates data from YouTrack for the Wrapped statistics
  */
 
+import { createPeriod, periodBounds, periodQueryRange, yearPeriod } from './period.js';
+import { zonedParts } from './timeZone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Ways of collecting the user's comments:
+ * - activities: the activities API filtered by author and time (least traffic)
+ * - per-issue: the user's commented issues, then each issue's comments endpoint
+ * - embedded: commented issues with every comment embedded (original approach)
+ */
+export const COMMENT_STRATEGIES = ['activities', 'per-issue', 'embedded'];
+
 export class DataCollector {
-  constructor(youtrackClient) {
+  /**
+   * @param {YouTrackClient} youtrackClient
+   * @param {object} options
+   * @param {string} options.commentStrategy - One of COMMENT_STRATEGIES (default 'activities')
+   * @param {ActivityCollector} options.activityCollector - Also collects the user's activity events when set
+   */
+  constructor(youtrackClient, { commentStrategy = 'activities', activityCollector = null } = {}) {
+    if (!COMMENT_STRATEGIES.includes(commentStrategy)) {
+      throw new Error(`Unknown comment strategy: ${commentStrategy}`);
+    }
     this.client = youtrackClient;
-    console.log('[DataCollector] Initialized with YouTrack client');
+    this.commentStrategy = commentStrategy;
+    this.activityCollector = activityCollector;
+    console.log(`[DataCollector] Initialized with YouTrack client (comment strategy: ${commentStrategy})`);
   }
 
   /**
@@ -14,56 +38,364 @@ export class DataCollector {
    * @param {number} year - The year to collect data for
    * @param {string[]} articleProjects - Project short names to fetch articles from
    * @param {function} onProgress - Optional progress callback
+   * @param {object} options
+   * @param {object} options.user - Collect for this user instead of the token's owner
+   * @param {string} options.timeZone - Time zone the year's days are counted in
    */
-  async collectYearData(year, articleProjects = [], onProgress) {
-    const startDate = `${year}-01-01`;
-    const endDate = `${year}-12-31`;
+  async collectYearData(year, articleProjects = [], onProgress, { user, timeZone } = {}) {
+    const period = timeZone ? createPeriod({ type: 'year', year, timeZone }) : yearPeriod(year);
+    return this.collectPeriodData(period, articleProjects, onProgress, { user });
+  }
+
+  /**
+   * The calendar years a user has been active in, from the year of their first
+   * reported issue or comment up to the current year
+   * @param {object} user - The user returned by getCurrentUser
+   * @param {string} timeZone - Time zone the years are counted in
+   * @returns {Promise<number[]>} Years in ascending order (empty when the user has no activity)
+   */
+  async findActiveYears(user, timeZone = 'UTC') {
+    const first = await this.client.getFirstActivityTimestamp(user.login);
+    if (first === null) return [];
+
+    const firstYear = zonedParts(first, timeZone).year;
+    const currentYear = zonedParts(Date.now(), timeZone).year;
+    const years = [];
+    for (let year = firstYear; year <= currentYear; year++) {
+      years.push(year);
+    }
+    console.log(`[DataCollector] ${user.login} has been active since ${firstYear}`);
+    return years;
+  }
+
+  /**
+   * Collect all data for a period (year, quarter, sprint window, ...)
+   * @param {object} period - Period created by createPeriod()
+   * @param {string[]} articleProjects - Project short names to fetch articles from
+   * @param {function} onProgress - Optional progress callback
+   * @param {object} options
+   * @param {object} options.user - Collect for this user instead of the token's owner
+   */
+  async collectPeriodData(period, articleProjects = [], onProgress, { user } = {}) {
     const collectionId = Math.random().toString(36).substring(7);
 
-    console.log(`[DataCollector][${collectionId}] Starting data collection for year ${year}`);
-    console.log(`[DataCollector][${collectionId}] Date range: ${startDate} to ${endDate}`);
+    console.log(`[DataCollector][${collectionId}] Starting data collection for ${period.label}`);
+    console.log(`[DataCollector][${collectionId}] Date range: ${period.startDate} to ${period.endDate} (${period.timeZone || 'UTC'})`);
 
     const updateProgress = (message) => {
       if (onProgress) onProgress(message);
     };
 
     // Get current user
+    let currentUser = user;
+    if (!currentUser) {
+      updateProgress('Fetching your user information...');
+      try {
+        currentUser = await this.client.getCurrentUser();
+      } catch (error) {
+        console.error(`[DataCollector][${collectionId}] Failed to fetch current user:`, error.message);
+        throw error;
+      }
+    }
+    console.log(`[DataCollector][${collectionId}] Collecting for: ${currentUser.fullName} (${currentUser.login})`);
+
+    const activity = await this.fetchActivity(currentUser, period, articleProjects, updateProgress, collectionId);
+
+    console.log(`[DataCollector][${collectionId}] Data collection complete`);
+
+    return {
+      user: currentUser,
+      year: period.year,
+      period,
+      articleProjects,
+      ...activity,
+      collectedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Collect a period's data for every member of a team, one member at a time
+   * @param {object} period - Period created by createPeriod()
+   * @param {object} team
+   * @param {string} team.name - Display name of the team
+   * @param {string[]} team.logins - Member logins
+   * @param {string} team.group - YouTrack group whose members make up the team (instead of logins)
+   * @param {string[]} articleProjects - Project short names to fetch articles from
+   * @param {function} onProgress - Optional progress callback
+   * @returns {Promise<{team: {name, group}, period, year, articleProjects, members: object[], collectedAt}>}
+   *   where members holds one collectPeriodData result per member
+   */
+  async collectTeamData(period, { name, logins = [], group } = {}, articleProjects = [], onProgress) {
+    const updateProgress = (message) => {
+      if (onProgress) onProgress(message);
+    };
+
+    if (group) {
+      updateProgress(`Fetching the members of ${group}...`);
+      logins = await this.client.getGroupMemberLogins(group);
+      if (!logins) throw new Error(`Group not found: ${group}`);
+    }
+    if (logins.length === 0) throw new Error('The team has no members');
+
+    updateProgress('Looking up team members...');
+    const users = await Promise.all(logins.map(async (login) => {
+      const user = await this.client.getUserByLogin(login);
+      if (!user) throw new Error(`User not found: ${login}`);
+      return user;
+    }));
+
+    const members = [];
+    for (const [index, user] of users.entries()) {
+      const prefix = `${user.fullName || user.login} (${index + 1}/${users.length})`;
+      members.push(await this.collectPeriodData(period, articleProjects, (message) => updateProgress(`${prefix}: ${message}`), { user }));
+    }
+
+    return {
+      team: { name: name || group || 'Team', group: group || null },
+      year: period.year,
+      period,
+      articleProjects,
+      members,
+      collectedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Collect a period's data for a whole project: issues created and resolved in
+   * it, every comment added to its issues, and its knowledge base articles
+   * @param {object} period - Period created by createPeriod()
+   * @param {string} projectShortName - The project's short name
+   * @param {function} onProgress - Optional progress callback
+   * @returns {Promise<object>} A dataset shaped like collectPeriodData's, with `project`
+   *   set and `user` standing in for the project
+   */
+  async collectProjectData(period, projectShortName, onProgress) {
+    const collectionId = Math.random().toString(36).substring(7);
+    const updateProgress = (message) => {
+      if (onProgress) onProgress(message);
+    };
+
+    console.log(`[DataCollector][${collectionId}] Starting project data collection for ${projectShortName}, ${period.label}`);
+
+    updateProgress('Fetching project information...');
+    const projects = await this.client.getProjects();
+    const project = projects.find(p => p.shortName.toLowerCase() === projectShortName.toLowerCase());
+    if (!project) throw new Error(`Project not found: ${projectShortName}`);
+
+    updateProgress(`Fetching ${project.name} issues, comments, and articles...`);
+    const { startDate, endDate } = periodQueryRange(period);
+    const { start, end } = periodBounds(period);
+    const inPeriod = timestamp => timestamp >= start && timestamp <= end;
+
+    const [createdIssues, resolvedIssues, comments, allArticles] = await Promise.all([
+      this.client.getIssuesCreatedInProject(project.shortName, startDate, endDate, updateProgress),
+      this.client.getIssuesResolvedInProject(project.shortName, startDate, endDate, updateProgress),
+      this.collectProjectComments(project.shortName, period, updateProgress),
+      this.client.getArticles([project.shortName], updateProgress)
+    ]);
+
+    const dataset = {
+      project: { id: project.id, name: project.name, shortName: project.shortName },
+      user: { login: project.shortName, fullName: project.name },
+      year: period.year,
+      period,
+      articleProjects: [project.shortName],
+      createdIssues: createdIssues.filter(issue => inPeriod(issue.created)),
+      resolvedIssues: resolvedIssues.filter(issue => inPeriod(issue.resolved)),
+      comments,
+      articles: allArticles.filter(article => inPeriod(article.created)),
+      workItems: [],
+      activities: [],
+      collectedAt: new Date().toISOString()
+    };
+
+    console.log(`[DataCollector][${collectionId}] Project collection complete: ` +
+      `${dataset.createdIssues.length} created, ${dataset.resolvedIssues.length} resolved, ` +
+      `${dataset.comments.length} comments, ${dataset.articles.length} articles`);
+
+    return dataset;
+  }
+
+  /**
+   * Collect every comment added to a project's issues within the period
+   * Instances without the activities API report no comments rather than failing
+   */
+  async collectProjectComments(projectShortName, period, onProgress) {
+    const { start, end } = periodBounds(period);
+    const comments = [];
+
+    try {
+      for await (const page of this.client.paginateProjectCommentActivities(projectShortName, start, end)) {
+        for (const activity of page) {
+          for (const comment of activity.added || []) {
+            if (!comment.deleted && comment.issue && comment.created >= start && comment.created <= end) {
+              comments.push(toUserComment(comment, comment.issue));
+            }
+          }
+        }
+        if (onProgress) onProgress(`Fetched ${comments.length} comments...`);
+      }
+    } catch (error) {
+      if (error.kind !== 'client' && error.kind !== 'not-found') throw error;
+      console.warn('[DataCollector] Could not fetch project comments:', error.message);
+    }
+
+    return comments;
+  }
+
+  /**
+   * Refresh a previously collected dataset by fetching only the issues, comments
+   * and articles updated since it was collected, and merging them in by id
+   * Issues no longer in the period and comments deleted since are dropped
+   * @param {object} previous - Raw dataset returned by an earlier collectPeriodData/refreshData
+   * @param {function} onProgress - Optional progress callback
+   */
+  async refreshData(previous, onProgress) {
+    // Datasets stored before custom periods existed only carry the year
+    const period = previous.period || yearPeriod(previous.year);
+    const articleProjects = previous.articleProjects || [];
+    const collectionId = Math.random().toString(36).substring(7);
+
+    // Step back a day: YouTrack compares dates in the server's timezone, and
+    // re-fetching a few unchanged items is harmless since they merge by id
+    const updatedSinceMs = new Date(previous.collectedAt).getTime() - DAY_MS;
+    const updatedSince = new Date(updatedSinceMs).toISOString().slice(0, 10);
+
+    console.log(`[DataCollector][${collectionId}] Refreshing data for ${period.label}`);
+    console.log(`[DataCollector][${collectionId}] Last collected at ${previous.collectedAt}, fetching updates since ${updatedSince}`);
+
+    const updateProgress = (message) => {
+      if (onProgress) onProgress(message);
+    };
+
     updateProgress('Fetching your user information...');
     let currentUser;
     try {
       currentUser = await this.client.getCurrentUser();
-      console.log(`[DataCollector][${collectionId}] Current user: ${currentUser.fullName} (${currentUser.login})`);
     } catch (error) {
       console.error(`[DataCollector][${collectionId}] Failed to fetch current user:`, error.message);
       throw error;
     }
 
+    const [updates, currentIssueIds] = await Promise.all([
+      this.fetchActivity(currentUser, period, articleProjects, updateProgress, collectionId, {
+        updatedSince,
+        updatedSinceMs,
+        cache: false
+      }),
+      this.fetchCurrentIssueIds(currentUser.login, period)
+    ]);
+
+    updateProgress('Merging updates into your previous data...');
+    // Issues that were reopened, reassigned, moved out of the period or deleted
+    // since are no longer listed by the period's queries
+    const { start, end } = periodBounds(period);
+    const createdIssues = mergeById(previous.createdIssues, updates.createdIssues)
+      .filter(issue => currentIssueIds.created.has(issue.id) && issue.created >= start && issue.created <= end);
+    const resolvedIssues = mergeById(previous.resolvedIssues, updates.resolvedIssues)
+      .filter(issue => currentIssueIds.resolved.has(issue.id) && issue.resolved >= start && issue.resolved <= end);
+    const deletedComments = new Set(updates.comments.filter(comment => comment.deleted).map(comment => comment.id));
+    const comments = mergeById(previous.comments, updates.comments.filter(comment => !comment.deleted))
+      .filter(comment => !deletedComments.has(comment.id));
+
+    const merged = {
+      user: currentUser,
+      year: period.year,
+      period,
+      articleProjects,
+      createdIssues,
+      resolvedIssues,
+      comments,
+      articles: mergeById(previous.articles, updates.articles),
+      // Work items are filtered by the day worked, not when they were logged,
+      // so they are always refetched in full (which also drops deleted ones)
+      workItems: updates.workItems,
+      activities: mergeById(previous.activities, updates.activities),
+      collectedAt: new Date().toISOString()
+    };
+
+    console.log(`[DataCollector][${collectionId}] Refresh complete: ` +
+      `${updates.createdIssues.length} created, ${updates.resolvedIssues.length} resolved, ` +
+      `${updates.comments.length - deletedComments.size} comments, ${updates.articles.length} articles, ` +
+      `${updates.activities.length} activity items updated, ${deletedComments.size} comments deleted`);
+
+    return merged;
+  }
+
+  /**
+   * Ids of the issues the user created and resolved in a period, as YouTrack
+   * lists them now; only ids are transferred
+   * @returns {Promise<{created: Set<string>, resolved: Set<string>}>}
+   */
+  async fetchCurrentIssueIds(userLogin, period) {
+    const { startDate, endDate } = periodQueryRange(period);
+    const options = { fields: 'id', cache: false };
+    const [created, resolved] = await Promise.all([
+      this.client.getIssuesCreatedByUser(userLogin, startDate, endDate, null, options),
+      this.client.getIssuesResolvedByUser(userLogin, startDate, endDate, null, options)
+    ]);
+    return {
+      created: new Set(created.map(issue => issue.id)),
+      resolved: new Set(resolved.map(issue => issue.id))
+    };
+  }
+
+  /**
+   * Fetch the user's issues, comments, articles, work items and activity events for a period in parallel
+   * @param {object} currentUser - The user returned by getCurrentUser
+   * @param {object} period - The period to collect data for
+   * @param {string[]} articleProjects - Project short names to fetch articles from
+   * @param {function} updateProgress - Progress callback
+   * @param {string} collectionId - Identifier used in log messages
+   * @param {object} options - `updatedSince` (YYYY-MM-DD), `updatedSinceMs` and `cache`
+   *   to restrict the fetch to recent changes
+   */
+  async fetchActivity(currentUser, period, articleProjects, updateProgress, collectionId, options = {}) {
+    const { updatedSinceMs, ...issueOptions } = options;
+    const { startDate, endDate } = periodQueryRange(period);
+
     // Collect all data in parallel
     updateProgress('Fetching your issues, comments, and articles...');
     const parallelStart = Date.now();
 
-    let createdIssues, resolvedIssues, issuesWithComments, allArticles;
+    let createdIssues, resolvedIssues, userComments, allArticles, workItems, activities;
     try {
-      [createdIssues, resolvedIssues, issuesWithComments, allArticles] = await Promise.all([
-        this.client.getIssuesCreatedByUser(currentUser.login, startDate, endDate, updateProgress)
+      [createdIssues, resolvedIssues, userComments, allArticles, workItems, activities] = await Promise.all([
+        this.client.getIssuesCreatedByUser(currentUser.login, startDate, endDate, updateProgress, issueOptions)
           .then(result => {
             console.log(`[DataCollector][${collectionId}] Created issues: ${result.length} items`);
             return result;
           }),
-        this.client.getIssuesResolvedByUser(currentUser.login, startDate, endDate, updateProgress)
+        this.client.getIssuesResolvedByUser(currentUser.login, startDate, endDate, updateProgress, issueOptions)
           .then(result => {
             console.log(`[DataCollector][${collectionId}] Resolved issues: ${result.length} items`);
             return result;
           }),
-        this.client.getIssuesWithComments(currentUser.login, startDate, endDate, updateProgress)
+        this.collectUserComments(currentUser.login, period, updateProgress, issueOptions)
           .then(result => {
-            console.log(`[DataCollector][${collectionId}] Issues with comments: ${result.length} items`);
+            console.log(`[DataCollector][${collectionId}] Found ${result.length} comments by user`);
             return result;
           }),
-        this.client.getArticles(articleProjects, updateProgress)
+        this.client.getArticles(articleProjects, updateProgress, { updatedSince: updatedSinceMs, cache: issueOptions.cache })
           .then(result => {
             console.log(`[DataCollector][${collectionId}] Articles: ${result.length} items`);
             return result;
+          }),
+        // Work item dates are calendar days, so they need no time zone margin
+        this.collectWorkItems(currentUser.login, period.startDate, period.endDate, updateProgress, { cache: issueOptions.cache })
+          .then(result => {
+            console.log(`[DataCollector][${collectionId}] Work items: ${result.length} items`);
+            return result;
+          }),
+        (this.activityCollector
+          ? this.activityCollector.collectPeriodActivity(currentUser.login, period, updateProgress, {
+            since: updatedSinceMs,
+            cache: issueOptions.cache
+          })
+          : Promise.resolve([]))
+          .then(result => {
+            console.log(`[DataCollector][${collectionId}] Activity items: ${result.length} items`);
+            return result;
           })
       ]);
     } catch (error) {
@@ -74,56 +406,229 @@ export class DataCollector {
     const parallelDuration = Date.now() - parallelStart;
     console.log(`[DataCollector][${collectionId}] Parallel fetch completed in ${parallelDuration}ms`);
 
-    // Extract user's comments from all issues
-    updateProgress('Processing your comments...');
-    const userComments = this.extractUserComments(issuesWithComments, currentUser.login, year);
-    console.log(`[DataCollector][${collectionId}] Found ${userComments.length} comments by user`);
+    // The issue queries cover an extra day on each side; keep what falls in the period's time zone
+    const { start, end } = periodBounds(period);
+    createdIssues = createdIssues.filter(issue => issue.created >= start && issue.created <= end);
+    resolvedIssues = resolvedIssues.filter(issue => issue.resolved >= start && issue.resolved <= end);
 
-    // Filter articles by user and year
+    // Filter articles by user and period
     updateProgress('Processing your articles...');
-    const userArticles = this.filterArticlesByUserAndYear(allArticles, currentUser.login, year);
+    const userArticles = this.filterArticlesByUserAndPeriod(allArticles, currentUser.login, period);
     console.log(`[DataCollector][${collectionId}] Found ${userArticles.length} articles by user`);
 
-    console.log(`[DataCollector][${collectionId}] Data collection complete`);
-
     return {
-      user: currentUser,
-      year,
       createdIssues,
       resolvedIssues,
       comments: userComments,
       articles: userArticles,
-      collectedAt: new Date().toISOString()
+      workItems,
+      activities
     };
   }
 
   /**
-   * Extract comments made by the user within the year
+   * Collect the user's work items; instances with time tracking disabled
+   * reject the endpoint, which just means there is nothing to report
+   */
+  async collectWorkItems(userLogin, startDate, endDate, onProgress, options = {}) {
+    try {
+      return await this.client.getWorkItems(userLogin, startDate, endDate, onProgress, options);
+    } catch (error) {
+      if (error.kind !== 'client' && error.kind !== 'not-found') throw error;
+      console.warn('[DataCollector] Could not fetch work items:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Collect the user's comments using the configured strategy
+   * Falls back to the embedded strategy when the instance rejects the newer APIs
+   * When only updates are fetched (`updatedSince`), the user's comments deleted
+   * since are included as `{ id, deleted: true }`
+   * @param {object} options - Extra paginate() options (`updatedSince`, `cache`)
    */
-  extractUserComments(issues, userLogin, year) {
+  async collectUserComments(userLogin, period, onProgress, options = {}) {
+    const strategy = this.commentStrategy;
+    try {
+      return await this.collectCommentsWith(strategy, userLogin, period, onProgress, options);
+    } catch (error) {
+      if (strategy === 'embedded' || (error.kind !== 'client' && error.kind !== 'not-found')) {
+        throw error;
+      }
+      console.warn(`[DataCollector] Comment strategy '${strategy}' failed, falling back to embedded comments:`, error.message);
+      return this.collectCommentsWith('embedded', userLogin, period, onProgress, options);
+    }
+  }
+
+  /**
+   * Collect the user's comments with a specific strategy
+   * @param {string} strategy - One of COMMENT_STRATEGIES
+   */
+  collectCommentsWith(strategy, userLogin, period, onProgress, options = {}) {
+    switch (strategy) {
+      case 'activities':
+        return this.collectCommentsFromActivities(userLogin, period, onProgress, options);
+      case 'per-issue':
+        return this.collectCommentsPerIssue(userLogin, period, onProgress, options);
+      case 'embedded':
+        return this.collectCommentsEmbedded(userLogin, period, onProgress, options);
+      default:
+        throw new Error(`Unknown comment strategy: ${strategy}`);
+    }
+  }
+
+  /**
+   * Page through the user's comment activities; YouTrack filters by author and
+   * time window, so only the user's own comments are transferred
+   */
+  async collectCommentsFromActivities(userLogin, period, onProgress, { updatedSince, ...options } = {}) {
+    const { start, end } = periodBounds(period);
+    const windowStart = updatedSince ? Math.max(start, new Date(`${updatedSince}T00:00:00Z`).getTime()) : start;
+    const comments = new Map();
+
+    for await (const activities of this.client.paginateCommentActivities(userLogin, windowStart, end, options)) {
+      for (const activity of activities) {
+        for (const comment of activity.added || []) {
+          if (this.isUserCommentInPeriod(comment, userLogin, period)) {
+            comments.set(comment.id, toUserComment(comment, comment.issue));
+          } else if (updatedSince && comment.deleted) {
+            comments.set(comment.id, deletedComment(comment));
+          }
+        }
+        // Activities are filtered by author, so these are comments the user deleted
+        for (const comment of updatedSince ? activity.removed || [] : []) {
+          comments.set(comment.id, deletedComment(comment));
+        }
+      }
+      if (onProgress) onProgress(`Found ${comments.size} of your comments...`);
+    }
+
+    return [...comments.values()];
+  }
+
+  /**
+   * Find the issues the user commented on, then page each issue's comments
+   */
+  async collectCommentsPerIssue(userLogin, period, onProgress, options = {}) {
+    const { cache } = options;
+    const { startDate, endDate } = periodQueryRange(period);
+    const comments = [];
+    let scanned = 0;
+
+    for await (const issues of this.client.paginateIssuesCommentedByUser(userLogin, startDate, endDate, options)) {
+      await Promise.all(issues.map(async (issue) => {
+        for await (const page of this.client.paginateIssueComments(issue.id, { cache })) {
+          for (const comment of page) {
+            if (this.isUserCommentInPeriod(comment, userLogin, period)) {
+              comments.push(toUserComment(comment, issue));
+            } else if (options.updatedSince && this.isDeletedUserComment(comment, userLogin)) {
+              comments.push(deletedComment(comment));
+            }
+          }
+        }
+      }));
+      scanned += issues.length;
+      if (onProgress) onProgress(`Scanned ${scanned} issues, found ${comments.length} of your comments...`);
+    }
+
+    return comments;
+  }
+
+  /**
+   * Stream issues the user commented on with all their comments embedded and keep
+   * only the user's own, so full threads are discarded page by page
+   */
+  async collectCommentsEmbedded(userLogin, period, onProgress, options = {}) {
+    const { startDate, endDate } = periodQueryRange(period);
+    const comments = [];
+    let scanned = 0;
+
+    for await (const issues of this.client.paginateIssuesWithComments(userLogin, startDate, endDate, options)) {
+      comments.push(...this.extractUserComments(issues, userLogin, period, Boolean(options.updatedSince)));
+      scanned += issues.length;
+      if (onProgress) onProgress(`Scanned ${scanned} issues, found ${comments.length} of your comments...`);
+    }
+
+    return comments;
+  }
+
+  /**
+   * Run every comment strategy against the live instance, bypassing the cache,
+   * and report the network cost of each
+   * @param {object} period - The period to collect comments for
+   * @param {function} onProgress - Optional progress callback
+   * @returns {Promise<Array<{strategy, requests, bytes, comments, durationMs, error}>>}
+   */
+  async benchmarkCommentStrategies(period, onProgress) {
+    const currentUser = await this.client.getCurrentUser();
+    const results = [];
+
+    for (const strategy of COMMENT_STRATEGIES) {
+      if (onProgress) onProgress(`Benchmarking '${strategy}' comment strategy...`);
+      const before = this.client.getStats();
+      const startTime = Date.now();
+      let comments = null;
+      let error = null;
+
+      try {
+        comments = await this.collectCommentsWith(strategy, currentUser.login, period, null, { cache: false });
+      } catch (e) {
+        if (e.isAborted) throw e;
+        error = e.message;
+      }
+
+      const after = this.client.getStats();
+      results.push({
+        strategy,
+        requests: after.requests - before.requests,
+        bytes: after.bytes - before.bytes,
+        comments: comments ? comments.length : null,
+        durationMs: Date.now() - startTime,
+        error
+      });
+    }
+
+    console.log('[DataCollector] Comment strategy benchmark:');
+    console.table(results);
+    return results;
+  }
+
+  /**
+   * Whether a comment was written by the user within the period
+   */
+  isUserCommentInPeriod(comment, userLogin, period) {
+    const { start, end } = periodBounds(period);
+    return Boolean(
+      comment.author &&
+      comment.author.login === userLogin &&
+      !comment.deleted &&
+      comment.created >= start &&
+      comment.created <= end
+    );
+  }
+
+  /**
+   * Whether a comment was written by the user and has been deleted since
+   */
+  isDeletedUserComment(comment, userLogin) {
+    return Boolean(comment.deleted && comment.author && comment.author.login === userLogin);
+  }
+
+  /**
+   * Extract comments made by the user within the period
+   * @param {boolean} withDeleted - Include the user's deleted comments as `{ id, deleted: true }`
+   */
+  extractUserComments(issues, userLogin, period, withDeleted = false) {
     const comments = [];
-    const yearStart = new Date(`${year}-01-01T00:00:00Z`).getTime();
-    const yearEnd = new Date(`${year}-12-31T23:59:59Z`).getTime();
 
     for (const issue of issues) {
       if (!issue.comments) continue;
 
       for (const comment of issue.comments) {
-        if (
-          comment.author &&
-          comment.author.login === userLogin &&
-          comment.created >= yearStart &&
-          comment.created <= yearEnd
-        ) {
-          comments.push({
-            ...comment,
-            issue: {
-              id: issue.id,
-              idReadable: issue.idReadable,
-              summary: issue.summary,
-              project: issue.project
-            }
-          });
+        if (this.isUserCommentInPeriod(comment, userLogin, period)) {
+          comments.push(toUserComment(comment, issue));
+        } else if (withDeleted && this.isDeletedUserComment(comment, userLogin)) {
+          comments.push(deletedComment(comment));
         }
       }
     }
@@ -132,19 +637,54 @@ export class DataCollector {
   }
 
   /**
-   * Filter articles by user and year
+   * Filter articles by user and period
    */
-  filterArticlesByUserAndYear(articles, userLogin, year) {
-    const yearStart = new Date(`${year}-01-01T00:00:00Z`).getTime();
-    const yearEnd = new Date(`${year}-12-31T23:59:59Z`).getTime();
+  filterArticlesByUserAndPeriod(articles, userLogin, period) {
+    const { start, end } = periodBounds(period);
 
     return articles.filter(article =>
       article.reporter &&
       article.reporter.login === userLogin &&
-      article.created >= yearStart &&
-      article.created <= yearEnd
+      article.created >= start &&
+      article.created <= end
     );
   }
 }
 
+/**
+ * Normalize a comment and attach a summary of its issue
+ */
+function toUserComment(comment, issue) {
+  return {
+    id: comment.id,
+    text: comment.text,
+    created: comment.created,
+    author: comment.author,
+    issue: {
+      id: issue.id,
+      idReadable: issue.idReadable,
+      summary: issue.summary,
+      project: issue.project
+    }
+  };
+}
+
+/**
+ * Marker for a comment deleted since the last collection
+ */
+function deletedComment(comment) {
+  return { id: comment.id, deleted: true };
+}
+
+/**
+ * Merge two lists of entities by id; entries in `updates` replace older ones
+ */
+function mergeById(previous = [], updates = []) {
+  const byId = new Map(previous.map(item => [item.id, item]));
+  for (const item of updates) {
+    byId.set(item.id, item);
+  }
+  return [...byId.values()];
+}
+
 export default DataCollector;
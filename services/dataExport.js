@@ -0,0 +1,307 @@
+/**
+ * Data Export
+ * Files for analysts: the raw collected dataset and the calculated statistics
+ * as JSON, and flat CSV tables of issues, comments, articles and projects.
+ * Every file follows the versioned schema documented in the README's "Data
+ * Export" section; columns are only ever added in a new version, never renamed.
+ * Dataset exports can be imported again to render a Wrapped offline
+ */
+
+import { isValidTimeZone } from './timeZone.js';
+
+/**
+ * Version of the export schema, bumped whenever a file's shape changes
+ */
+export const EXPORT_SCHEMA_VERSION = 1;
+
+/**
+ * `schema` of the JSON exports, telling the two apart
+ */
+export const EXPORT_SCHEMAS = {
+  dataset: 'youtrack-wrapped/dataset',
+  statistics: 'youtrack-wrapped/statistics'
+};
+
+/**
+ * Custom fields with a column of their own in the issue tables; every field is
+ * also in the `custom_fields` column
+ */
+const ISSUE_FIELD_COLUMNS = [
+  ['type', 'Type'],
+  ['priority', 'Priority'],
+  ['state', 'State']
+];
+
+const ISSUE_COLUMNS = [
+  { name: 'user_login', value: (issue, dataset) => dataset.user?.login },
+  { name: 'id_readable', value: issue => issue.idReadable },
+  { name: 'summary', value: issue => issue.summary },
+  { name: 'project_short_name', value: issue => issue.project?.shortName },
+  { name: 'project_name', value: issue => issue.project?.name },
+  { name: 'created', value: issue => isoDate(issue.created) },
+  { name: 'resolved', value: issue => isoDate(issue.resolved) },
+  ...ISSUE_FIELD_COLUMNS.map(([name, field]) => ({ name, value: issue => fieldValues(issue)[field] })),
+  { name: 'custom_fields', value: issue => JSON.stringify(fieldValues(issue)) }
+];
+
+/**
+ * The CSV tables: `rows` lists a table's entries, either from the raw dataset
+ * of one person (called once per team member) or from the statistics
+ */
+export const CSV_EXPORTS = [
+  {
+    id: 'created-issues',
+    label: 'Created issues',
+    columns: ISSUE_COLUMNS,
+    rows: dataset => dataset.createdIssues
+  },
+  {
+    id: 'resolved-issues',
+    label: 'Resolved issues',
+    columns: ISSUE_COLUMNS,
+    rows: dataset => dataset.resolvedIssues
+  },
+  {
+    id: 'comments',
+    label: 'Comments',
+    columns: [
+      { name: 'user_login', value: (comment, dataset) => dataset.user?.login },
+      { name: 'id', value: comment => comment.id },
+      { name: 'issue_id_readable', value: comment => comment.issue?.idReadable },
+      { name: 'issue_summary', value: comment => comment.issue?.summary },
+      { name: 'project_short_name', value: comment => comment.issue?.project?.shortName },
+      { name: 'author_login', value: comment => comment.author?.login },
+      { name: 'created', value: comment => isoDate(comment.created) },
+      { name: 'text_length', value: comment => (comment.text || '').length },
+      { name: 'text', value: comment => comment.text }
+    ],
+    rows: dataset => dataset.comments
+  },
+  {
+    id: 'articles',
+    label: 'Articles',
+    columns: [
+      { name: 'user_login', value: (article, dataset) => dataset.user?.login },
+      { name: 'id_readable', value: article => article.idReadable },
+      { name: 'summary', value: article => article.summary },
+      { name: 'project_short_name', value: article => article.project?.shortName },
+      { name: 'reporter_login', value: article => article.reporter?.login },
+      { name: 'created', value: article => isoDate(article.created) },
+      { name: 'updated', value: article => isoDate(article.updated) },
+      { name: 'content_length', value: article => (article.content || '').length }
+    ],
+    rows: dataset => dataset.articles
+  },
+  {
+    id: 'projects',
+    label: 'Per-project stats',
+    fromStatistics: true,
+    columns: [
+      { name: 'project_short_name', value: project => project.shortName },
+      { name: 'project_name', value: project => project.name },
+      { name: 'issues_created', value: project => project.issuesCreated },
+      { name: 'issues_resolved', value: project => project.issuesResolved },
+      { name: 'comments', value: project => project.comments },
+      { name: 'total_activity', value: project => project.totalActivity }
+    ],
+    rows: stats => stats.projectStats.projects
+  }
+];
+
+/**
+ * The raw dataset a collector returned, as a JSON export
+ * @param {object} dataset - Result of collectPeriodData(), collectTeamData() or collectProjectData()
+ * @returns {string}
+ */
+export function exportDatasetJson(dataset) {
+  return JSON.stringify({
+    schema: EXPORT_SCHEMAS.dataset,
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    kind: datasetKind(dataset),
+    dataset
+  }, null, 2);
+}
+
+/**
+ * The result of a calculator's calculateAll(), as a JSON export
+ * @returns {string}
+ */
+export function exportStatisticsJson(stats) {
+  return JSON.stringify({
+    schema: EXPORT_SCHEMAS.statistics,
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    kind: stats.team ? 'team' : stats.project ? 'project' : 'personal',
+    statistics: stats
+  }, null, 2);
+}
+
+/**
+ * One of the CSV_EXPORTS tables as CSV text
+ * @param {string} id - Id of the table
+ * @param {object} dataset - The raw dataset (team datasets list every member's rows)
+ * @param {object} stats - The calculated statistics, for tables built from them
+ * @returns {string}
+ */
+export function exportCsv(id, dataset, stats) {
+  const table = CSV_EXPORTS.find(candidate => candidate.id === id);
+  if (!table) throw new Error(`Unknown export: ${id}`);
+
+  const rows = table.fromStatistics
+    ? table.rows(stats).map(entry => table.columns.map(column => column.value(entry)))
+    : (dataset.members || [dataset]).flatMap(member =>
+      (table.rows(member) || []).map(entry => table.columns.map(column => column.value(entry, member))));
+
+  return toCsv(table.columns.map(column => column.name), rows);
+}
+
+/**
+ * File name of an export, e.g. "youtrack-wrapped-2025-comments.v1.csv"
+ * @param {object} period - The exported period
+ * @param {string} id - "dataset", "statistics" or a CSV_EXPORTS id
+ * @param {string} extension - "json" or "csv"
+ */
+export function exportFileName(period, id, extension) {
+  const slug = period.label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `youtrack-wrapped-${slug}-${id}.v${EXPORT_SCHEMA_VERSION}.${extension}`;
+}
+
+/**
+ * Read a dataset export back, checking it against the schema
+ * @param {string|object} json - Contents of a file written by exportDatasetJson()
+ * @returns {{kind: string, dataset: object, exportedAt: string}} The dataset, ready for the
+ *   calculator of its kind
+ * @throws {Error} Saying what is wrong with the file
+ */
+export function parseDatasetExport(json) {
+  let document = json;
+  if (typeof json === 'string') {
+    try {
+      document = JSON.parse(json);
+    } catch {
+      throw new Error('Invalid dataset file: not a JSON file');
+    }
+  }
+
+  if (document?.schema === EXPORT_SCHEMAS.statistics) {
+    throw new Error('This is a statistics export; import the raw dataset export instead');
+  }
+  if (document?.schema !== EXPORT_SCHEMAS.dataset) {
+    throw new Error('Invalid dataset file: not a YouTrack Wrapped dataset export');
+  }
+  if (!Number.isInteger(document.schemaVersion) || document.schemaVersion < 1) {
+    throw new Error('Invalid dataset file: missing schemaVersion');
+  }
+  if (document.schemaVersion > EXPORT_SCHEMA_VERSION) {
+    throw new Error(`This file uses dataset schema v${document.schemaVersion}, newer than this app supports (v${EXPORT_SCHEMA_VERSION}); please update the app`);
+  }
+
+  const { dataset } = document;
+  const kind = datasetKind(dataset || {});
+  if (document.kind && document.kind !== kind) {
+    throw new Error(`Invalid dataset file: marked as ${document.kind} but contains a ${kind} dataset`);
+  }
+
+  if (kind === 'team') {
+    check(typeof dataset.team?.name === 'string', 'team.name must be a string');
+    checkPeriod(dataset.period, 'period');
+    check(Array.isArray(dataset.members) && dataset.members.length > 0, 'members must be a non-empty array');
+    dataset.members.forEach((member, index) => checkPersonDataset(member, `members[${index}]`));
+  } else {
+    checkPersonDataset(dataset, 'dataset');
+    if (kind === 'project') check(typeof dataset.project.shortName === 'string', 'project.shortName must be a string');
+  }
+
+  return { kind, dataset, exportedAt: document.exportedAt || null };
+}
+
+/**
+ * RFC 4180 CSV with a header row and CRLF line endings
+ */
+export function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Keep spreadsheets from running text such as "=HYPERLINK(...)" as a formula
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * An issue's custom fields as { name: value }, multi-value fields joined by ", "
+ */
+function fieldValues(issue) {
+  const values = {};
+  for (const field of issue.customFields || []) {
+    const items = (Array.isArray(field.value) ? field.value : [field.value])
+      .filter(value => value != null)
+      .map(value => (typeof value === 'object' ? value.name || value.fullName || value.login || value.presentation : value));
+    values[field.name] = items.length > 0 ? items.join(', ') : null;
+  }
+  return values;
+}
+
+function isoDate(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+/**
+ * Check one person's (or a project's) dataset, filling in the lists older
+ * collectors didn't have
+ */
+function checkPersonDataset(dataset, path) {
+  check(dataset && typeof dataset === 'object', `${path} must be an object`);
+  check(typeof dataset.user?.login === 'string', `${path}.user.login must be a string`);
+  checkPeriod(dataset.period, `${path}.period`);
+
+  const timestamped = { createdIssues: 'created', resolvedIssues: 'resolved', comments: 'created', articles: 'created' };
+  for (const [key, field] of Object.entries(timestamped)) {
+    check(Array.isArray(dataset[key]), `${path}.${key} must be an array`);
+    dataset[key].forEach((entry, index) => {
+      check(Number.isFinite(entry?.[field]), `${path}.${key}[${index}].${field} must be a timestamp`);
+    });
+  }
+  for (const key of ['workItems', 'activities']) {
+    dataset[key] = dataset[key] ?? [];
+    check(Array.isArray(dataset[key]), `${path}.${key} must be an array`);
+  }
+
+  // Statistics group by the issue's ID; only comments must name their issue
+  for (const key of ['createdIssues', 'resolvedIssues']) {
+    dataset[key].forEach((issue, index) => {
+      check(typeof issue.idReadable === 'string', `${path}.${key}[${index}].idReadable must be a string`);
+    });
+  }
+  for (const key of ['comments', 'workItems', 'activities']) {
+    dataset[key].forEach((entry, index) => {
+      const required = key === 'comments';
+      if (!required && entry?.issue == null) return;
+      check(typeof entry?.issue?.idReadable === 'string', `${path}.${key}[${index}].issue.idReadable must be a string`);
+    });
+  }
+}
+
+function checkPeriod(period, path) {
+  const date = /^\d{4}-\d{2}-\d{2}$/;
+  check(period && typeof period === 'object', `${path} must be an object`);
+  check(date.test(period.startDate) && date.test(period.endDate), `${path} needs a startDate and endDate (YYYY-MM-DD)`);
+  check(period.startDate <= period.endDate, `${path} ends before it starts`);
+  check(typeof period.label === 'string', `${path}.label must be a string`);
+  check(period.timeZone == null || isValidTimeZone(period.timeZone), `${path}.timeZone is not a known time zone`);
+}
+
+function check(condition, message) {
+  if (!condition) throw new Error(`Invalid dataset file: ${message}`);
+}
+
+function datasetKind(dataset) {
+  if (dataset.members) return 'team';
+  if (dataset.project) return 'project';
+  return 'personal';
+}
+
+export default exportCsv;
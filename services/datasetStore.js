@@ -0,0 +1,74 @@
+/**
+ * Dataset Store (Browser Version)
+ * Keeps the last raw dataset collected for each instance, user and period so
+ * later runs can fetch only what changed since then
+ */
+
+import { STORES, isIndexedDbAvailable, runTransaction } from './indexedDb.js';
+import { periodKey, yearPeriod } from './period.js';
+
+export class DatasetStore {
+  /**
+   * Whether IndexedDB is usable in this browser
+   */
+  get isAvailable() {
+    return isIndexedDbAvailable();
+  }
+
+  /**
+   * Build the storage key for a dataset
+   * @param {string} baseUrl - YouTrack instance URL
+   * @param {string} scope - Token fingerprint identifying the user
+   * @param {object} period - The collected period
+   */
+  static buildKey(baseUrl, scope, period) {
+    return `${baseUrl} ${scope} ${periodKey(period)}`;
+  }
+
+  /**
+   * Load the stored dataset, if any
+   * @returns {Promise<object|undefined>} The raw dataset returned by collectPeriodData
+   */
+  async load(baseUrl, scope, period) {
+    if (!this.isAvailable) return undefined;
+
+    try {
+      const entry = await runTransaction(STORES.datasets, 'readonly', store =>
+        store.get(DatasetStore.buildKey(baseUrl, scope, period))
+      );
+      return entry?.dataset;
+    } catch (error) {
+      console.warn('[DatasetStore] Could not read stored dataset:', error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Store a raw dataset, replacing the previous one for the same period
+   */
+  async save(baseUrl, scope, dataset) {
+    if (!this.isAvailable) return;
+
+    const entry = {
+      key: DatasetStore.buildKey(baseUrl, scope, dataset.period || yearPeriod(dataset.year)),
+      dataset
+    };
+
+    try {
+      await runTransaction(STORES.datasets, 'readwrite', store => store.put(entry));
+    } catch (error) {
+      console.warn('[DatasetStore] Could not store dataset:', error);
+    }
+  }
+
+  /**
+   * Remove every stored dataset
+   */
+  async clear() {
+    if (!this.isAvailable) return;
+    await runTransaction(STORES.datasets, 'readwrite', store => store.clear());
+    console.log('[DatasetStore] Stored datasets purged');
+  }
+}
+
+export default DatasetStore;
@@ -0,0 +1,92 @@
+/**
+ * History Calculator (Browser Version)
+ * Yearly totals across every year a user has been active, for the history
+ * screen's trend charts, plus all-time records spanning those years
+ */
+
+import { StatisticsCalculator } from './statisticsCalculator.js';
+import { createPeriod } from './period.js';
+
+/**
+ * Summary numbers plotted as trend lines, read from calculateSummary()
+ */
+export const HISTORY_SERIES = [
+  { key: 'totalIssuesCreated', label: 'Issues Created', color: '#6366f1' },
+  { key: 'totalIssuesResolved', label: 'Issues Resolved', color: '#22c55e' },
+  { key: 'totalComments', label: 'Comments', color: '#ec4899' },
+  { key: 'totalArticles', label: 'Articles', color: '#f59e0b' }
+];
+
+export class HistoryCalculator {
+  /**
+   * @param {object[]} datasets - One DataCollector.collectYearData() result per year, oldest
+   *   first (at least one)
+   */
+  constructor(datasets) {
+    this.datasets = datasets;
+  }
+
+  /**
+   * Calculate the yearly totals and all-time records
+   * @returns {{user, years: object[], totals: object, allTime: object}}
+   */
+  calculateAll() {
+    const years = this.datasets.map(dataset => {
+      const calculator = new StatisticsCalculator(dataset);
+      return {
+        year: dataset.year,
+        period: calculator.getPeriod(),
+        summary: calculator.calculateSummary(),
+        topProject: calculator.calculateProjectStats().topProject
+      };
+    });
+
+    const allTime = new StatisticsCalculator(mergeYears(this.datasets));
+    const busiestYear = years.reduce((busiest, year) =>
+      year.summary.totalContributions > busiest.summary.totalContributions ? year : busiest
+    );
+
+    return {
+      user: this.datasets[this.datasets.length - 1].user,
+      years,
+      totals: allTime.calculateSummary(),
+      allTime: {
+        firstYear: years[0].year,
+        lastYear: years[years.length - 1].year,
+        // Merged across years, so streaks running over New Year count in full
+        longestStreak: allTime.calculateTimeStats().longestStreak,
+        topProject: allTime.calculateProjectStats().topProject,
+        busiestYear: { year: busiestYear.year, totalContributions: busiestYear.summary.totalContributions }
+      }
+    };
+  }
+}
+
+/**
+ * Combine consecutive yearly datasets into one dataset spanning all of them
+ */
+function mergeYears(datasets) {
+  const first = datasets[0].period;
+  const last = datasets[datasets.length - 1].period;
+  const combine = key => datasets.flatMap(dataset => dataset[key] || []);
+
+  return {
+    user: datasets[datasets.length - 1].user,
+    year: first.year,
+    period: createPeriod({
+      type: 'custom',
+      startDate: first.startDate,
+      endDate: last.endDate,
+      label: `${first.label}–${last.label}`,
+      timeZone: first.timeZone
+    }),
+    createdIssues: combine('createdIssues'),
+    resolvedIssues: combine('resolvedIssues'),
+    comments: combine('comments'),
+    articles: combine('articles'),
+    workItems: combine('workItems'),
+    activities: combine('activities')
+  };
+}
+
+export default HistoryCalculator;
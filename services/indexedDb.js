@@ -0,0 +1,98 @@
+/**
+ * IndexedDB helpers (Browser Version)
+ * Shared database used by the response cache and the stored datasets
+ */
+
+const DB_NAME = 'youtrack-wrapped-cache';
+const DB_VERSION = 3;
+
+export const STORES = {
+  responses: 'responses',
+  datasets: 'datasets'
+};
+
+/**
+ * Indexed fields of each store, each index named after its field
+ */
+const STORE_INDEXES = {
+  [STORES.responses]: ['expiresAt', 'storedAt', 'size']
+};
+
+let dbPromise = null;
+
+/**
+ * Whether IndexedDB is usable in this browser
+ */
+export function isIndexedDbAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Open (and upgrade if needed) the shared database
+ */
+export function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        for (const storeName of Object.values(STORES)) {
+          const store = db.objectStoreNames.contains(storeName)
+            ? request.transaction.objectStore(storeName)
+            : db.createObjectStore(storeName, { keyPath: 'key' });
+          for (const field of STORE_INDEXES[storeName] || []) {
+            if (!store.indexNames.contains(field)) store.createIndex(field, field);
+          }
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a single-request transaction against one object store
+ * @param {string} storeName - One of STORES
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function} operation - Receives the object store and returns an IDBRequest
+ */
+export async function runTransaction(storeName, mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Walk the keys of an index in one transaction, without reading the stored values
+ * @param {string} storeName - One of STORES
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {string} indexName - An index of the store (see STORE_INDEXES)
+ * @param {IDBKeyRange|null} range - Index keys to visit, in ascending order (null for all)
+ * @param {function} visit - Called with the index key, the primary key and the object store
+ *   for every entry; returning false stops the walk
+ */
+export async function walkIndexKeys(storeName, mode, indexName, range, visit) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const store = tx.objectStore(storeName);
+    const request = store.index(indexName).openKeyCursor(range);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor && visit(cursor.key, cursor.primaryKey, store) !== false) cursor.continue();
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
@@ -0,0 +1,236 @@
+/**
+ * Reporting Periods
+ * Describes the date range a Wrapped covers: a calendar year, fiscal year, half,
+ * quarter, or a free start/end window such as a sprint or release
+ */
+
+import { addDays, startOfZonedDay } from './timeZone.js';
+
+export const PERIOD_TYPES = ['year', 'fiscal-year', 'half', 'quarter', 'custom'];
+
+const MONTH_SHORT_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Periods up to this many days are charted in weekly instead of monthly buckets
+ */
+export const WEEKLY_BUCKET_MAX_DAYS = 92;
+
+/**
+ * Build a period description
+ * @param {object} options
+ * @param {string} options.type - One of PERIOD_TYPES
+ * @param {number} options.year - Calendar year, or the year a fiscal year starts in
+ * @param {number} options.quarter - 1-4 for quarters
+ * @param {number} options.half - 1-2 for halves
+ * @param {number} options.fiscalStartMonth - 1-12, the month fiscal years start in
+ * @param {string} options.startDate - First day (YYYY-MM-DD) of a custom period
+ * @param {string} options.endDate - Last day (YYYY-MM-DD, inclusive) of a custom period
+ * @param {string} options.label - Display name for a custom period, e.g. "Sprint 42"
+ * @param {string} options.timeZone - IANA time zone the period's days are counted in (default UTC)
+ * @returns {{type, year, startDate, endDate, label, noun, timeZone}}
+ */
+export function createPeriod({ timeZone, ...options } = {}) {
+  const period = createDateRange(options);
+  return timeZone ? { ...period, timeZone } : period;
+}
+
+function createDateRange({ type = 'year', year, quarter, half, fiscalStartMonth = 1, startDate, endDate, label }) {
+  switch (type) {
+    case 'year':
+      return {
+        type,
+        year,
+        startDate: toDateString(year, 1, 1),
+        endDate: toDateString(year, 12, 31),
+        label: String(year),
+        noun: 'Year'
+      };
+
+    case 'fiscal-year': {
+      const endYear = fiscalStartMonth === 1 ? year : year + 1;
+      const endMonth = fiscalStartMonth === 1 ? 12 : fiscalStartMonth - 1;
+      return {
+        type,
+        year,
+        fiscalStartMonth,
+        startDate: toDateString(year, fiscalStartMonth, 1),
+        endDate: toDateString(endYear, endMonth, daysInMonth(endYear, endMonth)),
+        label: fiscalStartMonth === 1 ? `FY${year}` : `FY${year}/${String(year + 1).slice(-2)}`,
+        noun: 'Fiscal Year'
+      };
+    }
+
+    case 'half': {
+      if (half !== 1 && half !== 2) throw new Error('Half must be 1 or 2');
+      const firstMonth = half === 1 ? 1 : 7;
+      return {
+        type,
+        year,
+        half,
+        startDate: toDateString(year, firstMonth, 1),
+        endDate: toDateString(year, firstMonth + 5, daysInMonth(year, firstMonth + 5)),
+        label: `H${half} ${year}`,
+        noun: 'Half'
+      };
+    }
+
+    case 'quarter': {
+      if (!(quarter >= 1 && quarter <= 4)) throw new Error('Quarter must be between 1 and 4');
+      const firstMonth = (quarter - 1) * 3 + 1;
+      return {
+        type,
+        year,
+        quarter,
+        startDate: toDateString(year, firstMonth, 1),
+        endDate: toDateString(year, firstMonth + 2, daysInMonth(year, firstMonth + 2)),
+        label: `Q${quarter} ${year}`,
+        noun: 'Quarter'
+      };
+    }
+
+    case 'custom': {
+      if (!isDateString(startDate) || !isDateString(endDate)) {
+        throw new Error('Custom periods need a start and end date');
+      }
+      if (endDate < startDate) {
+        throw new Error('The end date must not be before the start date');
+      }
+      return {
+        type,
+        year: parseInt(startDate.slice(0, 4), 10),
+        startDate,
+        endDate,
+        label: label || formatDateRange(startDate, endDate),
+        noun: 'Period'
+      };
+    }
+
+    default:
+      throw new Error(`Unknown period type: ${type}`);
+  }
+}
+
+/**
+ * Shorthand for a calendar year period
+ */
+export function yearPeriod(year) {
+  return createPeriod({ type: 'year', year });
+}
+
+/**
+ * Timestamp bounds of a period (inclusive), with days counted in the period's time zone
+ */
+export function periodBounds(period) {
+  const timeZone = period.timeZone || 'UTC';
+  return {
+    start: startOfZonedDay(period.startDate, timeZone),
+    end: startOfZonedDay(addDays(period.endDate, 1), timeZone) - 1
+  };
+}
+
+/**
+ * Day range to put in YouTrack date queries: the server reads dates in the
+ * profile's time zone, so ask for a day more on each side and filter locally
+ */
+export function periodQueryRange(period) {
+  return {
+    startDate: addDays(period.startDate, -1),
+    endDate: addDays(period.endDate, 1)
+  };
+}
+
+/**
+ * Number of days in a period
+ */
+export function periodDays(period) {
+  const { start, end } = periodBounds(period);
+  return Math.round((end - start) / DAY_MS);
+}
+
+/**
+ * Stable identifier of a period's date range and time zone
+ */
+export function periodKey(period) {
+  const range = `${period.startDate}..${period.endDate}`;
+  return period.timeZone ? `${range}@${period.timeZone}` : range;
+}
+
+/**
+ * Chart bucket size for a period: 'week' for short ranges, otherwise 'month'
+ */
+export function timelineGranularity(period) {
+  return periodDays(period) <= WEEKLY_BUCKET_MAX_DAYS ? 'week' : 'month';
+}
+
+/**
+ * The period of the same kind just before this one: the previous year, fiscal
+ * year, half or quarter, or an equally long window ending the day before a custom period
+ */
+export function previousPeriod(period) {
+  const { timeZone } = period;
+  switch (period.type) {
+    case 'year':
+    case 'fiscal-year':
+      return createPeriod({ ...period, year: period.year - 1 });
+    case 'half':
+      return period.half === 2
+        ? createPeriod({ ...period, half: 1 })
+        : createPeriod({ ...period, half: 2, year: period.year - 1 });
+    case 'quarter':
+      return period.quarter > 1
+        ? createPeriod({ ...period, quarter: period.quarter - 1 })
+        : createPeriod({ ...period, quarter: 4, year: period.year - 1 });
+    default: {
+      const days = Math.round((Date.parse(period.endDate) - Date.parse(period.startDate)) / DAY_MS) + 1;
+      const endDate = addDays(period.startDate, -1);
+      return createPeriod({ type: 'custom', startDate: addDays(endDate, 1 - days), endDate, timeZone });
+    }
+  }
+}
+
+/**
+ * Label of the period that follows, for "here's to an even more productive ..." copy
+ */
+export function nextPeriodLabel(period) {
+  switch (period.type) {
+    case 'year':
+      return String(period.year + 1);
+    case 'fiscal-year':
+      return createDateRange({ ...period, year: period.year + 1 }).label;
+    case 'half':
+      return period.half === 1 ? `H2 ${period.year}` : `H1 ${period.year + 1}`;
+    case 'quarter':
+      return period.quarter === 4 ? `Q1 ${period.year + 1}` : `Q${period.quarter + 1} ${period.year}`;
+    default:
+      return 'next period';
+  }
+}
+
+/**
+ * Human-readable date range, e.g. "Mar 4 – Mar 17, 2025"
+ */
+export function formatDateRange(startDate, endDate) {
+  const [startYear, startMonth, startDay] = startDate.split('-').map(Number);
+  const [endYear, endMonth, endDay] = endDate.split('-').map(Number);
+  const start = `${MONTH_SHORT_NAMES[startMonth - 1]} ${startDay}`;
+  const end = `${MONTH_SHORT_NAMES[endMonth - 1]} ${endDay}`;
+  return startYear === endYear
+    ? `${start} – ${end}, ${endYear}`
+    : `${start}, ${startYear} – ${end}, ${endYear}`;
+}
+
+function toDateString(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function isDateString(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+export default createPeriod;
@@ -0,0 +1,223 @@
+/**
+ * Project Statistics Calculator (Browser Version)
+ * Statistics for a Project Wrapped, where the subject is a YouTrack project
+ * rather than a person: top reporters, resolvers and commenters, the most
+ * discussed issues and how quickly issues got resolved
+ */
+
+import { StatisticsCalculator } from './statisticsCalculator.js';
+import { earnedAchievements } from './achievementRegistry.js';
+import { achievementRegistry } from './achievements.js';
+import { periodDays, timelineGranularity } from './period.js';
+
+export class ProjectStatisticsCalculator {
+  /**
+   * @param {object} data - Result of DataCollector.collectProjectData()
+   * @param {object} options
+   * @param {object} options.previousData - The project's dataset for the preceding period
+   * @param {AchievementRegistry} options.achievements - Badge catalog (defaults to the built-in one)
+   * @param {string[]} options.breakdownFields - Custom field names to break issues down by
+   */
+  constructor(data, { previousData = null, achievements = achievementRegistry, breakdownFields } = {}) {
+    this.data = data;
+    this.achievements = achievements;
+    this.base = new StatisticsCalculator(data, { previousData, achievements, breakdownFields });
+  }
+
+  /**
+   * Calculate all statistics for a Project Wrapped
+   * Returns the same shape as StatisticsCalculator.calculateAll(), plus `project`
+   * and `leaderboards`; facts and achievements are project-specific
+   */
+  calculateAll() {
+    const stats = this.base.calculateAll();
+    const { resolutionStats } = stats;
+    const leaderboards = this.calculateLeaderboards();
+    const achievementProgress = this.evaluateAchievements(stats, leaderboards);
+
+    return {
+      ...stats,
+      project: this.data.project,
+      leaderboards,
+      funFacts: this.calculateFunFacts(stats, resolutionStats, leaderboards),
+      achievements: earnedAchievements(achievementProgress),
+      achievementProgress
+    };
+  }
+
+  /**
+   * Top reporters, resolvers and commenters, and the most discussed issues
+   * Resolvers are the assignees of resolved issues
+   */
+  calculateLeaderboards() {
+    const boards = [
+      {
+        id: 'reporters',
+        label: 'Top Reporters',
+        icon: '📝',
+        entries: rankUsers(this.data.createdIssues.map(issue => issue.reporter))
+      },
+      {
+        id: 'resolvers',
+        label: 'Top Resolvers',
+        icon: '✅',
+        entries: rankUsers(this.data.resolvedIssues.map(issue => assigneeOf(issue)))
+      },
+      {
+        id: 'commenters',
+        label: 'Top Commenters',
+        icon: '💬',
+        entries: rankUsers(this.data.comments.map(comment => comment.author))
+      },
+      {
+        id: 'most-discussed',
+        label: 'Most Discussed',
+        icon: '🔥',
+        entries: this.calculateMostDiscussed()
+      }
+    ];
+
+    return boards.filter(board => board.entries.length > 0);
+  }
+
+  /**
+   * Issues with the most comments added during the period
+   */
+  calculateMostDiscussed() {
+    const byIssue = new Map();
+    for (const comment of this.data.comments) {
+      const issue = comment.issue;
+      const entry = byIssue.get(issue.id) || { issue, name: `${issue.idReadable} ${issue.summary || ''}`.trim(), value: 0 };
+      entry.value++;
+      byIssue.set(issue.id, entry);
+    }
+    return [...byIssue.values()].sort((a, b) => b.value - a.value);
+  }
+
+  /**
+   * Generate project fun facts
+   */
+  calculateFunFacts(stats, resolutionStats, leaderboards) {
+    const facts = [];
+    const { summary, timeStats } = stats;
+    const period = this.base.getPeriod();
+    const board = id => leaderboards.find(b => b.id === id);
+
+    // Issue intake
+    const days = Math.max(periodDays(period), 1);
+    const unit = timelineGranularity(period) === 'week' ? { name: 'week', days: 7 } : { name: 'month', days: 30 };
+    const issuesPerUnit = summary.totalIssuesCreated / (days / unit.days);
+    if (issuesPerUnit >= 1) {
+      facts.push({
+        icon: '📊',
+        text: `~${Math.round(issuesPerUnit)} new issues per ${unit.name}`,
+        comparison: `${summary.totalIssuesCreated.toLocaleString()} issues filed in total`
+      });
+    }
+
+    // Resolution speed
+    if (resolutionStats.medianDays !== null) {
+      facts.push({
+        icon: '⏱️',
+        text: `Half the issues were resolved within ${formatDays(resolutionStats.medianDays)}`,
+        comparison: `Median time to resolution across ${resolutionStats.resolvedCount} resolved issues`
+      });
+    }
+
+    // Kind of issues filed
+    const { headline, criticalResolved } = stats.fieldBreakdowns;
+    if (headline) {
+      facts.push({
+        icon: '🏷️',
+        text: `Most issues filed were ${headline.value}`,
+        comparison: `${Math.round(headline.share * 100)}% of the ${headline.total} issues with a ${headline.field}`
+      });
+    }
+
+    if (criticalResolved > 0) {
+      facts.push({
+        icon: '🚨',
+        text: `${criticalResolved} critical issue${criticalResolved === 1 ? ' was' : 's were'} resolved`,
+        comparison: 'Show-stopper or Critical priority'
+      });
+    }
+
+    // Community size
+    const reporters = board('reporters');
+    if (reporters && reporters.entries.length > 1) {
+      facts.push({
+        icon: '👥',
+        text: `${reporters.entries.length} people reported issues`,
+        comparison: `${reporters.entries[0].name} led with ${reporters.entries[0].value}`
+      });
+    }
+
+    // Hottest thread
+    const discussed = board('most-discussed');
+    if (discussed) {
+      const top = discussed.entries[0];
+      facts.push({
+        icon: '🔥',
+        text: `${top.issue.idReadable} sparked the most discussion`,
+        comparison: `${top.value} comment${top.value === 1 ? '' : 's'} this ${period.noun.toLowerCase()}`
+      });
+    }
+
+    // Busiest day
+    if (timeStats.busiestDayOfWeek.count > 0) {
+      facts.push({
+        icon: '📅',
+        text: `${timeStats.busiestDayOfWeek.dayName} was the project's busiest day`,
+        comparison: `${timeStats.busiestDayOfWeek.count} activities on ${timeStats.busiestDayOfWeek.dayName}s`
+      });
+    }
+
+    // Knowledge base
+    if (summary.totalArticles > 0) {
+      facts.push({
+        icon: '📚',
+        text: `${summary.totalArticles} article${summary.totalArticles === 1 ? '' : 's'} added to the knowledge base`,
+        comparison: 'Future teammates will thank you'
+      });
+    }
+
+    return facts;
+  }
+
+  /**
+   * Evaluate every project badge of the achievement registry, earned or not
+   */
+  evaluateAchievements(stats, leaderboards) {
+    return this.achievements.evaluate({ ...stats, leaderboards }, 'project');
+  }
+}
+
+/**
+ * Count users by login and sort by count; missing users are skipped
+ * @returns {Array<{user: object, name: string, value: number}>}
+ */
+function rankUsers(users) {
+  const byLogin = new Map();
+  for (const user of users) {
+    if (!user?.login) continue;
+    const entry = byLogin.get(user.login) || { user, name: user.fullName || user.name || user.login, value: 0 };
+    entry.value++;
+    byLogin.set(user.login, entry);
+  }
+  return [...byLogin.values()].sort((a, b) => b.value - a.value);
+}
+
+/**
+ * The user in an issue's Assignee field, if any
+ */
+function assigneeOf(issue) {
+  const field = issue.customFields?.find(f => f.name === 'Assignee');
+  return Array.isArray(field?.value) ? field.value[0] : field?.value;
+}
+
+function formatDays(days) {
+  if (days < 1) return `${Math.max(1, Math.round(days * 24))} hours`;
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+export default ProjectStatisticsCalculator;
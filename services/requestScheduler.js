@@ -0,0 +1,97 @@
+/**
+ * Request Scheduler (Browser Version)
+ * Limits how many YouTrack requests are in flight at once and decides which
+ * queued request runs next based on its priority
+ */
+
+export class RequestScheduler {
+  /**
+   * @param {object} options
+   * @param {number} options.maxConcurrent - Maximum number of tasks running at the same time
+   */
+  constructor({ maxConcurrent = 4 } = {}) {
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+    this.active = 0;
+    this.queue = [];
+    this.sequence = 0;
+  }
+
+  /**
+   * Run a task as soon as a slot is free
+   * Higher priority tasks are started first; equal priorities run in FIFO order
+   * @param {function} task - Async function to run
+   * @param {object} options
+   * @param {number} options.priority - Task priority (higher runs first)
+   * @param {AbortSignal} options.signal - Removes the task from the queue when aborted
+   */
+  schedule(task, { priority = 0, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const entry = { task, priority, sequence: this.sequence++, resolve, reject, signal };
+
+      if (signal) {
+        entry.onAbort = () => {
+          const index = this.queue.indexOf(entry);
+          if (index !== -1) {
+            this.queue.splice(index, 1);
+            reject(signal.reason);
+          }
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      this.enqueue(entry);
+      this.drain();
+    });
+  }
+
+  /**
+   * Number of tasks waiting for a slot
+   */
+  get pending() {
+    return this.queue.length;
+  }
+
+  /**
+   * Insert keeping the queue sorted by priority, then by arrival
+   */
+  enqueue(entry) {
+    const index = this.queue.findIndex(queued =>
+      queued.priority < entry.priority ||
+      (queued.priority === entry.priority && queued.sequence > entry.sequence)
+    );
+    if (index === -1) {
+      this.queue.push(entry);
+    } else {
+      this.queue.splice(index, 0, entry);
+    }
+  }
+
+  drain() {
+    while (this.active < this.maxConcurrent && this.queue.length > 0) {
+      const entry = this.queue.shift();
+      if (entry.signal) {
+        entry.signal.removeEventListener('abort', entry.onAbort);
+      }
+      this.run(entry);
+    }
+  }
+
+  async run(entry) {
+    this.active++;
+    try {
+      entry.resolve(await entry.task());
+    } catch (error) {
+      entry.reject(error);
+    } finally {
+      this.active--;
+      this.drain();
+    }
+  }
+}
+
+export default RequestScheduler;
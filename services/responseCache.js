@@ -0,0 +1,232 @@
+/**
+ * Response Cache (Browser Version)
+ * Persists YouTrack API responses in IndexedDB so repeated runs don't refetch
+ * the whole year. Entries are keyed by base URL, user, endpoint and query.
+ *
+ * The cache never stores the API token itself, only a one-way fingerprint of it
+ * to keep different users' responses apart.
+ *
+ * Expired entries are deleted when read, and swept together with the oldest
+ * entries beyond the size limit the first time the cache is used in a page and
+ * whenever writes take it over the limit.
+ */
+
+import { STORES, isIndexedDbAvailable, runTransaction, walkIndexKeys } from './indexedDb.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Largest total size of the cached responses (bytes of their JSON)
+ */
+export const DEFAULT_CACHE_MAX_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Default time-to-live by endpoint prefix
+ */
+export const DEFAULT_CACHE_TTLS = {
+  '/users/me': HOUR_MS,
+  '/issues': 6 * HOUR_MS,
+  '/admin/projects': 24 * HOUR_MS
+};
+
+export class ResponseCache {
+  /**
+   * @param {object} options
+   * @param {number} options.defaultTtlMs - TTL for endpoints without a configured prefix
+   * @param {object} options.ttls - Overrides for DEFAULT_CACHE_TTLS
+   * @param {number} options.maxBytes - Size above which the oldest entries are evicted
+   */
+  constructor({ defaultTtlMs = 6 * HOUR_MS, ttls = {}, maxBytes = DEFAULT_CACHE_MAX_BYTES } = {}) {
+    this.defaultTtlMs = defaultTtlMs;
+    this.ttls = { ...DEFAULT_CACHE_TTLS, ...ttls };
+    this.maxBytes = maxBytes;
+    // Size of the cache as of the last sweep plus everything written since
+    this.estimatedBytes = 0;
+    this.firstSweep = null;
+  }
+
+  /**
+   * Whether IndexedDB is usable in this browser
+   */
+  get isAvailable() {
+    return isIndexedDbAvailable();
+  }
+
+  /**
+   * Build the cache key for a request
+   */
+  static buildKey(baseUrl, scope, endpoint) {
+    return `${baseUrl} ${scope} ${endpoint}`;
+  }
+
+  /**
+   * TTL for an endpoint, matched by the longest configured prefix
+   */
+  getTtl(endpoint) {
+    const path = endpoint.split('?')[0];
+    const prefix = Object.keys(this.ttls)
+      .filter(p => path.startsWith(p))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.ttls[prefix] : this.defaultTtlMs;
+  }
+
+  /**
+   * Read a cached response
+   * @returns {Promise<*>} The cached data, or undefined when missing or expired
+   */
+  async get(baseUrl, scope, endpoint) {
+    if (!this.isAvailable) return undefined;
+
+    const key = ResponseCache.buildKey(baseUrl, scope, endpoint);
+    try {
+      const entry = await runTransaction(STORES.responses, 'readonly', store => store.get(key));
+      if (!entry) return undefined;
+      if (entry.expiresAt < Date.now()) {
+        await runTransaction(STORES.responses, 'readwrite', store => store.delete(key));
+        return undefined;
+      }
+      return entry.data;
+    } catch (error) {
+      console.warn('[ResponseCache] Could not read from cache:', error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Store a response
+   */
+  async set(baseUrl, scope, endpoint, data) {
+    if (!this.isAvailable) return;
+
+    const now = Date.now();
+    const entry = {
+      key: ResponseCache.buildKey(baseUrl, scope, endpoint),
+      baseUrl,
+      scope,
+      endpoint,
+      data,
+      size: new TextEncoder().encode(JSON.stringify(data)).byteLength,
+      storedAt: now,
+      expiresAt: now + this.getTtl(endpoint)
+    };
+
+    try {
+      await this.sweepOnce();
+      await runTransaction(STORES.responses, 'readwrite', store => store.put(entry));
+      // Replacing an entry counts its old size too, until the next sweep measures again
+      this.estimatedBytes += entry.size;
+      if (this.estimatedBytes > this.maxBytes) await this.sweep();
+    } catch (error) {
+      console.warn('[ResponseCache] Could not write to cache:', error);
+    }
+  }
+
+  /**
+   * Sweep the cache the first time it is used in this page
+   * A sweep that fails is logged and tried again next time, so reads and writes go ahead
+   */
+  sweepOnce() {
+    if (!this.firstSweep) {
+      this.firstSweep = this.sweep().catch(error => {
+        console.warn('[ResponseCache] Could not sweep the cache:', error);
+        this.firstSweep = null;
+      });
+    }
+    return this.firstSweep;
+  }
+
+  /**
+   * Delete the expired entries, then the oldest ones until the cache fits in maxBytes
+   * Only the indexes are walked; the cached responses themselves are never read
+   * @returns {Promise<number>} How many entries were deleted
+   */
+  async sweep() {
+    let deleted = 0;
+    await walkIndexKeys(STORES.responses, 'readwrite', 'expiresAt', IDBKeyRange.upperBound(Date.now()), (expiresAt, key, store) => {
+      store.delete(key);
+      deleted++;
+    });
+
+    const sizes = new Map();
+    let bytes = 0;
+    await walkIndexKeys(STORES.responses, 'readonly', 'size', null, (size, key) => {
+      sizes.set(key, size);
+      bytes += size;
+    });
+
+    if (bytes > this.maxBytes) {
+      await walkIndexKeys(STORES.responses, 'readwrite', 'storedAt', null, (storedAt, key, store) => {
+        store.delete(key);
+        deleted++;
+        bytes -= sizes.get(key) || 0;
+        return bytes > this.maxBytes;
+      });
+    }
+
+    this.estimatedBytes = bytes;
+    if (deleted > 0) console.log(`[ResponseCache] Swept ${deleted} expired or oldest responses`);
+    return deleted;
+  }
+
+  /**
+   * Report how much is cached, from the indexes alone
+   * @returns {Promise<{entries: number, expired: number, bytes: number}>}
+   */
+  async getStats() {
+    const stats = { entries: 0, expired: 0, bytes: 0 };
+    if (!this.isAvailable) return stats;
+
+    await this.sweepOnce();
+    stats.entries = await runTransaction(STORES.responses, 'readonly', store => store.count());
+    stats.expired = await runTransaction(STORES.responses, 'readonly', store =>
+      store.index('expiresAt').count(IDBKeyRange.upperBound(Date.now()))
+    );
+    await walkIndexKeys(STORES.responses, 'readonly', 'size', null, (size) => {
+      stats.bytes += size;
+    });
+    return stats;
+  }
+
+  /**
+   * Remove every cached response
+   */
+  async clear() {
+    if (!this.isAvailable) return;
+    await runTransaction(STORES.responses, 'readwrite', store => store.clear());
+    this.estimatedBytes = 0;
+    console.log('[ResponseCache] Cache purged');
+  }
+}
+
+/**
+ * One-way fingerprint of a string (used to scope cache entries to a token
+ * without persisting the token)
+ */
+export async function fingerprint(text) {
+  if (globalThis.crypto?.subtle) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)]
+      .slice(0, 8)
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  // FNV-1a fallback for insecure contexts where SubtleCrypto is missing
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Human-readable byte size
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export default ResponseCache;
@@ -0,0 +1,556 @@
+/**
+ * Shared Wrapped
+ * A Wrapped others can look at: only the calculated statistics, stripped of
+ * everything personal that isn't on the slides (comment and article text, work
+ * item notes, e-mail addresses, avatars), compressed into a URL fragment or
+ * rendered into a standalone HTML page. The token and the YouTrack URL are
+ * never part of the statistics to begin with
+ */
+
+import { PERIOD_TYPES } from './period.js';
+import { isValidTimeZone } from './timeZone.js';
+
+/**
+ * `schema` of a shared Wrapped payload
+ */
+export const SHARE_SCHEMA = 'youtrack-wrapped/share';
+
+/**
+ * Version of the payload, bumped whenever its shape changes
+ */
+export const SHARE_SCHEMA_VERSION = 1;
+
+/**
+ * URL fragment a shared Wrapped link starts with
+ */
+export const SHARE_FRAGMENT_PREFIX = '#share=';
+
+/**
+ * Sections of calculateAll()'s result that are shared; anything a calculator
+ * adds later stays private until it is listed here
+ */
+const SHARED_SECTIONS = [
+  'user', 'year', 'period', 'summary', 'issueStats', 'resolutionStats', 'fieldBreakdowns', 'commentStats',
+  'articleStats', 'activityStats', 'projectStats', 'timeTrackingStats', 'timeStats', 'funFacts', 'comparison',
+  'achievements', 'achievementProgress', 'team', 'members', 'leaderboards', 'memberBadges', 'project'
+];
+
+/**
+ * Keys holding text people wrote, or details about them, which are dropped
+ * wherever they appear (fun facts are sentences the app wrote and are kept)
+ */
+const PRIVATE_KEYS = ['text', 'content', 'email', 'avatarUrl'];
+
+/**
+ * What a shared Wrapped never contains, for the privacy preview
+ */
+export const NEVER_SHARED = [
+  'Your API token and the YouTrack URL',
+  'Comment and article text, and work item notes',
+  'E-mail addresses and avatars',
+  'Custom field values of individual issues'
+];
+
+/**
+ * The shareable payload of a Wrapped
+ * @param {object} stats - Result of a calculator's calculateAll()
+ * @param {object} options
+ * @param {boolean} options.includeIssueTitles - Keep the titles of issues and articles next to their IDs
+ * @returns {{schema: string, schemaVersion: number, createdAt: string, includeIssueTitles: boolean, statistics: object}}
+ */
+export function buildSharePayload(stats, { includeIssueTitles = false } = {}) {
+  const statistics = {};
+  for (const section of SHARED_SECTIONS) {
+    if (stats[section] === undefined) continue;
+    statistics[section] = section === 'funFacts'
+      ? stats.funFacts.map(({ icon, text, comparison }) => ({ icon, text, comparison }))
+      : redact(stats[section], includeIssueTitles);
+  }
+
+  return {
+    schema: SHARE_SCHEMA,
+    schemaVersion: SHARE_SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    includeIssueTitles,
+    statistics
+  };
+}
+
+/**
+ * Everything a payload includes, for the privacy preview
+ * @returns {Array<{label: string, items: string[]}>} Groups of what will be shared, empty ones left out
+ */
+export function describeSharePayload(payload) {
+  const { statistics } = payload;
+  const { user, period, team, project, projectStats, achievements, funFacts } = statistics;
+  const references = collectReferences(statistics, user.login);
+
+  let owner = `${user.fullName || user.login} (${user.login})`;
+  if (team) owner = team.group ? `Team ${team.name} (group ${team.group})` : `Team ${team.name}`;
+  if (project) owner = `Project ${project.name} (${project.shortName})`;
+
+  return [
+    { label: 'Whose Wrapped', items: [owner] },
+    { label: 'Period', items: [period.label] },
+    {
+      label: 'Numbers',
+      items: ['Counts and durations behind every slide: contributions, resolution times, field breakdowns, ' +
+        'activity per hour, weekday, month and day, streaks, time tracked and, if collected, the previous period']
+    },
+    { label: 'People', items: references.people },
+    { label: 'Projects', items: projectStats.projects.map(entry => `${entry.name} (${entry.shortName})`) },
+    { label: payload.includeIssueTitles ? 'Issues and articles, with titles' : 'Issue and article IDs', items: references.issues },
+    { label: 'Badges', items: achievements.map(badge => `${badge.icon} ${badge.name}`) },
+    { label: 'Fun facts', items: funFacts.map(fact => `${fact.text} — ${fact.comparison}`) }
+  ].filter(group => group.items.length > 0);
+}
+
+/**
+ * A payload as the text of a URL fragment: deflated JSON in base64url
+ * @returns {Promise<string>}
+ */
+export async function encodeSharePayload(payload) {
+  const stream = new Blob([JSON.stringify(payload)]).stream().pipeThrough(new CompressionStream('deflate'));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Read a payload back from the text encodeSharePayload() made
+ * @returns {Promise<object>} The payload
+ * @throws {Error} When the text isn't a shared Wrapped this app can show
+ */
+export async function decodeSharePayload(encoded) {
+  let payload;
+  try {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    payload = JSON.parse(await new Response(stream).text());
+  } catch {
+    throw new Error('Invalid shared Wrapped: the link is incomplete or damaged');
+  }
+
+  if (payload?.schema !== SHARE_SCHEMA) {
+    throw new Error('Invalid shared Wrapped: not a YouTrack Wrapped link');
+  }
+  if (payload.schemaVersion > SHARE_SCHEMA_VERSION) {
+    throw new Error(`This Wrapped was shared from a newer version of the app (v${payload.schemaVersion}); please update the app`);
+  }
+  if (!Number.isInteger(payload.schemaVersion) || payload.schemaVersion < 1) {
+    throw new Error('Invalid shared Wrapped: unknown schema version');
+  }
+
+  // Whoever made the link chose every value in it: only the fields the slides
+  // read are kept, each checked to be of the type the slides expect
+  return {
+    schema: SHARE_SCHEMA,
+    schemaVersion: payload.schemaVersion,
+    createdAt: typeof payload.createdAt === 'string' && !Number.isNaN(Date.parse(payload.createdAt)) ? payload.createdAt : null,
+    includeIssueTitles: payload.includeIssueTitles === true,
+    statistics: STATISTICS_SHAPE(payload.statistics, 'statistics')
+  };
+}
+
+/**
+ * Link to a shared Wrapped
+ * @param {string} appUrl - Address of the app, without a fragment
+ * @param {string} encoded - Result of encodeSharePayload()
+ */
+export function shareUrl(appUrl, encoded) {
+  return `${appUrl}${SHARE_FRAGMENT_PREFIX}${encoded}`;
+}
+
+/**
+ * A standalone HTML page of rendered slides
+ * @param {object} options
+ * @param {string} options.title - Page title
+ * @param {string} options.styles - The app's stylesheet, inlined so the page needs no other file
+ * @param {string} options.body - Markup of the rendered slides
+ * @returns {string}
+ */
+export function sharePageHtml({ title, styles, body }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; img-src data:">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>
+${String(styles).replace(/<\/style/gi, '<\\/style')}
+  </style>
+</head>
+<body class="shared-view">
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * A copy of a statistics section without private details: issues and articles
+ * become their ID (and title, if asked), people their login and name
+ */
+function redact(value, includeIssueTitles) {
+  if (Array.isArray(value)) return value.map(item => redact(item, includeIssueTitles));
+  if (!value || typeof value !== 'object') return value;
+
+  if (typeof value.idReadable === 'string') {
+    return includeIssueTitles && value.summary
+      ? { idReadable: value.idReadable, summary: value.summary }
+      : { idReadable: value.idReadable };
+  }
+  if (typeof value.login === 'string') {
+    return value.fullName ? { login: value.login, fullName: value.fullName } : { login: value.login };
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (PRIVATE_KEYS.includes(key) || typeof item === 'function') continue;
+    copy[key] = redact(item, includeIssueTitles);
+  }
+  // Leaderboard entries of issues are named "ID title"
+  if (copy.issue?.idReadable && typeof copy.name === 'string' && !includeIssueTitles) {
+    copy.name = copy.issue.idReadable;
+  }
+  return copy;
+}
+
+/**
+ * Names of the people (other than the Wrapped's owner) and labels of the
+ * issues and articles anywhere in the statistics
+ */
+function collectReferences(statistics, ownerLogin) {
+  const people = new Map();
+  const issues = new Map();
+  const visit = (value) => {
+    if (Array.isArray(value)) return value.forEach(visit);
+    if (!value || typeof value !== 'object') return;
+    if (typeof value.idReadable === 'string') {
+      issues.set(value.idReadable, value.summary ? `${value.idReadable} ${value.summary}` : value.idReadable);
+      return;
+    }
+    if (typeof value.login === 'string') {
+      if (value.login !== ownerLogin) people.set(value.login, value.fullName || value.login);
+      return;
+    }
+    Object.values(value).forEach(visit);
+  };
+  visit(statistics);
+
+  return {
+    people: [...people.values()].sort((a, b) => a.localeCompare(b)),
+    issues: [...issues.values()].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+  };
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/*
+ * Shape of the shared statistics. Each entry checks a value and returns the
+ * copy that is rendered, so keys not listed here never reach the slides
+ */
+
+function fail(path, expected) {
+  throw new Error(`Invalid shared Wrapped: ${path} is not ${expected}`);
+}
+
+function text(value, path) {
+  if (typeof value !== 'string') fail(path, 'a string');
+  return value;
+}
+
+function number(value, path) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) fail(path, 'a number');
+  return value;
+}
+
+function flag(value, path) {
+  if (typeof value !== 'boolean') fail(path, 'true or false');
+  return value;
+}
+
+function dateKey(value, path) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) fail(path, 'a YYYY-MM-DD date');
+  return value;
+}
+
+function monthKey(value, path) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}$/.test(value)) fail(path, 'a YYYY-MM month');
+  return value;
+}
+
+function oneOf(values) {
+  return (value, path) => {
+    if (!values.includes(value)) fail(path, `one of ${values.join(', ')}`);
+    return value;
+  };
+}
+
+function timeZoneName(value, path) {
+  if (typeof value !== 'string' || !isValidTimeZone(value)) fail(path, 'a time zone');
+  return value;
+}
+
+/** Also accepts null and a missing value */
+function optional(check) {
+  return (value, path) => (value === null || value === undefined ? value : check(value, path));
+}
+
+function arrayOf(check) {
+  return (value, path) => {
+    if (!Array.isArray(value)) fail(path, 'a list');
+    return value.map((item, index) => check(item, `${path}[${index}]`));
+  };
+}
+
+/** An object with arbitrary keys, e.g. counts per field value */
+function mapOf(check) {
+  return (value, path) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) fail(path, 'an object');
+    // fromEntries defines own properties, so a "__proto__" key stays a plain key
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, check(item, `${path}.${key}`)]));
+  };
+}
+
+function shape(fields) {
+  return (value, path) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) fail(path, 'an object');
+    const copy = {};
+    for (const [key, check] of Object.entries(fields)) {
+      const item = check(value[key], `${path}.${key}`);
+      if (item !== undefined) copy[key] = item;
+    }
+    return copy;
+  };
+}
+
+const PERSON = shape({ login: text, fullName: optional(text) });
+const ISSUE = shape({ idReadable: text, summary: optional(text) });
+const ISSUE_COUNT = shape({ issue: ISSUE, count: number });
+const COUNTS = mapOf(number);
+
+const PERIOD = shape({
+  type: oneOf(PERIOD_TYPES),
+  year: optional(number),
+  quarter: optional(number),
+  half: optional(number),
+  fiscalStartMonth: optional(number),
+  startDate: dateKey,
+  endDate: dateKey,
+  label: text,
+  noun: text,
+  timeZone: optional(timeZoneName)
+});
+
+const SUMMARY_KEYS = [
+  'totalIssuesCreated', 'totalIssuesResolved', 'totalComments', 'totalArticles',
+  'totalActivityEvents', 'totalTriageActions', 'totalContributions'
+];
+const SUMMARY = shape(Object.fromEntries(SUMMARY_KEYS.map(key => [key, number])));
+
+const TIMELINE = shape({
+  granularity: text,
+  buckets: arrayOf(shape({ label: text, startDate: dateKey, value: number, byType: optional(COUNTS) }))
+});
+
+const RESOLUTION_ROWS = arrayOf(shape({
+  name: text, count: number, medianMs: optional(number), medianDays: optional(number)
+}));
+const RESOLUTION_EXTREME = optional(shape({ issue: ISSUE, durationMs: number }));
+
+const FIELD_ROWS = arrayOf(shape({ value: text, count: number, share: number }));
+
+const MONTH = shape({ month: monthKey, monthName: text, count: number });
+const CALENDAR_DAY = shape({
+  date: dateKey, total: number, byType: COUNTS, level: number, inStreak: optional(flag), isBusiest: optional(flag)
+});
+
+const COMMENT = optional(shape({ id: optional(text), created: optional(number), author: optional(PERSON), issue: optional(ISSUE) }));
+
+const CHANGE = shape({ current: number, previous: number, delta: number, percent: optional(number) });
+const SUMMARY_CHANGES = shape(Object.fromEntries(SUMMARY_KEYS.map(key => [key, CHANGE])));
+
+const TIER = shape({
+  id: text,
+  name: text,
+  icon: text,
+  description: text,
+  threshold: optional(number),
+  reached: optional(flag),
+  earnedBy: optional(number),
+  rarity: optional(number)
+});
+
+const BADGE_FIELDS = {
+  id: text,
+  name: text,
+  icon: text,
+  description: text,
+  earned: flag,
+  tiers: optional(arrayOf(TIER)),
+  value: optional(number),
+  unit: optional(text),
+  comparator: optional(text),
+  explanation: optional(text)
+};
+
+const STATISTICS_SHAPE = shape({
+  user: PERSON,
+  year: optional(number),
+  period: PERIOD,
+  summary: SUMMARY,
+  issueStats: optional(shape({
+    total: number,
+    resolved: number,
+    avgResolutionTimeMs: optional(number),
+    avgResolutionTimeDays: optional(number),
+    longestSummary: optional(ISSUE),
+    shortestSummary: optional(ISSUE)
+  })),
+  resolutionStats: shape({
+    resolvedCount: number,
+    medianMs: optional(number),
+    medianDays: optional(number),
+    p90Ms: optional(number),
+    p90Days: optional(number),
+    fastest: RESOLUTION_EXTREME,
+    slowest: RESOLUTION_EXTREME,
+    distribution: arrayOf(shape({ id: text, label: text, count: number })),
+    byProject: RESOLUTION_ROWS,
+    byField: mapOf(RESOLUTION_ROWS)
+  }),
+  fieldBreakdowns: shape({
+    fields: mapOf(shape({
+      created: FIELD_ROWS,
+      resolved: FIELD_ROWS,
+      createdUnset: optional(number),
+      resolvedUnset: optional(number),
+      createdByValue: optional(COUNTS),
+      resolvedByValue: optional(COUNTS)
+    })),
+    headline: optional(shape({ field: text, value: text, count: number, share: number, total: number })),
+    criticalResolved: optional(number)
+  }),
+  commentStats: optional(shape({
+    total: number,
+    avgLength: optional(number),
+    totalCharacters: optional(number),
+    longestComment: COMMENT,
+    shortestComment: COMMENT,
+    mostCommentedIssue: optional(ISSUE_COUNT)
+  })),
+  articleStats: optional(shape({
+    total: number,
+    totalContentLength: optional(number),
+    avgContentLength: optional(number),
+    longestArticle: optional(ISSUE)
+  })),
+  activityStats: shape({
+    total: number,
+    byType: COUNTS,
+    triageActions: optional(number),
+    issuesTouched: optional(number),
+    mostTouchedIssue: optional(ISSUE_COUNT),
+    topTargetState: optional(shape({ state: text, count: number }))
+  }),
+  projectStats: shape({
+    totalProjects: number,
+    projects: arrayOf(shape({
+      name: text,
+      shortName: text,
+      issuesCreated: number,
+      issuesResolved: number,
+      comments: number,
+      totalActivity: number
+    })),
+    topProject: optional(shape({
+      name: text,
+      shortName: text,
+      issuesCreated: number,
+      issuesResolved: number,
+      comments: number,
+      totalActivity: number
+    }))
+  }),
+  timeTrackingStats: shape({
+    totalWorkItems: number,
+    totalMinutes: number,
+    totalHours: number,
+    byProject: arrayOf(shape({ name: optional(text), shortName: text, minutes: number, hours: number })),
+    byWorkType: arrayOf(shape({ type: text, minutes: number, hours: number })),
+    monthlyHours: COUNTS,
+    hoursTimeline: TIMELINE,
+    biggestLog: optional(shape({
+      workItem: shape({ issue: optional(ISSUE) }),
+      minutes: number,
+      hours: number
+    })),
+    activeDays: number,
+    avgHoursPerActiveDay: number
+  }),
+  timeStats: shape({
+    monthlyActivity: COUNTS,
+    activityTimeline: TIMELINE,
+    dayOfWeekActivity: COUNTS,
+    hourlyActivity: COUNTS,
+    busiestMonth: MONTH,
+    busiestDayOfWeek: shape({ day: number, dayName: text, count: number }),
+    busiestHour: shape({ hour: number, count: number }),
+    longestStreak: shape({ days: number, startDate: optional(dateKey), endDate: optional(dateKey) }),
+    calendar: shape({
+      weeks: arrayOf(arrayOf(optional(CALENDAR_DAY))),
+      maxCount: optional(number),
+      busiestDay: optional(shape({ date: dateKey, total: number, byType: optional(COUNTS) }))
+    })
+  }),
+  funFacts: arrayOf(shape({ icon: text, text, comparison: text })),
+  comparison: optional(shape({
+    period: PERIOD,
+    summary: SUMMARY_CHANGES,
+    projects: arrayOf(shape({
+      name: text, shortName: text, rank: number, previousRank: optional(number), rankChange: optional(number)
+    })),
+    busiestMonth: shape({ current: MONTH, previous: MONTH, shifted: flag }),
+    streak: CHANGE
+  })),
+  achievements: arrayOf(shape({
+    id: text, badge: optional(text), name: text, description: text, icon: text, progressText: optional(text)
+  })),
+  achievementProgress: arrayOf(shape({
+    ...BADGE_FIELDS,
+    tierId: optional(text),
+    tier: number,
+    tierCount: number,
+    next: optional(shape({ id: text, name: text, threshold: optional(number), remaining: optional(number) })),
+    progress: number,
+    progressText: optional(text)
+  })),
+  team: optional(shape({ name: text, group: optional(text), memberCount: number })),
+  members: optional(arrayOf(shape({
+    user: PERSON, summary: SUMMARY, totalHours: optional(number), longestStreak: optional(number)
+  }))),
+  leaderboards: optional(arrayOf(shape({
+    id: text,
+    label: text,
+    icon: text,
+    entries: arrayOf(shape({ user: optional(PERSON), issue: optional(ISSUE), name: text, value: number }))
+  }))),
+  memberBadges: optional(arrayOf(shape({ ...BADGE_FIELDS, earnedBy: number, rarity: number }))),
+  project: optional(shape({ id: optional(text), name: text, shortName: text }))
+});
+
+export default buildSharePayload;
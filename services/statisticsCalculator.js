@@ -3,26 +3,158 @@
  * Calculates fun and viral statistics from the collected YouTrack data
  */
 
+import { TRIAGE_EVENT_TYPES } from './activityCollector.js';
+import { earnedAchievements } from './achievementRegistry.js';
+import { achievementRegistry } from './achievements.js';
+import { periodDays, timelineGranularity, yearPeriod } from './period.js';
+import { zonedParts } from './timeZone.js';
+
+const MONTH_SHORT_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Custom fields created and resolved issues (and resolution times) are broken
+ * down by, unless the calculator is given its own list
+ */
+export const DEFAULT_BREAKDOWN_FIELDS = ['Type', 'Priority', 'State', 'Subsystem'];
+
+/**
+ * Intensity levels of the activity calendar above "no activity" (level 0)
+ */
+export const CALENDAR_LEVELS = 4;
+
+/**
+ * Priority values that count as critical
+ */
+export const CRITICAL_PRIORITIES = ['Show-stopper', 'Critical'];
+
+/**
+ * Share of the created issues one value needs for the "you mostly filed" headline
+ */
+const HEADLINE_MIN_SHARE = 0.4;
+
+/**
+ * Buckets of the resolution time histogram; `maxMs` is exclusive, same-day
+ * means created and resolved on the same calendar day
+ */
+const RESOLUTION_BUCKETS = [
+  { id: 'same-day', label: 'Same day' },
+  { id: 'week', label: 'Within a week', maxMs: 7 * DAY_MS },
+  { id: 'month', label: 'Within a month', maxMs: 30 * DAY_MS },
+  { id: 'older', label: 'Longer', maxMs: Infinity }
+];
+
+/**
+ * Summary numbers compared between two periods
+ */
+export const COMPARED_SUMMARY_KEYS = [
+  'totalIssuesCreated',
+  'totalIssuesResolved',
+  'totalComments',
+  'totalArticles',
+  'totalActivityEvents',
+  'totalTriageActions',
+  'totalContributions'
+];
+
 export class StatisticsCalculator {
-  constructor(data) {
+  /**
+   * @param {object} data - Raw dataset returned by DataCollector
+   * @param {object} options
+   * @param {object} options.previousData - Dataset of the preceding period, to compare against
+   * @param {AchievementRegistry} options.achievements - Badge catalog (defaults to the built-in one
+   *   plus any custom badges loaded into it)
+   * @param {string[]} options.breakdownFields - Custom field names to break issues down by
+   */
+  constructor(data, { previousData = null, achievements = achievementRegistry, breakdownFields = DEFAULT_BREAKDOWN_FIELDS } = {}) {
     this.data = data;
+    this.previousData = previousData;
+    this.achievements = achievements;
+    this.breakdownFields = breakdownFields;
   }
 
   /**
    * Calculate all statistics for the Wrapped page
    */
   calculateAll() {
-    return {
+    const stats = {
       user: this.data.user,
       year: this.data.year,
+      period: this.getPeriod(),
       summary: this.calculateSummary(),
       issueStats: this.calculateIssueStats(),
+      resolutionStats: this.calculateResolutionStats(),
+      fieldBreakdowns: this.calculateFieldBreakdowns(),
       commentStats: this.calculateCommentStats(),
       articleStats: this.calculateArticleStats(),
+      activityStats: this.calculateActivityStats(),
       projectStats: this.calculateProjectStats(),
-      timeStats: this.calculateTimeStats(),
-      funFacts: this.calculateFunFacts(),
-      achievements: this.calculateAchievements()
+      timeTrackingStats: this.calculateTimeTrackingStats(),
+      timeStats: this.calculateTimeStats()
+    };
+    stats.funFacts = this.calculateFunFacts(stats);
+    stats.comparison = this.previousData ? this.calculateComparison(stats) : null;
+    const achievementProgress = this.evaluateAchievements(stats);
+
+    return {
+      ...stats,
+      achievements: earnedAchievements(achievementProgress),
+      achievementProgress
+    };
+  }
+
+  /**
+   * Compare this period with the previous one: a delta for every summary
+   * number, how the top projects moved, the busiest-month shift and the streaks
+   * The previous period is calculated with the same badge catalog and breakdown fields
+   * @param {object} current - Already calculated statistics of this period, to avoid calculating them again
+   */
+  calculateComparison(current = {
+    summary: this.calculateSummary(),
+    projectStats: this.calculateProjectStats(),
+    timeStats: this.calculateTimeStats()
+  }) {
+    const previous = new StatisticsCalculator(this.previousData, {
+      achievements: this.achievements,
+      breakdownFields: this.breakdownFields
+    });
+    const currentSummary = current.summary;
+    const previousSummary = previous.calculateSummary();
+
+    const summary = {};
+    for (const key of COMPARED_SUMMARY_KEYS) {
+      summary[key] = compareNumbers(currentSummary[key], previousSummary[key]);
+    }
+
+    // Rank changes of this period's top projects
+    const previousRanks = new Map(
+      previous.calculateProjectStats().projects.map((project, index) => [project.name, index + 1])
+    );
+    const projects = current.projectStats.projects.slice(0, 5).map((project, index) => {
+      const previousRank = previousRanks.get(project.name) ?? null;
+      return {
+        name: project.name,
+        shortName: project.shortName,
+        rank: index + 1,
+        previousRank,
+        rankChange: previousRank === null ? null : previousRank - (index + 1)
+      };
+    });
+
+    const currentTime = current.timeStats;
+    const previousTime = previous.calculateTimeStats();
+
+    return {
+      period: previous.getPeriod(),
+      summary,
+      projects,
+      busiestMonth: {
+        current: currentTime.busiestMonth,
+        previous: previousTime.busiestMonth,
+        // Names only carry the year in periods spanning two years, so years compare by month of the year
+        shifted: currentTime.busiestMonth.monthName !== previousTime.busiestMonth.monthName
+      },
+      streak: compareNumbers(currentTime.longestStreak.days, previousTime.longestStreak.days)
     };
   }
 
@@ -30,19 +162,47 @@ export class StatisticsCalculator {
    * High-level summary numbers
    */
   calculateSummary() {
+    const activities = this.getActivities();
+    const triageActions = activities.filter(a => TRIAGE_EVENT_TYPES.includes(a.type)).length;
+
     return {
       totalIssuesCreated: this.data.createdIssues.length,
       totalIssuesResolved: this.data.resolvedIssues.length,
       totalComments: this.data.comments.length,
       totalArticles: this.data.articles.length,
+      totalActivityEvents: activities.length,
+      totalTriageActions: triageActions,
       totalContributions:
         this.data.createdIssues.length +
         this.data.resolvedIssues.length +
         this.data.comments.length +
-        this.data.articles.length
+        this.data.articles.length +
+        activities.length
     };
   }
 
+  /**
+   * The period the data covers (datasets collected before custom periods only carry the year)
+   */
+  getPeriod() {
+    return this.data.period || yearPeriod(this.data.year);
+  }
+
+  /**
+   * Time zone every day, hour and month bucket is computed in, so a shared
+   * result shows the same numbers in any browser
+   */
+  getTimeZone() {
+    return this.getPeriod().timeZone || 'UTC';
+  }
+
+  /**
+   * Activity events collected by ActivityCollector (empty for datasets collected without it)
+   */
+  getActivities() {
+    return this.data.activities || [];
+  }
+
   /**
    * Detailed issue statistics
    */
@@ -70,6 +230,95 @@ export class StatisticsCalculator {
     };
   }
 
+  /**
+   * How long the issues resolved in the period took from creation to resolution:
+   * median, 90th percentile, the fastest and slowest issue, a histogram and
+   * breakdowns by project and by the breakdown fields
+   */
+  calculateResolutionStats() {
+    const timeZone = this.getTimeZone();
+    const resolutions = this.data.resolvedIssues
+      .filter(issue => issue.created && issue.resolved >= issue.created)
+      .map(issue => ({ issue, durationMs: issue.resolved - issue.created }))
+      .sort((a, b) => a.durationMs - b.durationMs);
+
+    const distribution = RESOLUTION_BUCKETS.map(({ id, label }) => ({ id, label, count: 0 }));
+    for (const { issue, durationMs } of resolutions) {
+      const sameDay = zonedParts(issue.created, timeZone).dateKey === zonedParts(issue.resolved, timeZone).dateKey;
+      const index = sameDay ? 0 : RESOLUTION_BUCKETS.findIndex(bucket => durationMs < bucket.maxMs);
+      distribution[index].count++;
+    }
+
+    const byField = {};
+    for (const field of this.breakdownFields) {
+      byField[field] = summarizeDurations(resolutions, ({ issue }) => customFieldValue(issue, field) || `No ${field}`);
+    }
+
+    const extreme = resolution => resolution && {
+      issue: { id: resolution.issue.id, idReadable: resolution.issue.idReadable, summary: resolution.issue.summary },
+      durationMs: resolution.durationMs
+    };
+    const medianMs = percentile(resolutions, 0.5);
+    const p90Ms = percentile(resolutions, 0.9);
+
+    return {
+      resolvedCount: resolutions.length,
+      medianMs,
+      medianDays: toDays(medianMs),
+      p90Ms,
+      p90Days: toDays(p90Ms),
+      fastest: extreme(resolutions[0]),
+      slowest: extreme(resolutions[resolutions.length - 1]),
+      distribution,
+      byProject: summarizeDurations(resolutions, ({ issue }) => issue.project?.name || 'Unknown'),
+      byField
+    };
+  }
+
+  /**
+   * Created and resolved issues counted per value of each breakdown field
+   * Fields none of the issues have (e.g. no Subsystem in these projects) are left out;
+   * issues where the field is empty count as `unset` rather than as a value
+   * @returns {{fields: Object<string, object>, headline: object|null, criticalResolved: number}} Per field:
+   *   { created, resolved, createdUnset, resolvedUnset, createdByValue, resolvedByValue }, where
+   *   created/resolved list { value, count, share } largest first, share being of the issues with a value;
+   *   the headline is the dominant value of the first field one value dominates, and criticalResolved
+   *   counts resolved issues with one of the CRITICAL_PRIORITIES
+   */
+  calculateFieldBreakdowns() {
+    const fields = {};
+    for (const field of this.breakdownFields) {
+      const created = countFieldValues(this.data.createdIssues, field);
+      const resolved = countFieldValues(this.data.resolvedIssues, field);
+      if (!created.present && !resolved.present) continue;
+
+      fields[field] = {
+        created: created.values,
+        resolved: resolved.values,
+        createdUnset: created.unset,
+        resolvedUnset: resolved.unset,
+        createdByValue: Object.fromEntries(created.values.map(({ value, count }) => [value, count])),
+        resolvedByValue: Object.fromEntries(resolved.values.map(({ value, count }) => [value, count]))
+      };
+    }
+
+    let headline = null;
+    for (const [field, { created }] of Object.entries(fields)) {
+      const top = created[0];
+      const total = created.reduce((sum, entry) => sum + entry.count, 0);
+      // A single issue, or a field every issue shares one value of, says little
+      if (top && total >= 5 && created.length > 1 && top.share >= HEADLINE_MIN_SHARE) {
+        headline = { field, value: top.value, count: top.count, share: top.share, total };
+        break;
+      }
+    }
+
+    const resolvedPriorities = fields.Priority?.resolvedByValue || {};
+    const criticalResolved = CRITICAL_PRIORITIES.reduce((sum, priority) => sum + (resolvedPriorities[priority] || 0), 0);
+
+    return { fields, headline, criticalResolved };
+  }
+
   /**
    * Comment statistics
    */
@@ -155,6 +404,61 @@ export class StatisticsCalculator {
     };
   }
 
+  /**
+   * Statistics over the activity stream (field changes, triage, tags, ...)
+   */
+  calculateActivityStats() {
+    const activities = this.getActivities();
+    const byType = {
+      'state-change': 0,
+      'priority-change': 0,
+      'assignment': 0,
+      'field-change': 0,
+      'tag': 0,
+      'attachment': 0,
+      'link': 0,
+      'vote': 0,
+      'edit': 0
+    };
+
+    const issueCounts = {};
+    const stateCounts = {};
+
+    for (const activity of activities) {
+      byType[activity.type] = (byType[activity.type] || 0) + 1;
+
+      if (activity.issue) {
+        const issueId = activity.issue.idReadable;
+        if (!issueCounts[issueId]) {
+          issueCounts[issueId] = { issue: activity.issue, count: 0 };
+        }
+        issueCounts[issueId].count++;
+      }
+
+      if (activity.type === 'state-change') {
+        for (const state of activity.added) {
+          stateCounts[state] = (stateCounts[state] || 0) + 1;
+        }
+      }
+    }
+
+    const mostTouchedIssue = Object.values(issueCounts)
+      .sort((a, b) => b.count - a.count)[0] || null;
+
+    const topTargetState = Object.entries(stateCounts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([state, count]) => ({ state, count }))[0] || null;
+
+    return {
+      total: activities.length,
+      byType,
+      triageActions: TRIAGE_EVENT_TYPES.reduce((sum, type) => sum + byType[type], 0),
+      issuesTouched: Object.keys(issueCounts).length,
+      mostTouchedIssue,
+      topTargetState
+    };
+  }
+
   /**
    * Project-based statistics
    */
@@ -221,6 +525,89 @@ export class StatisticsCalculator {
     };
   }
 
+  /**
+   * Spent-time statistics from the user's work items
+   */
+  calculateTimeTrackingStats() {
+    const workItems = this.data.workItems || [];
+    const toHours = minutes => Math.round((minutes / 60) * 10) / 10;
+
+    const projectMinutes = {};
+    const typeMinutes = {};
+    // Keyed by YYYY-MM, so a period spanning two years keeps its months apart
+    const monthlyMinutes = {};
+    const activeDays = new Set();
+    let totalMinutes = 0;
+    let biggestLog = null;
+
+    for (const month of periodMonthKeys(this.getPeriod())) {
+      monthlyMinutes[month] = 0;
+    }
+
+    for (const item of workItems) {
+      const minutes = item.duration?.minutes || 0;
+      totalMinutes += minutes;
+
+      const projectName = item.issue?.project?.name || 'Unknown';
+      if (!projectMinutes[projectName]) {
+        projectMinutes[projectName] = {
+          name: projectName,
+          shortName: item.issue?.project?.shortName || '?',
+          minutes: 0
+        };
+      }
+      projectMinutes[projectName].minutes += minutes;
+
+      const typeName = item.type?.name || 'No type';
+      typeMinutes[typeName] = (typeMinutes[typeName] || 0) + minutes;
+
+      // Work item dates are calendar days stored as UTC midnight
+      const dateKey = new Date(item.date).toISOString().slice(0, 10);
+      const month = dateKey.slice(0, 7);
+      if (month in monthlyMinutes) monthlyMinutes[month] += minutes;
+      activeDays.add(dateKey);
+
+      if (!biggestLog || minutes > biggestLog.minutes) {
+        biggestLog = { workItem: item, minutes, hours: toHours(minutes) };
+      }
+    }
+
+    const byProject = Object.values(projectMinutes)
+      .map(p => ({ ...p, hours: toHours(p.minutes) }))
+      .sort((a, b) => b.minutes - a.minutes);
+
+    const byWorkType = Object.entries(typeMinutes)
+      .map(([type, minutes]) => ({ type, minutes, hours: toHours(minutes) }))
+      .sort((a, b) => b.minutes - a.minutes);
+
+    const monthlyHours = {};
+    for (const [month, minutes] of Object.entries(monthlyMinutes)) {
+      monthlyHours[month] = toHours(minutes);
+    }
+
+    const hoursTimeline = buildTimeline(
+      this.getPeriod(),
+      workItems.map(item => ({ timestamp: item.date, value: item.duration?.minutes || 0 })),
+      'UTC'
+    );
+    for (const bucket of hoursTimeline.buckets) {
+      bucket.value = toHours(bucket.value);
+    }
+
+    return {
+      totalWorkItems: workItems.length,
+      totalMinutes,
+      totalHours: toHours(totalMinutes),
+      byProject,
+      byWorkType,
+      monthlyHours,
+      hoursTimeline,
+      biggestLog,
+      activeDays: activeDays.size,
+      avgHoursPerActiveDay: activeDays.size > 0 ? toHours(totalMinutes / activeDays.size) : 0
+    };
+  }
+
   /**
    * Time-based statistics
    */
@@ -228,10 +615,12 @@ export class StatisticsCalculator {
     const allActivities = [
       ...this.data.createdIssues.map(i => ({ type: 'issue', timestamp: i.created })),
       ...this.data.comments.map(c => ({ type: 'comment', timestamp: c.created })),
-      ...this.data.articles.map(a => ({ type: 'article', timestamp: a.created }))
+      ...this.data.articles.map(a => ({ type: 'article', timestamp: a.created })),
+      ...this.getActivities().map(a => ({ type: 'activity', timestamp: a.timestamp }))
     ];
 
-    // Activity by month
+    // Activity by month, keyed by YYYY-MM so a period spanning two years keeps its months apart
+    const period = this.getPeriod();
     const monthlyActivity = {};
     const dayOfWeekActivity = { 0: 0, 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0 };
     const hourlyActivity = {};
@@ -240,18 +629,17 @@ export class StatisticsCalculator {
       hourlyActivity[i] = 0;
     }
 
-    for (let i = 1; i <= 12; i++) {
-      monthlyActivity[i] = 0;
+    for (const month of periodMonthKeys(period)) {
+      monthlyActivity[month] = 0;
     }
 
+    const timeZone = this.getTimeZone();
     for (const activity of allActivities) {
-      const date = new Date(activity.timestamp);
-      const month = date.getMonth() + 1;
-      const dayOfWeek = date.getDay();
-      const hour = date.getHours();
+      const { dateKey, weekday, hour } = zonedParts(activity.timestamp, timeZone);
+      const month = dateKey.slice(0, 7);
 
-      monthlyActivity[month]++;
-      dayOfWeekActivity[dayOfWeek]++;
+      if (month in monthlyActivity) monthlyActivity[month]++;
+      dayOfWeekActivity[weekday]++;
       hourlyActivity[hour]++;
     }
 
@@ -267,19 +655,24 @@ export class StatisticsCalculator {
 
     const monthNames = ['', 'January', 'February', 'March', 'April', 'May', 'June',
       'July', 'August', 'September', 'October', 'November', 'December'];
+    const [busiestYear, busiestMonthNumber] = busiestMonth[0].split('-').map(Number);
+    const spansYears = period.startDate.slice(0, 4) !== period.endDate.slice(0, 4);
 
     const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
     // Calculate streaks
-    const streak = this.calculateLongestStreak(allActivities);
+    const dailyActivity = this.groupActivitiesByDay(allActivities);
+    const streak = this.calculateLongestStreak(allActivities, dailyActivity);
 
     return {
       monthlyActivity,
+      activityTimeline: buildTimeline(period, allActivities, timeZone),
       dayOfWeekActivity,
       hourlyActivity,
       busiestMonth: {
-        month: parseInt(busiestMonth[0]),
-        monthName: monthNames[parseInt(busiestMonth[0])],
+        month: busiestMonth[0],
+        // The year is only needed to tell the months of a period spanning two years apart
+        monthName: spansYears ? `${monthNames[busiestMonthNumber]} ${busiestYear}` : monthNames[busiestMonthNumber],
         count: busiestMonth[1]
       },
       busiestDayOfWeek: {
@@ -291,25 +684,88 @@ export class StatisticsCalculator {
         hour: parseInt(busiestHour[0]),
         count: busiestHour[1]
       },
-      longestStreak: streak
+      longestStreak: streak,
+      calendar: this.calculateActivityCalendar(dailyActivity, streak)
     };
   }
 
+  /**
+   * Count activities per calendar day and type
+   * @param {Array<{type: string, timestamp: number}>} activities
+   * @returns {Map<string, {total: number, byType: Object<string, number>}>} Keyed by YYYY-MM-DD
+   */
+  groupActivitiesByDay(activities) {
+    const timeZone = this.getTimeZone();
+    const days = new Map();
+    for (const activity of activities) {
+      const { dateKey } = zonedParts(activity.timestamp, timeZone);
+      const day = days.get(dateKey) || { total: 0, byType: { issue: 0, comment: 0, article: 0, activity: 0 } };
+      day.total++;
+      day.byType[activity.type]++;
+      days.set(dateKey, day);
+    }
+    return days;
+  }
+
+  /**
+   * A contribution calendar of the period: one column per week (Sunday first),
+   * one cell per day with its counts and an intensity level, marking the days
+   * of the longest streak and the busiest day
+   * @param {Map} dailyActivity - Result of groupActivitiesByDay()
+   * @param {object} streak - Result of calculateLongestStreak()
+   * @returns {{weeks: Array<Array<object|null>>, maxCount: number, busiestDay: object|null}} Cells
+   *   outside the period are null; days are { date, total, byType, level, inStreak, isBusiest }
+   */
+  calculateActivityCalendar(dailyActivity, streak) {
+    const period = this.getPeriod();
+    const [startYear, startMonth, startDay] = period.startDate.split('-').map(Number);
+    const [endYear, endMonth, endDay] = period.endDate.split('-').map(Number);
+    const first = Date.UTC(startYear, startMonth - 1, startDay);
+    const last = Date.UTC(endYear, endMonth - 1, endDay);
+
+    let busiestDay = null;
+    let maxCount = 0;
+    for (const [date, { total, byType }] of dailyActivity) {
+      if (total > maxCount || (total === maxCount && busiestDay && date < busiestDay.date)) {
+        busiestDay = { date, total, byType };
+        maxCount = total;
+      }
+    }
+
+    const weeks = [];
+    let week = new Array(new Date(first).getUTCDay()).fill(null);
+    for (let time = first; time <= last; time += DAY_MS) {
+      const date = new Date(time).toISOString().slice(0, 10);
+      const { total, byType } = dailyActivity.get(date) || { total: 0, byType: { issue: 0, comment: 0, article: 0, activity: 0 } };
+      week.push({
+        date,
+        total,
+        byType,
+        level: total === 0 ? 0 : Math.ceil((total / maxCount) * CALENDAR_LEVELS),
+        inStreak: streak.days > 0 && date >= streak.startDate && date <= streak.endDate,
+        isBusiest: busiestDay?.date === date
+      });
+      if (week.length === 7) {
+        weeks.push(week);
+        week = [];
+      }
+    }
+    if (week.length > 0) {
+      weeks.push([...week, ...new Array(7 - week.length).fill(null)]);
+    }
+
+    return { weeks, maxCount, busiestDay };
+  }
+
   /**
    * Calculate the longest streak of consecutive days with activity
+   * @param {object[]} activities
+   * @param {Map} dailyActivity - The activities grouped by day, when already done
    */
-  calculateLongestStreak(activities) {
+  calculateLongestStreak(activities, dailyActivity = this.groupActivitiesByDay(activities)) {
     if (activities.length === 0) return { days: 0, startDate: null, endDate: null };
 
-    // Get unique active days
-    const activeDays = new Set(
-      activities.map(a => {
-        const date = new Date(a.timestamp);
-        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
-      })
-    );
-
-    const sortedDays = [...activeDays].sort();
+    const sortedDays = [...dailyActivity.keys()].sort();
 
     let longestStreak = 1;
     let currentStreak = 1;
@@ -344,12 +800,17 @@ export class StatisticsCalculator {
 
   /**
    * Generate fun facts and comparisons
+   * @param {object} stats - Already calculated statistics, to avoid calculating them again
    */
-  calculateFunFacts() {
+  calculateFunFacts(stats = {
+    summary: this.calculateSummary(),
+    commentStats: this.calculateCommentStats(),
+    timeStats: this.calculateTimeStats(),
+    activityStats: this.calculateActivityStats(),
+    fieldBreakdowns: this.calculateFieldBreakdowns()
+  }) {
     const facts = [];
-    const summary = this.calculateSummary();
-    const commentStats = this.calculateCommentStats();
-    const timeStats = this.calculateTimeStats();
+    const { summary, commentStats, timeStats, activityStats, fieldBreakdowns } = stats;
 
     // Characters written in comments
     if (commentStats.totalCharacters > 0) {
@@ -398,13 +859,52 @@ export class StatisticsCalculator {
       });
     }
 
-    // Issues per month
-    const monthlyIssues = summary.totalIssuesCreated / 12;
-    if (monthlyIssues >= 1) {
+    // Triage work from the activity stream
+    if (activityStats.triageActions > 0) {
+      const { byType } = activityStats;
+      facts.push({
+        icon: '🧭',
+        text: `You made ${activityStats.triageActions.toLocaleString()} triage moves`,
+        comparison: `${byType['state-change']} state changes, ${byType['priority-change']} reprioritizations and ${byType['assignment']} assignments`
+      });
+    }
+
+    if (activityStats.topTargetState) {
+      facts.push({
+        icon: '🚦',
+        text: `Your favorite move: to ${activityStats.topTargetState.state}`,
+        comparison: `You moved issues there ${activityStats.topTargetState.count} times`
+      });
+    }
+
+    // What kind of issues, from the custom field breakdowns
+    const { headline, criticalResolved } = fieldBreakdowns;
+    if (headline) {
+      facts.push({
+        icon: '🏷️',
+        text: `You mostly filed ${headline.value} issues`,
+        comparison: `${Math.round(headline.share * 100)}% of the ${headline.total} issues you created with a ${headline.field}`
+      });
+    }
+
+    if (criticalResolved > 0) {
+      facts.push({
+        icon: '🚨',
+        text: `You resolved ${criticalResolved} critical issue${criticalResolved === 1 ? '' : 's'}`,
+        comparison: `Issues with ${CRITICAL_PRIORITIES.join(' or ')} priority`
+      });
+    }
+
+    // Issues per month (or per week for short periods)
+    const period = this.getPeriod();
+    const days = Math.max(periodDays(period), 1);
+    const unit = timelineGranularity(period) === 'week' ? { name: 'week', days: 7 } : { name: 'month', days: 30 };
+    const issuesPerUnit = summary.totalIssuesCreated / (days / unit.days);
+    if (issuesPerUnit >= 1) {
       facts.push({
         icon: '📊',
-        text: `You created ~${Math.round(monthlyIssues)} issues per month`,
-        comparison: `That's one every ${Math.round(30 / monthlyIssues)} days on average`
+        text: `You created ~${Math.round(issuesPerUnit)} issues per ${unit.name}`,
+        comparison: `That's one every ${Math.round(days / summary.totalIssuesCreated)} days on average`
       });
     }
 
@@ -412,88 +912,205 @@ export class StatisticsCalculator {
   }
 
   /**
-   * Calculate achievements/badges
+   * Calculate the earned achievements/badges
    */
   calculateAchievements() {
-    const achievements = [];
-    const summary = this.calculateSummary();
-    const timeStats = this.calculateTimeStats();
-    const projectStats = this.calculateProjectStats();
+    return earnedAchievements(this.evaluateAchievements());
+  }
 
-    // Issue Creator achievements
-    if (summary.totalIssuesCreated >= 100) {
-      achievements.push({ id: 'issue_master', name: 'Issue Master', description: 'Created 100+ issues', icon: '🏆' });
-    } else if (summary.totalIssuesCreated >= 50) {
-      achievements.push({ id: 'issue_expert', name: 'Issue Expert', description: 'Created 50+ issues', icon: '🥇' });
-    } else if (summary.totalIssuesCreated >= 20) {
-      achievements.push({ id: 'issue_enthusiast', name: 'Issue Enthusiast', description: 'Created 20+ issues', icon: '🥈' });
-    } else if (summary.totalIssuesCreated >= 5) {
-      achievements.push({ id: 'issue_starter', name: 'Issue Starter', description: 'Created 5+ issues', icon: '🥉' });
-    }
+  /**
+   * Evaluate every personal badge of the achievement registry, earned or not
+   * @param {object} stats - Already calculated statistics, to avoid calculating them again
+   */
+  evaluateAchievements(stats = {
+    summary: this.calculateSummary(),
+    timeStats: this.calculateTimeStats(),
+    projectStats: this.calculateProjectStats(),
+    activityStats: this.calculateActivityStats(),
+    timeTrackingStats: this.calculateTimeTrackingStats(),
+    fieldBreakdowns: this.calculateFieldBreakdowns()
+  }) {
+    const { dayOfWeekActivity, hourlyActivity } = stats.timeStats;
+    const sumHours = hours => hours.reduce((sum, h) => sum + (hourlyActivity[h] || 0), 0);
+
+    return this.achievements.evaluate({
+      ...stats,
+      activityWindows: {
+        weekend: dayOfWeekActivity[0] + dayOfWeekActivity[6],
+        night: sumHours([22, 23, 0, 1, 2, 3, 4]),
+        earlyMorning: sumHours([5, 6, 7, 8])
+      }
+    }, 'personal');
+  }
+}
 
-    // Bug Crusher
-    if (summary.totalIssuesResolved >= 100) {
-      achievements.push({ id: 'bug_crusher', name: 'Bug Crusher', description: 'Resolved 100+ issues', icon: '🐛' });
-    } else if (summary.totalIssuesResolved >= 50) {
-      achievements.push({ id: 'bug_hunter', name: 'Bug Hunter', description: 'Resolved 50+ issues', icon: '🔍' });
-    } else if (summary.totalIssuesResolved >= 20) {
-      achievements.push({ id: 'bug_squasher', name: 'Bug Squasher', description: 'Resolved 20+ issues', icon: '👊' });
-    }
+/**
+ * Difference between a current and a previous value
+ * `percent` is null when there is nothing to compare against
+ */
+function compareNumbers(current, previous) {
+  return {
+    current,
+    previous,
+    delta: current - previous,
+    percent: previous > 0 ? Math.round(((current - previous) / previous) * 100) : null
+  };
+}
 
-    // Commenter achievements
-    if (summary.totalComments >= 500) {
-      achievements.push({ id: 'chatterbox', name: 'Chatterbox', description: 'Left 500+ comments', icon: '💬' });
-    } else if (summary.totalComments >= 200) {
-      achievements.push({ id: 'conversationalist', name: 'Conversationalist', description: 'Left 200+ comments', icon: '🗣️' });
-    } else if (summary.totalComments >= 50) {
-      achievements.push({ id: 'contributor', name: 'Contributor', description: 'Left 50+ comments', icon: '✍️' });
-    }
+/**
+ * Group sorted resolutions by a key and take each group's count and median
+ * @returns {Array<{name: string, count: number, medianMs: number, medianDays: number}>} Largest groups first
+ */
+function summarizeDurations(resolutions, keyOf) {
+  const groups = new Map();
+  for (const resolution of resolutions) {
+    const name = keyOf(resolution);
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(resolution);
+  }
+  return [...groups.entries()]
+    .map(([name, group]) => {
+      const medianMs = percentile(group, 0.5);
+      return { name, count: group.length, medianMs, medianDays: toDays(medianMs) };
+    })
+    .sort((a, b) => b.count - a.count);
+}
 
-    // Documentation achievements
-    if (summary.totalArticles >= 20) {
-      achievements.push({ id: 'documentation_hero', name: 'Documentation Hero', description: 'Created 20+ articles', icon: '📚' });
-    } else if (summary.totalArticles >= 10) {
-      achievements.push({ id: 'knowledge_sharer', name: 'Knowledge Sharer', description: 'Created 10+ articles', icon: '📖' });
-    } else if (summary.totalArticles >= 3) {
-      achievements.push({ id: 'writer', name: 'Writer', description: 'Created 3+ articles', icon: '✏️' });
-    }
+/**
+ * Nearest-rank percentile of resolutions sorted by duration (0.5 is the median)
+ */
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return null;
+  if (fraction === 0.5 && sorted.length % 2 === 0) {
+    const middle = sorted.length / 2;
+    return (sorted[middle - 1].durationMs + sorted[middle].durationMs) / 2;
+  }
+  return sorted[Math.max(0, Math.ceil(fraction * sorted.length) - 1)].durationMs;
+}
 
-    // Streak achievements
-    if (timeStats.longestStreak.days >= 30) {
-      achievements.push({ id: 'unstoppable', name: 'Unstoppable', description: '30+ day streak', icon: '🔥' });
-    } else if (timeStats.longestStreak.days >= 14) {
-      achievements.push({ id: 'consistent', name: 'Consistent', description: '14+ day streak', icon: '⚡' });
-    } else if (timeStats.longestStreak.days >= 7) {
-      achievements.push({ id: 'dedicated', name: 'Dedicated', description: '7+ day streak', icon: '💪' });
-    }
+/**
+ * Milliseconds as days with one decimal
+ */
+function toDays(ms) {
+  return ms === null ? null : Math.round((ms / DAY_MS) * 10) / 10;
+}
 
-    // Multi-project achievements
-    if (projectStats.totalProjects >= 10) {
-      achievements.push({ id: 'polyglot', name: 'Polyglot', description: 'Active in 10+ projects', icon: '🌍' });
-    } else if (projectStats.totalProjects >= 5) {
-      achievements.push({ id: 'versatile', name: 'Versatile', description: 'Active in 5+ projects', icon: '🎯' });
-    }
+/**
+ * Display value of an issue's custom field: the value's name, or the first
+ * name for multi-value fields; null when unset
+ */
+function customFieldValue(issue, fieldName) {
+  const field = issue.customFields?.find(f => f.name === fieldName);
+  const value = Array.isArray(field?.value) ? field.value[0] : field?.value;
+  return value?.name || value?.fullName || value?.login || null;
+}
 
-    // Weekend warrior
-    const weekendActivity = timeStats.dayOfWeekActivity[0] + timeStats.dayOfWeekActivity[6];
-    if (weekendActivity > 20) {
-      achievements.push({ id: 'weekend_warrior', name: 'Weekend Warrior', description: 'Active on weekends', icon: '🦸' });
+/**
+ * Count issues per value of a custom field
+ * @returns {{present: boolean, unset: number, values: Array<{value: string, count: number, share: number}>}}
+ *   `present` tells whether any issue has the field at all
+ */
+function countFieldValues(issues, fieldName) {
+  const counts = new Map();
+  let present = false;
+  let unset = 0;
+  for (const issue of issues) {
+    if (!issue.customFields?.some(f => f.name === fieldName)) continue;
+    present = true;
+    const value = customFieldValue(issue, fieldName);
+    if (value === null) {
+      unset++;
+    } else {
+      counts.set(value, (counts.get(value) || 0) + 1);
     }
+  }
 
-    // Night owl
-    const nightActivity = [22, 23, 0, 1, 2, 3, 4].reduce((sum, h) => sum + (timeStats.hourlyActivity[h] || 0), 0);
-    if (nightActivity > 20) {
-      achievements.push({ id: 'night_owl', name: 'Night Owl', description: 'Active late at night', icon: '🦉' });
+  const withValue = [...counts.values()].reduce((sum, count) => sum + count, 0);
+  const values = [...counts.entries()]
+    .map(([value, count]) => ({ value, count, share: count / withValue }))
+    .sort((a, b) => b.count - a.count);
+  return { present, unset, values };
+}
+
+/**
+ * YYYY-MM keys of every month a period touches, in order
+ */
+function periodMonthKeys(period) {
+  const [startYear, startMonth] = period.startDate.split('-').map(Number);
+  const [endYear, endMonth] = period.endDate.split('-').map(Number);
+  const keys = [];
+  for (let year = startYear, month = startMonth; year < endYear || (year === endYear && month <= endMonth);) {
+    keys.push(`${year}-${String(month).padStart(2, '0')}`);
+    if (++month > 12) {
+      month = 1;
+      year++;
     }
+  }
+  return keys;
+}
 
-    // Early bird
-    const morningActivity = [5, 6, 7, 8].reduce((sum, h) => sum + (timeStats.hourlyActivity[h] || 0), 0);
-    if (morningActivity > 20) {
-      achievements.push({ id: 'early_bird', name: 'Early Bird', description: 'Active early morning', icon: '🐦' });
+/**
+ * Bucket timestamped values over a period: by month, or by week for short periods
+ * Weeks are counted from the first day of the period
+ * @param {object} period - The period to cover
+ * @param {Array<{timestamp: number, value?: number, type?: string}>} entries - Values to sum (default 1 each)
+ * @param {string} timeZone - Time zone to read calendar dates in
+ * @returns {{granularity: string, buckets: Array<{label: string, startDate: string, value: number, byType: object}>}}
+ *   byType splits each bucket's value by the entries' `type`, when they have one
+ */
+function buildTimeline(period, entries, timeZone) {
+  const granularity = timelineGranularity(period);
+  const [startYear, startMonth, startDay] = period.startDate.split('-').map(Number);
+  const [endYear, endMonth] = period.endDate.split('-').map(Number);
+  const periodStart = Date.UTC(startYear, startMonth - 1, startDay);
+  const buckets = [];
+
+  const calendarDay = (timestamp) => {
+    const { year, month, day } = zonedParts(timestamp, timeZone);
+    return Date.UTC(year, month - 1, day);
+  };
+
+  let indexOf;
+  if (granularity === 'week') {
+    const weeks = Math.ceil(periodDays(period) / 7);
+    for (let i = 0; i < weeks; i++) {
+      const start = new Date(periodStart + i * 7 * DAY_MS);
+      buckets.push({
+        label: `${MONTH_SHORT_NAMES[start.getUTCMonth()]} ${start.getUTCDate()}`,
+        startDate: start.toISOString().slice(0, 10),
+        value: 0,
+        byType: {}
+      });
     }
+    indexOf = (timestamp) => Math.floor((calendarDay(timestamp) - periodStart) / (7 * DAY_MS));
+  } else {
+    const spansYears = startYear !== endYear;
+    for (let year = startYear, month = startMonth; year < endYear || (year === endYear && month <= endMonth);) {
+      buckets.push({
+        label: spansYears ? `${MONTH_SHORT_NAMES[month - 1]} '${String(year).slice(-2)}` : MONTH_SHORT_NAMES[month - 1],
+        startDate: `${year}-${String(month).padStart(2, '0')}-01`,
+        value: 0,
+        byType: {}
+      });
+      if (++month > 12) {
+        month = 1;
+        year++;
+      }
+    }
+    indexOf = (timestamp) => {
+      const date = new Date(calendarDay(timestamp));
+      return (date.getUTCFullYear() - startYear) * 12 + date.getUTCMonth() + 1 - startMonth;
+    };
+  }
 
-    return achievements;
+  for (const entry of entries) {
+    const bucket = buckets[indexOf(entry.timestamp)];
+    if (!bucket) continue;
+    bucket.value += entry.value ?? 1;
+    if (entry.type) bucket.byType[entry.type] = (bucket.byType[entry.type] || 0) + (entry.value ?? 1);
   }
+
+  return { granularity, buckets };
 }
 
 export default StatisticsCalculator;
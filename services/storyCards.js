@@ -0,0 +1,301 @@
+/**
+ * Story Cards
+ * The main slides of a Wrapped drawn as shareable PNG images: a 1080×1920
+ * story for phone stories and a 1200×630 card for social link previews, in the
+ * page's colors and with the same avatar as the hero slide
+ */
+
+/**
+ * Image formats a card can be drawn in
+ */
+export const CARD_FORMATS = {
+  story: { id: 'story', label: 'Story', width: 1080, height: 1920 },
+  social: { id: 'social', label: 'Social card', width: 1200, height: 630 }
+};
+
+/**
+ * Colors of styles.css the cards are drawn with
+ */
+const COLORS = {
+  background: '#0f0f1a',
+  backgroundLight: '#1a1a2e',
+  surface: '#252540',
+  primary: '#6366f1',
+  secondary: '#ec4899',
+  text: '#ffffff',
+  textSecondary: '#a1a1aa'
+};
+
+const FONT = 'Inter, -apple-system, BlinkMacSystemFont, sans-serif';
+
+/**
+ * What each card shows, from the result of a calculator's calculateAll()
+ * Cards without data (no top project, no badges) are left out
+ * @returns {Array<{id: string, eyebrow: string, title: string, headline: string, headlineLabel: string,
+ *   items: Array<{value: string, label: string}>, avatar: boolean}>}
+ */
+export function buildStoryCards(stats) {
+  const { user, period, summary, projectStats, timeStats, achievements, team, project } = stats;
+  let owner = 'Your';
+  if (team) owner = 'Your Team\'s';
+  if (project) owner = `${project.shortName}'s`;
+  const name = team ? team.name : project ? project.name : user.fullName || user.login;
+  const cards = [];
+
+  cards.push({
+    id: 'hero',
+    eyebrow: `${team ? 'Team ' : project ? 'Project ' : ''}${period.noun} in Review`,
+    title: name,
+    headline: period.label,
+    headlineLabel: 'YouTrack Wrapped',
+    items: [],
+    avatar: !team && !project
+  });
+
+  cards.push({
+    id: 'summary',
+    eyebrow: `${owner} ${period.noun} at a Glance`,
+    title: name,
+    headline: summary.totalContributions.toLocaleString(),
+    headlineLabel: 'total contributions',
+    items: [
+      { value: summary.totalIssuesCreated.toLocaleString(), label: 'issues created' },
+      { value: summary.totalIssuesResolved.toLocaleString(), label: 'issues resolved' },
+      { value: summary.totalComments.toLocaleString(), label: 'comments' },
+      { value: summary.totalArticles.toLocaleString(), label: 'articles' }
+    ]
+  });
+
+  const top = projectStats.topProject;
+  if (top && !project) {
+    cards.push({
+      id: 'top-project',
+      eyebrow: `${owner} Top Project`,
+      title: top.name,
+      headline: top.shortName,
+      headlineLabel: 'where the action was',
+      items: [
+        { value: top.issuesCreated.toLocaleString(), label: 'issues created' },
+        { value: top.issuesResolved.toLocaleString(), label: 'issues resolved' },
+        { value: top.comments.toLocaleString(), label: 'comments' }
+      ]
+    });
+  }
+
+  if (timeStats.busiestDayOfWeek.count > 0) {
+    cards.push({
+      id: 'time-stats',
+      eyebrow: team ? 'When the Team Was Most Active' : project ? 'When It Was Busiest' : 'When You\'re Most Active',
+      title: name,
+      headline: timeStats.busiestDayOfWeek.dayName,
+      headlineLabel: 'power day',
+      items: [
+        { value: timeStats.busiestMonth.monthName, label: 'busiest month' },
+        { value: `${String(timeStats.busiestHour.hour).padStart(2, '0')}:00`, label: 'peak hour' }
+      ]
+    });
+  }
+
+  const streak = timeStats.longestStreak;
+  if (streak.days > 0) {
+    cards.push({
+      id: 'streak',
+      eyebrow: `${owner} Longest Streak`,
+      title: name,
+      headline: String(streak.days),
+      headlineLabel: streak.days === 1 ? 'day in a row' : 'consecutive days',
+      items: streak.days > 1
+        ? [{ value: `${formatDay(streak.startDate)} → ${formatDay(streak.endDate)}`, label: 'on fire' }]
+        : []
+    });
+  }
+
+  if (achievements.length > 0) {
+    cards.push({
+      id: 'achievements',
+      eyebrow: `${owner} Achievements`,
+      title: name,
+      headline: String(achievements.length),
+      headlineLabel: achievements.length === 1 ? 'badge earned' : 'badges earned',
+      items: achievements.slice(0, 4).map(badge => ({ value: badge.icon, label: badge.name }))
+    });
+  }
+
+  return cards;
+}
+
+/**
+ * Draw a card on a new canvas
+ * @param {object} card - One of buildStoryCards()
+ * @param {object} format - One of CARD_FORMATS
+ * @param {object} options
+ * @param {CanvasImageSource} options.avatar - The user's avatar, when it could be loaded
+ * @param {string} options.initials - Drawn instead of the avatar image when there is none
+ * @param {string} options.footer - Small print at the bottom (e.g. "YouTrack Wrapped · 2025")
+ * @returns {HTMLCanvasElement}
+ */
+export function drawStoryCard(card, format, { avatar = null, initials = '', footer = '' } = {}) {
+  const canvas = document.createElement('canvas');
+  canvas.width = format.width;
+  canvas.height = format.height;
+  const ctx = canvas.getContext('2d');
+  const { width, height } = format;
+  const portrait = height > width;
+
+  // Background, as on the hero slide
+  const background = ctx.createRadialGradient(width / 2, height / 2, 0, width / 2, height / 2, Math.max(width, height) * 0.75);
+  background.addColorStop(0, COLORS.backgroundLight);
+  background.addColorStop(1, COLORS.background);
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = gradient(ctx, 0, 0, width, 0);
+  ctx.fillRect(0, 0, width, portrait ? 16 : 10);
+
+  const padding = portrait ? 96 : 64;
+  ctx.textBaseline = 'alphabetic';
+
+  if (portrait) {
+    ctx.textAlign = 'center';
+    const center = width / 2;
+    const maxWidth = width - padding * 2;
+    fillFitted(ctx, card.eyebrow.toUpperCase(), center, 260, maxWidth, 40, '700', COLORS.textSecondary);
+    fillFitted(ctx, card.title, center, 350, maxWidth, 68, '800', COLORS.text);
+
+    let y = 560;
+    if (card.avatar) {
+      drawAvatar(ctx, avatar, initials, center, 680, 170);
+      y = 1080;
+    }
+    fillFitted(ctx, card.headline, center, y + 200, maxWidth, 240, '900', gradient(ctx, padding, 0, width - padding, 0));
+    fillFitted(ctx, card.headlineLabel, center, y + 290, maxWidth, 56, '600', COLORS.textSecondary);
+
+    const columns = card.items.length === 1 ? 1 : 2;
+    const boxWidth = (maxWidth - (columns - 1) * 32) / columns;
+    card.items.forEach((item, index) => {
+      const x = padding + (index % columns) * (boxWidth + 32);
+      const top = y + 400 + Math.floor(index / columns) * 232;
+      drawItem(ctx, item, x, top, boxWidth, 200, 80);
+    });
+    ctx.textAlign = 'center';
+    fillFitted(ctx, footer, center, height - 96, maxWidth, 36, '600', COLORS.textSecondary);
+  } else {
+    // Landscape: headline on the left, items (or the avatar) on the right
+    ctx.textAlign = 'left';
+    const leftWidth = width * 0.55 - padding;
+    fillFitted(ctx, card.eyebrow.toUpperCase(), padding, 110, width - padding * 2, 28, '700', COLORS.textSecondary);
+    fillFitted(ctx, card.title, padding, 170, width - padding * 2, 48, '800', COLORS.text);
+    fillFitted(ctx, card.headline, padding, 380, leftWidth, 150, '900', gradient(ctx, padding, 0, padding + leftWidth, 0));
+    fillFitted(ctx, card.headlineLabel, padding, 440, leftWidth, 36, '600', COLORS.textSecondary);
+
+    const right = width * 0.55 + 24;
+    const rightWidth = width - right - padding;
+    if (card.avatar) {
+      drawAvatar(ctx, avatar, initials, right + rightWidth / 2, 340, 130);
+    }
+    const rows = card.items.slice(0, 4);
+    const rowHeight = rows.length > 3 ? 76 : 96;
+    rows.forEach((item, index) => {
+      drawItem(ctx, item, right, 220 + index * (rowHeight + 12), rightWidth, rowHeight, rows.length > 3 ? 36 : 44);
+    });
+    ctx.textAlign = 'left';
+    fillFitted(ctx, footer, padding, height - 40, width - padding * 2, 24, '600', COLORS.textSecondary);
+  }
+
+  return canvas;
+}
+
+/**
+ * PNG contents of a canvas
+ * @returns {Promise<Blob>}
+ */
+export function canvasToPng(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the image'))), 'image/png');
+  });
+}
+
+/**
+ * The brand gradient of --gradient-1 along a line
+ */
+function gradient(ctx, x0, y0, x1, y1) {
+  const fill = ctx.createLinearGradient(x0, y0, x1, y1);
+  fill.addColorStop(0, COLORS.primary);
+  fill.addColorStop(1, COLORS.secondary);
+  return fill;
+}
+
+/**
+ * Draw one line of text, shrinking the font until it fits the width
+ */
+function fillFitted(ctx, text, x, y, maxWidth, size, weight, fill) {
+  if (!text) return;
+  let fontSize = size;
+  ctx.font = `${weight} ${fontSize}px ${FONT}`;
+  while (fontSize > 12 && ctx.measureText(text).width > maxWidth) {
+    fontSize -= 2;
+    ctx.font = `${weight} ${fontSize}px ${FONT}`;
+  }
+  ctx.fillStyle = fill;
+  ctx.fillText(text, x, y);
+}
+
+/**
+ * A value with its label on a rounded surface box
+ */
+function drawItem(ctx, item, x, y, width, height, valueSize) {
+  ctx.fillStyle = COLORS.surface;
+  roundedRect(ctx, x, y, width, height, 24);
+  ctx.fill();
+
+  ctx.textAlign = 'center';
+  const center = x + width / 2;
+  fillFitted(ctx, item.value, center, y + height * 0.55, width - 32, valueSize, '800', COLORS.text);
+  fillFitted(ctx, item.label, center, y + height * 0.85, width - 32, Math.round(valueSize * 0.45), '600', COLORS.textSecondary);
+}
+
+/**
+ * The avatar in a circle with a gradient ring, or the initials on the primary
+ * color like renderInitialsAvatar() draws them
+ */
+function drawAvatar(ctx, image, initials, cx, cy, radius) {
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(cx, cy, radius + 8, 0, Math.PI * 2);
+  ctx.fillStyle = gradient(ctx, cx - radius, cy - radius, cx + radius, cy + radius);
+  ctx.fill();
+  ctx.beginPath();
+  ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+  ctx.clip();
+  if (image) {
+    ctx.drawImage(image, cx - radius, cy - radius, radius * 2, radius * 2);
+  } else {
+    ctx.fillStyle = COLORS.primary;
+    ctx.fillRect(cx - radius, cy - radius, radius * 2, radius * 2);
+    ctx.fillStyle = COLORS.text;
+    ctx.font = `bold ${Math.round(radius * 0.8)}px ${FONT}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(initials, cx, cy);
+    ctx.textBaseline = 'alphabetic';
+  }
+  ctx.restore();
+}
+
+function roundedRect(ctx, x, y, width, height, radius) {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+}
+
+/**
+ * A YYYY-MM-DD day as "Mar 4"
+ */
+function formatDay(dateKey) {
+  return new Date(dateKey).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+export default buildStoryCards;
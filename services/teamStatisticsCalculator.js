@@ -0,0 +1,162 @@
+/**
+ * Team Statistics Calculator (Browser Version)
+ * Aggregates the per-member datasets of a Team Wrapped: combined totals,
+ * per-member leaderboards and team achievements on top of StatisticsCalculator
+ */
+
+import { StatisticsCalculator } from './statisticsCalculator.js';
+import { earnedAchievements } from './achievementRegistry.js';
+import { achievementRegistry } from './achievements.js';
+
+/**
+ * Stats members are ranked by, read from each member's calculateAll() result
+ */
+export const LEADERBOARD_STATS = [
+  { id: 'contributions', label: 'Total Contributions', icon: '🚀', value: stats => stats.summary.totalContributions },
+  { id: 'issues-created', label: 'Issues Created', icon: '📝', value: stats => stats.summary.totalIssuesCreated },
+  { id: 'issues-resolved', label: 'Issues Resolved', icon: '✅', value: stats => stats.summary.totalIssuesResolved },
+  { id: 'comments', label: 'Comments', icon: '💬', value: stats => stats.summary.totalComments },
+  { id: 'articles', label: 'Articles', icon: '📚', value: stats => stats.summary.totalArticles },
+  { id: 'triage', label: 'Triage Actions', icon: '🧭', value: stats => stats.summary.totalTriageActions },
+  { id: 'hours', label: 'Hours Logged', icon: '⏱️', value: stats => stats.timeTrackingStats.totalHours },
+  { id: 'streak', label: 'Longest Streak', icon: '🔥', value: stats => stats.timeStats.longestStreak.days }
+];
+
+export class TeamStatisticsCalculator {
+  /**
+   * @param {object} data - Result of DataCollector.collectTeamData()
+   * @param {object} options
+   * @param {object} options.previousData - The team's dataset for the preceding period
+   * @param {AchievementRegistry} options.achievements - Badge catalog (defaults to the built-in one)
+   * @param {string[]} options.breakdownFields - Custom field names to break issues down by
+   */
+  constructor(data, { previousData = null, achievements = achievementRegistry, breakdownFields } = {}) {
+    this.data = data;
+    this.previousData = previousData;
+    this.achievements = achievements;
+    this.breakdownFields = breakdownFields;
+  }
+
+  /**
+   * Calculate all statistics for a Team Wrapped
+   * Returns the same shape as StatisticsCalculator.calculateAll() computed over the
+   * whole team's activity, plus `team`, `members`, `leaderboards` and `memberBadges`
+   */
+  calculateAll() {
+    const { achievements, breakdownFields } = this;
+    const memberStats = this.data.members.map(member =>
+      new StatisticsCalculator(member, { achievements, breakdownFields }).calculateAll());
+    const teamStats = new StatisticsCalculator(mergeMembers(this.data), {
+      previousData: this.previousData && mergeMembers(this.previousData),
+      achievements,
+      breakdownFields
+    }).calculateAll();
+    const achievementProgress = this.evaluateAchievements(teamStats, memberStats);
+
+    return {
+      ...teamStats,
+      team: {
+        ...this.data.team,
+        memberCount: this.data.members.length
+      },
+      members: memberStats.map(stats => ({
+        user: stats.user,
+        summary: stats.summary,
+        totalHours: stats.timeTrackingStats.totalHours,
+        longestStreak: stats.timeStats.longestStreak.days
+      })),
+      leaderboards: this.calculateLeaderboards(memberStats),
+      achievements: earnedAchievements(achievementProgress),
+      achievementProgress,
+      memberBadges: this.calculateMemberBadges(memberStats)
+    };
+  }
+
+  /**
+   * Rank the members for every leaderboard stat, dropping stats nobody scored in
+   */
+  calculateLeaderboards(memberStats) {
+    return LEADERBOARD_STATS
+      .map(stat => ({
+        id: stat.id,
+        label: stat.label,
+        icon: stat.icon,
+        entries: memberStats
+          .map(stats => ({ user: stats.user, name: stats.user.fullName || stats.user.login, value: stat.value(stats) }))
+          .sort((a, b) => b.value - a.value)
+      }))
+      .filter(board => board.entries[0].value > 0);
+  }
+
+  /**
+   * How rare each personal badge is within the team
+   * @returns {object[]} The personal badges, each with `earnedBy` (members) and `rarity` (percent of
+   *   members) for its first tier, and the same for every tier in `tiers`
+   */
+  calculateMemberBadges(memberStats) {
+    const memberCount = memberStats.length;
+    return memberStats[0].achievementProgress.map(badge => {
+      const results = memberStats.map(stats => stats.achievementProgress.find(result => result.id === badge.id));
+      const tiers = badge.tiers.map((tier, index) => {
+        const earnedBy = results.filter(result => result.tier >= index).length;
+        return { ...tier, reached: earnedBy > 0, earnedBy, rarity: Math.round((earnedBy / memberCount) * 100) };
+      });
+
+      return {
+        id: badge.id,
+        name: tiers[0].name,
+        icon: tiers[0].icon,
+        description: tiers[0].description,
+        earned: tiers[0].earnedBy > 0,
+        earnedBy: tiers[0].earnedBy,
+        rarity: tiers[0].rarity,
+        unit: badge.unit,
+        comparator: badge.comparator,
+        explanation: badge.explanation,
+        tiers
+      };
+    });
+  }
+
+  /**
+   * Evaluate every team badge of the achievement registry, earned or not
+   * Team badges read the combined statistics plus `members`, every member's own statistics
+   */
+  evaluateAchievements(teamStats, memberStats) {
+    return this.achievements.evaluate({ ...teamStats, members: memberStats }, 'team');
+  }
+}
+
+/**
+ * Combine the members' datasets of a team dataset into one
+ * Items appear once even when several members touched them
+ */
+function mergeMembers({ team, period, year, articleProjects, members }) {
+  const combine = key => uniqueById(members.flatMap(member => member[key] || []));
+
+  return {
+    user: { login: team.name, fullName: team.name },
+    year,
+    period,
+    articleProjects,
+    createdIssues: combine('createdIssues'),
+    resolvedIssues: combine('resolvedIssues'),
+    comments: combine('comments'),
+    articles: combine('articles'),
+    workItems: combine('workItems'),
+    activities: combine('activities')
+  };
+}
+
+/**
+ * Keep the first item for every id
+ */
+function uniqueById(items) {
+  const byId = new Map();
+  for (const item of items) {
+    if (!byId.has(item.id)) byId.set(item.id, item);
+  }
+  return [...byId.values()];
+}
+
+export default TeamStatisticsCalculator;
@@ -0,0 +1,127 @@
+/**
+ * Time Zones
+ * Calendar arithmetic in an explicit IANA time zone, so day, hour and month
+ * buckets come out the same no matter which browser computes them
+ */
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatters = new Map();
+
+/**
+ * The time zone the browser runs in
+ */
+export function browserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Whether the runtime knows an IANA time zone name
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Every time zone the runtime supports, for pickers (empty when unknown)
+ */
+export function supportedTimeZones() {
+  return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+}
+
+/**
+ * Calendar fields of a timestamp as seen in a time zone
+ * @param {number} timestamp - UTC timestamp (ms)
+ * @param {string} timeZone - IANA time zone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number, dateKey: string}}
+ *   month is 1-12, weekday is 0 (Sunday) to 6, dateKey is YYYY-MM-DD
+ */
+export function zonedParts(timestamp, timeZone = 'UTC') {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(new Date(timestamp))) {
+    parts[type] = value;
+  }
+
+  const year = Number(parts.year);
+  const month = Number(parts.month);
+  const day = Number(parts.day);
+  return {
+    year,
+    month,
+    day,
+    // Some engines report midnight as hour 24 even with h23
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday],
+    dateKey: toDateKey(year, month, day)
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant (ms, positive east of Greenwich)
+ */
+export function timeZoneOffset(timestamp, timeZone) {
+  const wholeSeconds = Math.floor(timestamp / 1000) * 1000;
+  const p = zonedParts(wholeSeconds, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - wholeSeconds;
+}
+
+/**
+ * UTC timestamp at which a calendar day starts in a time zone
+ * When a DST change skips midnight the day starts at the transition instead
+ * @param {string} dateKey - The day as YYYY-MM-DD
+ * @param {string} timeZone - IANA time zone name
+ */
+export function startOfZonedDay(dateKey, timeZone = 'UTC') {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day);
+
+  const first = wallClock - timeZoneOffset(wallClock, timeZone);
+  const second = wallClock - timeZoneOffset(first, timeZone);
+  if (first === second) return first;
+
+  // The offset changes around midnight: keep the earliest instant that falls on the day
+  const candidates = [first, second].filter(ts => zonedParts(ts, timeZone).dateKey === dateKey);
+  return candidates.length > 0 ? Math.min(...candidates) : Math.max(first, second);
+}
+
+/**
+ * Shift a YYYY-MM-DD day by a number of calendar days
+ */
+export function addDays(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return toDateKey(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+}
+
+function toDateKey(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function formatterFor(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+export default zonedParts;
@@ -6,28 +6,230 @@
  * or the user must access this from a domain that YouTrack trusts.
  */
 
+import { RequestScheduler } from './requestScheduler.js';
+import { fingerprint } from './responseCache.js';
+
+/**
+ * Default retry policy for transient failures
+ * Only idempotent (GET/HEAD) requests are retried
+ */
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 4,
+  baseDelayMs: 500,
+  maxDelayMs: 15000,
+  retryOnStatus: [408, 429, 500, 502, 503, 504]
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+
+const USER_FIELDS = 'id,login,fullName,email,avatarUrl';
+const ISSUE_FIELDS = 'id,idReadable,summary,created,resolved,project(id,name,shortName),customFields(name,value(name))';
+const PROJECT_ISSUE_FIELDS = 'id,idReadable,summary,created,resolved,commentsCount,project(id,name,shortName),' +
+  'reporter(id,login,fullName),customFields(name,value(name,login,fullName))';
+const ISSUE_SUMMARY_FIELDS = 'id,idReadable,summary,project(id,name,shortName)';
+const COMMENT_FIELDS = 'id,text,created,deleted,author(id,login,fullName)';
+const COMMENT_ACTIVITY_FIELDS = `id,timestamp,added(${COMMENT_FIELDS},issue(id,idReadable,summary,project(id,name,shortName))),removed(id)`;
+const ACTIVITY_FIELDS = 'id,timestamp,category(id),field(name),added(id,name,login,fullName),removed(id,name,login,fullName),' +
+  'target(id,idReadable,summary,project(id,name,shortName),issue(id,idReadable,summary,project(id,name,shortName)))';
+const WORK_ITEM_FIELDS = 'id,date,created,text,duration(minutes),type(name),author(id,login,fullName),' +
+  'issue(id,idReadable,summary,project(id,name,shortName))';
+const ARTICLE_FIELDS = 'id,idReadable,summary,content,created,updated,reporter(id,login,fullName),project(id,name,shortName)';
+
+/**
+ * Default scheduling priorities by endpoint prefix (higher runs first)
+ * The current user is needed before anything else can be queried
+ */
+export const DEFAULT_ENDPOINT_PRIORITIES = {
+  '/users/me': 10,
+  '/issues': 5,
+  '/activities': 5,
+  '/workItems': 5,
+  '/admin/projects': 1
+};
+
+/**
+ * Error thrown for failed YouTrack API requests
+ * `kind` is one of: 'auth', 'rate-limit', 'not-found', 'server', 'client', 'network', 'aborted',
+ * 'invalid-response'
+ */
+export class YouTrackApiError extends Error {
+  constructor(message, { kind, status = null, url = null, body = null, retryAfterMs = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'YouTrackApiError';
+    this.kind = kind;
+    this.status = status;
+    this.url = url;
+    this.body = body;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get isAuthError() {
+    return this.kind === 'auth';
+  }
+
+  get isRateLimited() {
+    return this.kind === 'rate-limit';
+  }
+
+  get isNotFound() {
+    return this.kind === 'not-found';
+  }
+
+  get isServerError() {
+    return this.kind === 'server';
+  }
+
+  get isNetworkError() {
+    return this.kind === 'network';
+  }
+
+  get isAborted() {
+    return this.kind === 'aborted';
+  }
+
+  get isInvalidResponse() {
+    return this.kind === 'invalid-response';
+  }
+
+  /**
+   * Map an HTTP status code to an error kind
+   */
+  static kindForStatus(status) {
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 404) return 'not-found';
+    if (status === 429) return 'rate-limit';
+    if (status >= 500) return 'server';
+    return 'client';
+  }
+}
+
 export class YouTrackClient {
-  constructor(baseUrl, token) {
+  /**
+   * @param {string} baseUrl - YouTrack instance URL
+   * @param {string} token - Permanent API token
+   * @param {object} options - Optional settings
+   * @param {object} options.retry - Overrides for DEFAULT_RETRY_POLICY
+   * @param {number} options.maxConcurrent - Maximum number of requests in flight
+   * @param {object} options.priorities - Overrides for DEFAULT_ENDPOINT_PRIORITIES
+   * @param {AbortSignal} options.signal - Cancels every pending and in-flight request
+   * @param {number} options.pageSize - Default page size for paginated endpoints
+   * @param {ResponseCache} options.cache - Persistent cache for GET responses
+   * @param {boolean} options.useCache - Serve GET requests from the cache when possible (default true)
+   */
+  constructor(baseUrl, token, options = {}) {
     this.baseUrl = baseUrl.replace(/\/$/, ''); // Remove trailing slash
     this.token = token;
     this.apiBase = `${this.baseUrl}/api`;
+    this.retryPolicy = { ...DEFAULT_RETRY_POLICY, ...options.retry };
+    this.priorities = { ...DEFAULT_ENDPOINT_PRIORITIES, ...options.priorities };
+    this.scheduler = new RequestScheduler({ maxConcurrent: options.maxConcurrent ?? 4 });
+    this.signal = options.signal || null;
+    this.pageSize = options.pageSize ?? 100;
+    this.cache = options.cache || null;
+    this.useCache = options.useCache ?? true;
+    this.cacheScopePromise = null;
+    this.stats = { requests: 0, bytes: 0 };
     console.log(`[YouTrackClient] Initialized with base URL: ${this.baseUrl}`);
   }
 
   /**
    * Make an authenticated request to the YouTrack API
+   * GET responses are served from and written to the response cache when one is configured
+   * @param {string} endpoint - Path relative to /api
+   * @param {object} options - fetch options, plus `priority` to override the endpoint priority,
+   *   `cache: false` to bypass the response cache and `base` to call another REST root (e.g. Hub)
    */
   async request(endpoint, options = {}) {
-    const url = `${this.apiBase}${endpoint}`;
-    const method = options.method || 'GET';
+    const { cache = true, ...requestOptions } = options;
+    const method = (requestOptions.method || 'GET').toUpperCase();
+    const cacheable = cache && this.cache && method === 'GET';
+
+    if (!cacheable) {
+      return this.fetchWithRetry(endpoint, requestOptions);
+    }
+
+    const scope = await this.getCacheScope();
+    if (this.useCache) {
+      const cached = await this.cache.get(this.baseUrl, scope, endpoint);
+      if (cached !== undefined) {
+        console.log(`[YouTrackClient] Cache hit: ${endpoint}`);
+        return cached;
+      }
+    }
+
+    const data = await this.fetchWithRetry(endpoint, requestOptions);
+    await this.cache.set(this.baseUrl, scope, endpoint, data);
+    return data;
+  }
+
+  /**
+   * Identifies the token's owner in cache keys without storing the token
+   */
+  getCacheScope() {
+    if (!this.cacheScopePromise) {
+      this.cacheScopePromise = fingerprint(`${this.baseUrl} ${this.token}`);
+    }
+    return this.cacheScopePromise;
+  }
+
+  /**
+   * Perform a request over the network
+   * Transient failures of idempotent requests are retried according to the retry policy
+   * Each attempt waits for a free slot in the shared request scheduler
+   */
+  async fetchWithRetry(endpoint, options = {}) {
+    const { priority = this.getPriority(endpoint), base = this.apiBase, ...fetchOptions } = options;
+    const url = `${base}${endpoint}`;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const signal = fetchOptions.signal || this.signal;
     const requestId = Math.random().toString(36).substring(7);
+    const canRetry = IDEMPOTENT_METHODS.includes(method);
+    const maxAttempts = canRetry ? Math.max(1, this.retryPolicy.maxAttempts) : 1;
 
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.scheduler
+          .schedule(() => this.executeRequest(url, method, { ...fetchOptions, signal }, requestId), { priority, signal })
+          .catch(error => {
+            throw signal?.aborted && !error.isAborted ? abortError(url, error) : error;
+          });
+      } catch (error) {
+        if (attempt >= maxAttempts || !this.isRetryable(error)) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(attempt, error);
+        console.warn(`[YouTrackClient][${requestId}] Attempt ${attempt}/${maxAttempts} failed (${error.kind}), retrying in ${delay}ms`);
+        await sleep(delay, signal).catch(cause => {
+          throw abortError(url, cause);
+        });
+      }
+    }
+  }
+
+  /**
+   * Scheduling priority for an endpoint, matched by the longest configured prefix
+   */
+  getPriority(endpoint) {
+    const path = endpoint.split('?')[0];
+    const prefix = Object.keys(this.priorities)
+      .filter(p => path.startsWith(p))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.priorities[prefix] : 0;
+  }
+
+  /**
+   * Perform a single HTTP round-trip, converting failures into YouTrackApiError
+   */
+  async executeRequest(url, method, options, requestId) {
     console.log(`[YouTrackClient][${requestId}] ${method} ${url}`);
     const startTime = Date.now();
 
+    let response;
     try {
-      const response = await fetch(url, {
+      response = await fetch(url, {
         ...options,
+        method,
         headers: {
           'Authorization': `Bearer ${this.token}`,
           'Accept': 'application/json',
@@ -35,102 +237,293 @@ export class YouTrackClient {
           ...options.headers,
         },
       });
-
-      const duration = Date.now() - startTime;
-      console.log(`[YouTrackClient][${requestId}] Response: ${response.status} ${response.statusText} (${duration}ms)`);
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`[YouTrackClient][${requestId}] Error response body:`, errorText);
-        throw new Error(`YouTrack API error (${response.status}): ${errorText}`);
-      }
-
-      const data = await response.json();
-      console.log(`[YouTrackClient][${requestId}] Success - received ${Array.isArray(data) ? data.length + ' items' : 'object'}`);
-      return data;
     } catch (error) {
+      if (options.signal?.aborted) {
+        console.log(`[YouTrackClient][${requestId}] Request cancelled`);
+        throw abortError(url, error);
+      }
       const duration = Date.now() - startTime;
       console.error(`[YouTrackClient][${requestId}] Request failed after ${duration}ms`);
       console.error(`[YouTrackClient][${requestId}] Error: ${error.message}`);
-      throw error;
+      throw new YouTrackApiError(`Network error: ${error.message}`, { kind: 'network', url, cause: error });
+    }
+
+    const duration = Date.now() - startTime;
+    console.log(`[YouTrackClient][${requestId}] Response: ${response.status} ${response.statusText} (${duration}ms)`);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`[YouTrackClient][${requestId}] Error response body:`, errorText);
+      throw new YouTrackApiError(`YouTrack API error (${response.status}): ${errorText}`, {
+        kind: YouTrackApiError.kindForStatus(response.status),
+        status: response.status,
+        url,
+        body: errorText,
+        retryAfterMs: parseRetryAfter(response.headers.get('Retry-After'))
+      });
+    }
+
+    const body = await response.text();
+    this.stats.requests++;
+    this.stats.bytes += new TextEncoder().encode(body).byteLength;
+
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (error) {
+      console.error(`[YouTrackClient][${requestId}] Response is not JSON: ${body.slice(0, 200)}`);
+      throw new YouTrackApiError(`YouTrack returned a response that is not JSON: ${error.message}`, {
+        kind: 'invalid-response',
+        status: response.status,
+        url,
+        body,
+        cause: error
+      });
     }
+    console.log(`[YouTrackClient][${requestId}] Success - received ${Array.isArray(data) ? data.length + ' items' : 'object'}`);
+    return data;
   }
 
   /**
-   * Get current user information
+   * Whether a failed request is worth another attempt
    */
-  async getCurrentUser() {
-    return this.request('/users/me?fields=id,login,fullName,email,avatarUrl');
+  isRetryable(error) {
+    if (!(error instanceof YouTrackApiError)) return false;
+    if (error.kind === 'network') return true;
+    // Retrying before the server's Retry-After would only fail again
+    if (error.retryAfterMs !== null && error.retryAfterMs > this.retryPolicy.maxDelayMs) return false;
+    return this.retryPolicy.retryOnStatus.includes(error.status);
   }
 
   /**
-   * Get issues created by a user within a date range
-   * @param {string} userId - The user's login or ID
-   * @param {string} startDate - Start date in YYYY-MM-DD format
-   * @param {string} endDate - End date in YYYY-MM-DD format
-   * @param {function} onProgress - Optional progress callback
+   * Delay before the next attempt: Retry-After when the server sent one (see
+   * isRetryable() for longer ones), otherwise exponential backoff with full jitter
    */
-  async getIssuesCreatedByUser(userId, startDate, endDate, onProgress) {
-    const query = encodeURIComponent(`created: ${startDate} .. ${endDate} created by: ${userId}`);
-    const fields = 'id,idReadable,summary,created,resolved,project(id,name,shortName),customFields(name,value(name))';
+  getRetryDelay(attempt, error) {
+    const { baseDelayMs, maxDelayMs } = this.retryPolicy;
+    if (error.retryAfterMs !== null) {
+      return error.retryAfterMs;
+    }
+    const ceiling = Math.min(baseDelayMs * Math.pow(2, attempt - 1), maxDelayMs);
+    return Math.round(Math.random() * ceiling);
+  }
 
-    let allIssues = [];
+  /**
+   * Iterate over a paginated collection endpoint one page at a time
+   * @example
+   *   for await (const page of client.paginate('/issues', { fields, query })) { ... }
+   * @param {string} path - Collection path relative to /api
+   * @param {object} options
+   * @param {string} options.fields - Value of the `fields` parameter
+   * @param {string} options.query - YouTrack search query (encoded by the paginator)
+   * @param {number} options.pageSize - Items requested per page ($top)
+   * @param {number} options.maxItems - Hard cap on the total number of items yielded
+   * @param {function} options.onProgress - Called after each page with { fetched, pages, done }
+   * @param {number} options.priority - Scheduling priority override for every page request
+   * @param {boolean} options.cache - Set to false to bypass the response cache
+   */
+  async *paginate(path, { fields, query, pageSize = this.pageSize, maxItems = Infinity, onProgress, priority, cache } = {}) {
+    const baseParams = [
+      query ? `query=${encodeURIComponent(query)}` : null,
+      fields ? `fields=${fields}` : null
+    ].filter(Boolean).join('&');
+    const separator = path.includes('?') ? '&' : '?';
+    const requestOptions = {};
+    if (priority !== undefined) requestOptions.priority = priority;
+    if (cache !== undefined) requestOptions.cache = cache;
+
+    let fetched = 0;
+    let pages = 0;
     let skip = 0;
-    const top = 100;
 
-    while (true) {
-      const issues = await this.request(
-        `/issues?query=${query}&fields=${fields}&$top=${top}&$skip=${skip}`
-      );
+    while (fetched < maxItems) {
+      const top = Math.min(pageSize, maxItems - fetched);
+      const params = `${baseParams ? baseParams + '&' : ''}$top=${top}&$skip=${skip}`;
+      const page = await this.request(`${path}${separator}${params}`, requestOptions);
 
-      if (issues.length === 0) break;
+      if (page.length === 0) break;
 
-      allIssues = allIssues.concat(issues);
-      skip += top;
+      fetched += page.length;
+      pages++;
+      skip += page.length;
 
-      if (onProgress) {
-        onProgress(`Fetched ${allIssues.length} created issues...`);
-      }
+      const done = page.length < top || fetched >= maxItems;
+      if (onProgress) onProgress({ fetched, pages, done });
+
+      yield page;
 
-      if (issues.length < top) break;
+      if (done) break;
     }
+  }
 
-    return allIssues;
+  /**
+   * Collect every item of a paginated collection into one array
+   * Accepts the same options as paginate()
+   */
+  async paginateAll(path, options = {}) {
+    return collectPages(this.paginate(path, options));
   }
 
   /**
-   * Get all issues to search for comments by the user
-   * @param {string} userId - The user's login
-   * @param {string} startDate - Start date in YYYY-MM-DD format
-   * @param {string} endDate - End date in YYYY-MM-DD format
-   * @param {function} onProgress - Optional progress callback
+   * Get current user information
    */
-  async getIssuesWithComments(userId, startDate, endDate, onProgress) {
-    const query = encodeURIComponent(`commenter: ${userId} commented: ${startDate} .. ${endDate}`);
-    const fields = 'id,idReadable,summary,project(id,name,shortName),comments(id,text,created,author(id,login,fullName))';
+  async getCurrentUser() {
+    return this.request(`/users/me?fields=${USER_FIELDS}`);
+  }
 
-    let allIssues = [];
-    let skip = 0;
-    const top = 100;
+  /**
+   * Look up a user by login
+   * @param {string} login - The user's login
+   * @returns {Promise<object|null>} The user, or null when no user has that login
+   */
+  async getUserByLogin(login) {
+    const users = await this.request(
+      `/users?fields=${USER_FIELDS}&query=${encodeURIComponent(login)}&$top=50`
+    );
+    return users.find(user => user.login.toLowerCase() === login.toLowerCase()) || null;
+  }
 
-    while (true) {
-      const issues = await this.request(
-        `/issues?query=${query}&fields=${fields}&$top=${top}&$skip=${skip}`
-      );
+  /**
+   * Get the logins of a user group's members (including nested groups)
+   * YouTrack keeps group membership in Hub, so the members are read from the
+   * Hub REST API of the same instance
+   * @param {string} groupName - The group's name
+   * @returns {Promise<string[]|null>} Member logins, or null when no group has that name
+   */
+  async getGroupMemberLogins(groupName) {
+    const groups = await this.request('/groups?fields=id,name,ringId&$top=-1');
+    const group = groups.find(g => g.name.toLowerCase() === groupName.toLowerCase());
+    if (!group) return null;
+
+    const hubGroup = await this.request(`/usergroups/${group.ringId}?fields=users(login,banned)`, {
+      base: `${this.baseUrl}/hub/api/rest`,
+      cache: false
+    });
+    return (hubGroup.users || [])
+      .filter(user => !user.banned)
+      .map(user => user.login);
+  }
 
-      if (issues.length === 0) break;
+  /**
+   * Get the time zone set in the current user's YouTrack profile
+   * @returns {Promise<string|null>} IANA time zone name, or null when the profile has none
+   */
+  async getUserTimeZone() {
+    const profile = await this.request('/users/me/profiles/general?fields=timezone(id)');
+    return profile?.timezone?.id || null;
+  }
 
-      allIssues = allIssues.concat(issues);
-      skip += top;
+  /**
+   * Get the timestamp of a user's earliest reported issue or comment
+   * @param {string} userId - The user's login or ID
+   * @returns {Promise<number|null>} Timestamp (ms), or null when the user has done neither
+   */
+  async getFirstActivityTimestamp(userId) {
+    const [issues, comments] = await Promise.all([
+      this.request(`/issues?query=${encodeURIComponent(`created by: ${userId} sort by: created asc`)}&fields=created&$top=1`),
+      // Activities are returned oldest first
+      this.request(`/activities?categories=CommentsCategory&author=${encodeURIComponent(userId)}&fields=timestamp&$top=1`)
+    ]);
+
+    const timestamps = [issues[0]?.created, comments[0]?.timestamp].filter(Number.isFinite);
+    return timestamps.length > 0 ? Math.min(...timestamps) : null;
+  }
 
-      if (onProgress) {
-        onProgress(`Fetched ${allIssues.length} issues with comments...`);
-      }
+  /**
+   * Iterate over issues created by a user within a date range, page by page
+   * @param {string} userId - The user's login or ID
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @param {object} options - Extra paginate() options, plus `updatedSince` (YYYY-MM-DD)
+   *   to only return issues updated on or after that date, and `fields` to override the issue fields
+   */
+  paginateIssuesCreatedByUser(userId, startDate, endDate, options = {}) {
+    const { updatedSince, fields = ISSUE_FIELDS, ...paginateOptions } = options;
+    return this.paginate('/issues', {
+      ...paginateOptions,
+      query: withUpdatedSince(`created: ${startDate} .. ${endDate} created by: ${userId}`, updatedSince),
+      fields
+    });
+  }
 
-      if (issues.length < top) break;
-    }
+  /**
+   * Get issues created by a user within a date range
+   * @param {string} userId - The user's login or ID
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @param {function} onProgress - Optional progress callback
+   * @param {object} options - Extra options for paginateIssuesCreatedByUser()
+   */
+  async getIssuesCreatedByUser(userId, startDate, endDate, onProgress, options = {}) {
+    return collectPages(this.paginateIssuesCreatedByUser(userId, startDate, endDate, {
+      ...options,
+      onProgress: progressReporter(onProgress, 'created issues')
+    }));
+  }
+
+  /**
+   * Iterate over issues the user commented on within a date range, page by page
+   * @param {string} userId - The user's login
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @param {object} options - Extra paginate() options, plus `updatedSince` (YYYY-MM-DD)
+   *   to only return issues updated on or after that date
+   */
+  paginateIssuesWithComments(userId, startDate, endDate, options = {}) {
+    const { updatedSince, ...paginateOptions } = options;
+    return this.paginate('/issues', {
+      ...paginateOptions,
+      query: withUpdatedSince(`commenter: ${userId} commented: ${startDate} .. ${endDate}`, updatedSince),
+      fields: `${ISSUE_SUMMARY_FIELDS},comments(${COMMENT_FIELDS})`
+    });
+  }
+
+  /**
+   * Iterate over issues the user commented on within a date range, without their comments
+   * @param {string} userId - The user's login
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @param {object} options - Extra paginate() options, plus `updatedSince` (YYYY-MM-DD)
+   */
+  paginateIssuesCommentedByUser(userId, startDate, endDate, options = {}) {
+    const { updatedSince, ...paginateOptions } = options;
+    return this.paginate('/issues', {
+      ...paginateOptions,
+      query: withUpdatedSince(`commenter: ${userId} commented: ${startDate} .. ${endDate}`, updatedSince),
+      fields: ISSUE_SUMMARY_FIELDS
+    });
+  }
+
+  /**
+   * Get all issues to search for comments by the user
+   * @param {string} userId - The user's login
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @param {function} onProgress - Optional progress callback
+   * @param {object} options - Extra options for paginateIssuesWithComments()
+   */
+  async getIssuesWithComments(userId, startDate, endDate, onProgress, options = {}) {
+    return collectPages(this.paginateIssuesWithComments(userId, startDate, endDate, {
+      ...options,
+      onProgress: progressReporter(onProgress, 'issues with comments')
+    }));
+  }
 
-    return allIssues;
+  /**
+   * Iterate over issues resolved by a user within a date range, page by page
+   * @param {string} userId - The user's login
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @param {object} options - Extra paginate() options, plus `updatedSince` (YYYY-MM-DD)
+   *   to only return issues updated on or after that date, and `fields` to override the issue fields
+   */
+  paginateIssuesResolvedByUser(userId, startDate, endDate, options = {}) {
+    const { updatedSince, fields = ISSUE_FIELDS, ...paginateOptions } = options;
+    return this.paginate('/issues', {
+      ...paginateOptions,
+      query: withUpdatedSince(`resolved date: ${startDate} .. ${endDate} Assignee: ${userId}`, updatedSince),
+      fields
+    });
   }
 
   /**
@@ -139,68 +532,185 @@ export class YouTrackClient {
    * @param {string} startDate - Start date in YYYY-MM-DD format
    * @param {string} endDate - End date in YYYY-MM-DD format
    * @param {function} onProgress - Optional progress callback
+   * @param {object} options - Extra options for paginateIssuesResolvedByUser()
    */
-  async getIssuesResolvedByUser(userId, startDate, endDate, onProgress) {
-    const query = encodeURIComponent(`resolved date: ${startDate} .. ${endDate} Assignee: ${userId}`);
-    const fields = 'id,idReadable,summary,created,resolved,project(id,name,shortName),customFields(name,value(name))';
+  async getIssuesResolvedByUser(userId, startDate, endDate, onProgress, options = {}) {
+    return collectPages(this.paginateIssuesResolvedByUser(userId, startDate, endDate, {
+      ...options,
+      onProgress: progressReporter(onProgress, 'resolved issues')
+    }));
+  }
 
-    let allIssues = [];
-    let skip = 0;
-    const top = 100;
+  /**
+   * Iterate over the user's comment activities within a time window, page by page
+   * The activities API filters by author and time on the server, so other people's
+   * comments never cross the wire
+   * @param {string} userId - The user's login
+   * @param {number} startMs - Window start timestamp (ms)
+   * @param {number} endMs - Window end timestamp (ms)
+   * @param {object} options - Extra paginate() options
+   */
+  paginateCommentActivities(userId, startMs, endMs, options = {}) {
+    return this.paginateActivities(userId, ['CommentsCategory'], startMs, endMs, {
+      ...options,
+      fields: COMMENT_ACTIVITY_FIELDS
+    });
+  }
 
-    while (true) {
-      const issues = await this.request(
-        `/issues?query=${query}&fields=${fields}&$top=${top}&$skip=${skip}`
-      );
+  /**
+   * Iterate over issues created in a project within a date range, page by page
+   * @param {string} projectShortName - The project's short name
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @param {object} options - Extra paginate() options
+   */
+  paginateIssuesCreatedInProject(projectShortName, startDate, endDate, options = {}) {
+    return this.paginate('/issues', {
+      ...options,
+      query: `project: {${projectShortName}} created: ${startDate} .. ${endDate}`,
+      fields: PROJECT_ISSUE_FIELDS
+    });
+  }
 
-      if (issues.length === 0) break;
+  /**
+   * Get issues created in a project within a date range
+   * @param {function} onProgress - Optional progress callback
+   */
+  async getIssuesCreatedInProject(projectShortName, startDate, endDate, onProgress, options = {}) {
+    return collectPages(this.paginateIssuesCreatedInProject(projectShortName, startDate, endDate, {
+      ...options,
+      onProgress: progressReporter(onProgress, 'created issues')
+    }));
+  }
 
-      allIssues = allIssues.concat(issues);
-      skip += top;
+  /**
+   * Iterate over issues resolved in a project within a date range, page by page
+   * @param {string} projectShortName - The project's short name
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @param {object} options - Extra paginate() options
+   */
+  paginateIssuesResolvedInProject(projectShortName, startDate, endDate, options = {}) {
+    return this.paginate('/issues', {
+      ...options,
+      query: `project: {${projectShortName}} resolved date: ${startDate} .. ${endDate}`,
+      fields: PROJECT_ISSUE_FIELDS
+    });
+  }
 
-      if (onProgress) {
-        onProgress(`Fetched ${allIssues.length} resolved issues...`);
-      }
+  /**
+   * Get issues resolved in a project within a date range
+   * @param {function} onProgress - Optional progress callback
+   */
+  async getIssuesResolvedInProject(projectShortName, startDate, endDate, onProgress, options = {}) {
+    return collectPages(this.paginateIssuesResolvedInProject(projectShortName, startDate, endDate, {
+      ...options,
+      onProgress: progressReporter(onProgress, 'resolved issues')
+    }));
+  }
 
-      if (issues.length < top) break;
-    }
+  /**
+   * Iterate over comments added to a project's issues within a window, by anyone
+   * Each activity's `added` array holds the new comments with their issue
+   * @param {string} projectShortName - The project's short name
+   * @param {number} startMs - Window start timestamp (ms)
+   * @param {number} endMs - Window end timestamp (ms)
+   * @param {object} options - Extra paginate() options
+   */
+  paginateProjectCommentActivities(projectShortName, startMs, endMs, options = {}) {
+    const issueQuery = encodeURIComponent(`project: {${projectShortName}}`);
+    return this.paginate(`/activities?categories=CommentsCategory&issueQuery=${issueQuery}&start=${startMs}&end=${endMs}`, {
+      ...options,
+      fields: COMMENT_ACTIVITY_FIELDS
+    });
+  }
+
+  /**
+   * Iterate over the user's activity items in the given categories, page by page
+   * @param {string} userId - The user's login
+   * @param {string[]} categories - Activity category ids, e.g. 'CustomFieldCategory'
+   * @param {number} startMs - Window start timestamp (ms)
+   * @param {number} endMs - Window end timestamp (ms)
+   * @param {object} options - Extra paginate() options; `fields` defaults to a generic activity shape
+   */
+  paginateActivities(userId, categories, startMs, endMs, options = {}) {
+    const params = `categories=${categories.join(',')}&author=${encodeURIComponent(userId)}&start=${startMs}&end=${endMs}`;
+    return this.paginate(`/activities?${params}`, {
+      fields: ACTIVITY_FIELDS,
+      ...options
+    });
+  }
+
+  /**
+   * Iterate over the comments of a single issue, page by page
+   * @param {string} issueId - Issue database id or readable id
+   * @param {object} options - Extra paginate() options
+   */
+  paginateIssueComments(issueId, options = {}) {
+    return this.paginate(`/issues/${issueId}/comments`, {
+      ...options,
+      fields: COMMENT_FIELDS
+    });
+  }
+
+  /**
+   * Snapshot of the network usage counters (cache hits are not counted)
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * Iterate over work items (spent time) logged by a user within a date range, page by page
+   * @param {string} userId - The user's login
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @param {object} options - Extra paginate() options
+   */
+  paginateWorkItems(userId, startDate, endDate, options = {}) {
+    const params = `author=${encodeURIComponent(userId)}&startDate=${startDate}&endDate=${endDate}`;
+    return this.paginate(`/workItems?${params}`, {
+      ...options,
+      fields: WORK_ITEM_FIELDS
+    });
+  }
 
-    return allIssues;
+  /**
+   * Get work items logged by a user within a date range
+   * @param {string} userId - The user's login
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @param {function} onProgress - Optional progress callback
+   * @param {object} options - Extra options for paginateWorkItems()
+   */
+  async getWorkItems(userId, startDate, endDate, onProgress, options = {}) {
+    return collectPages(this.paginateWorkItems(userId, startDate, endDate, {
+      ...options,
+      onProgress: progressReporter(onProgress, 'work items')
+    }));
   }
 
   /**
    * Get articles from specific projects
    * @param {string[]} projectShortNames - Array of project short names
    * @param {function} onProgress - Optional progress callback
+   * @param {object} options
+   * @param {number} options.updatedSince - Only return articles updated at or after this timestamp (ms)
+   * @param {boolean} options.cache - Set to false to bypass the response cache
    */
-  async getArticles(projectShortNames = [], onProgress) {
+  async getArticles(projectShortNames = [], onProgress, { updatedSince, cache } = {}) {
     if (projectShortNames.length === 0) {
       return [];
     }
 
-    const fields = 'id,idReadable,summary,content,created,updated,reporter(id,login,fullName),project(id,name,shortName)';
-    const top = 100;
-
-    // Fetch articles from each project
+    // Fetch articles from all projects at once; the scheduler bounds concurrency
     const allArticles = [];
 
-    for (const shortName of projectShortNames) {
-      let projectArticles = [];
-      let skip = 0;
-
+    await Promise.all(projectShortNames.map(async (shortName) => {
       try {
-        while (true) {
-          const articles = await this.request(
-            `/admin/projects/${shortName}/articles?fields=${fields}&$top=${top}&$skip=${skip}`
-          );
-
-          if (articles.length === 0) break;
-
-          projectArticles = projectArticles.concat(articles);
-          skip += top;
-
-          if (articles.length < top) break;
-        }
+        const projectArticles = updatedSince === undefined
+          ? await this.paginateAll(`/admin/projects/${shortName}/articles`, { fields: ARTICLE_FIELDS, cache })
+          : await this.getProjectArticlesUpdatedSince(shortName, updatedSince, cache);
 
         allArticles.push(...projectArticles);
 
@@ -208,21 +718,101 @@ export class YouTrackClient {
           onProgress(`Fetched ${allArticles.length} articles...`);
         }
       } catch (error) {
+        if (error.isAborted) throw error;
         // Skip projects where articles can't be fetched (might not have permission)
         console.warn(`[YouTrackClient] Could not fetch articles from project ${shortName}:`, error.message);
       }
-    }
+    }));
 
     return allArticles;
   }
 
+  /**
+   * Get a project's articles updated since a timestamp
+   * The articles endpoint has no query support, so only ids and update times are
+   * listed and full content is fetched for the changed articles alone
+   */
+  async getProjectArticlesUpdatedSince(shortName, updatedSince, cache) {
+    const stubs = await this.paginateAll(`/admin/projects/${shortName}/articles`, { fields: 'id,updated', cache });
+    const changed = stubs.filter(article => article.updated >= updatedSince);
+
+    return Promise.all(changed.map(article =>
+      this.request(`/articles/${article.id}?fields=${ARTICLE_FIELDS}`, { cache })
+    ));
+  }
+
   /**
    * Get all projects the user has access to
    */
   async getProjects() {
-    const fields = 'id,name,shortName,description';
-    return this.request(`/admin/projects?fields=${fields}&$top=100`);
+    return this.paginateAll('/admin/projects', { fields: 'id,name,shortName,description' });
+  }
+}
+
+/**
+ * Drain a page iterator into a single array
+ */
+async function collectPages(pages) {
+  let items = [];
+  for await (const page of pages) {
+    items = items.concat(page);
   }
+  return items;
+}
+
+/**
+ * Narrow an issue query to issues updated on or after a date
+ */
+function withUpdatedSince(query, updatedSince) {
+  return updatedSince ? `${query} updated: ${updatedSince} .. *` : query;
+}
+
+/**
+ * Adapt paginate() progress events to the string-based progress callbacks
+ */
+function progressReporter(onProgress, label) {
+  if (!onProgress) return undefined;
+  return ({ fetched }) => onProgress(`Fetched ${fetched} ${label}...`);
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait for the given delay, rejecting early if the signal is aborted
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function abortError(url, cause) {
+  return new YouTrackApiError('Request cancelled', { kind: 'aborted', url, cause });
 }
 
 export default YouTrackClient;
@@ -0,0 +1,101 @@
+/**
+ * Zip Archive
+ * A minimal zip writer for bundling downloads: files are stored uncompressed,
+ * which is all PNGs (already compressed) need
+ */
+
+let crcTable = null;
+
+/**
+ * Bundle files into a zip archive
+ * @param {Array<{name: string, data: Uint8Array|ArrayBuffer|Blob}>} files - Paths inside the archive and contents
+ * @param {Date} modified - Modification time recorded for every file
+ * @returns {Promise<Blob>} The archive as application/zip
+ */
+export async function createZip(files, modified = new Date()) {
+  const encoder = new TextEncoder();
+  const time = (modified.getHours() << 11) | (modified.getMinutes() << 5) | Math.floor(modified.getSeconds() / 2);
+  const date = ((modified.getFullYear() - 1980) << 9) | ((modified.getMonth() + 1) << 5) | modified.getDate();
+
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const data = await toBytes(file.data);
+    const name = encoder.encode(file.name);
+    const crc = crc32(data);
+
+    // Local file header; bit 11 marks the name as UTF-8
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, 0x0800, true);
+    header.setUint16(8, 0, true);
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, data.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, name.length, true);
+    header.setUint16(28, 0, true);
+    parts.push(header, name, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    centralDirectory.push(entry, name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const directorySize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
+
+/**
+ * CRC-32 checksum (the IEEE polynomial zip uses)
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  return new Uint8Array(await data.arrayBuffer());
+}
+
+export default createZip;
@@ -0,0 +1,345 @@
+/**
+ * Achievement rules: every built-in badge's tiers and progress text, and
+ * loading and validating badge definitions from JSON
+ */
+
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { AchievementRegistry, earnedAchievements } from '../services/achievementRegistry.js';
+import { PERSONAL_ACHIEVEMENTS, PROJECT_ACHIEVEMENTS, TEAM_ACHIEVEMENTS } from '../services/achievements.js';
+
+const CATALOG = [...PERSONAL_ACHIEVEMENTS, ...TEAM_ACHIEVEMENTS, ...PROJECT_ACHIEVEMENTS];
+
+/**
+ * The statistics every built-in metric and predicate reads, all at zero
+ */
+function emptyStats() {
+  return {
+    summary: {
+      totalIssuesCreated: 0,
+      totalIssuesResolved: 0,
+      totalComments: 0,
+      totalArticles: 0,
+      totalTriageActions: 0,
+      totalContributions: 0
+    },
+    timeStats: { longestStreak: { days: 0 }, hourlyActivity: {} },
+    projectStats: { totalProjects: 0 },
+    fieldBreakdowns: { fields: {}, criticalResolved: 0 },
+    activityWindows: { weekend: 0, night: 0, earlyMorning: 0 },
+    timeTrackingStats: { totalHours: 0 },
+    resolutionStats: { resolvedCount: 0, medianDays: null },
+    members: [],
+    leaderboards: []
+  };
+}
+
+/**
+ * Empty statistics with the value at a dot path replaced
+ */
+function statsWith(path, value) {
+  const stats = emptyStats();
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((object, key) => object[key], stats);
+  parent[keys.at(-1)] = value;
+  return stats;
+}
+
+/**
+ * Evaluate one badge definition on its own
+ */
+function evaluate(definition, stats) {
+  const registry = new AchievementRegistry([definition]);
+  return registry.evaluate(stats, definition.modes?.[0] || 'personal')[0];
+}
+
+function member(totalContributions) {
+  return { summary: { totalContributions } };
+}
+
+describe('built-in catalog', () => {
+  it('has unique ids and tiers ordered from lowest to highest', () => {
+    const ids = CATALOG.map(definition => definition.id);
+    assert.equal(new Set(ids).size, ids.length);
+
+    for (const { id, tiers, comparator = '>=' } of CATALOG) {
+      const thresholds = tiers.map(tier => tier.threshold).filter(threshold => threshold !== undefined);
+      const ordered = [...thresholds].sort((a, b) => (comparator.startsWith('<') ? b - a : a - b));
+      assert.deepEqual(thresholds, ordered, `tiers of ${id}`);
+    }
+  });
+
+  it('registers every definition', () => {
+    assert.doesNotThrow(() => new AchievementRegistry(CATALOG));
+  });
+});
+
+// Badges counting a single statistic up towards thresholds, checked tier by tier
+const COUNTING_RULES = CATALOG.filter(({ metric, predicate, comparator = '>=' }) =>
+  typeof metric === 'string' && !predicate && (comparator === '>=' || comparator === '>'));
+
+describe('counting rules', () => {
+  for (const definition of COUNTING_RULES) {
+    const { id, metric, unit, tiers, comparator = '>=' } = definition;
+    // The value that reaches a tier: ">" needs one more than the threshold
+    const reaching = tier => (comparator === '>' ? tier.threshold + 1 : tier.threshold);
+
+    describe(id, () => {
+      it(`is locked at 0 ${unit}`, () => {
+        const result = evaluate(definition, statsWith(metric, 0));
+        assert.equal(result.earned, false);
+        assert.equal(result.tier, -1);
+        assert.equal(result.name, tiers[0].name);
+        assert.equal(result.progress, 0);
+        assert.equal(result.progressText, `${reaching(tiers[0]).toLocaleString()} more ${unit} for ${tiers[0].name}`);
+      });
+
+      tiers.forEach((tier, index) => {
+        it(`reaches ${tier.name} at ${reaching(tier)} ${unit}, not at ${reaching(tier) - 1}`, () => {
+          const below = evaluate(definition, statsWith(metric, reaching(tier) - 1));
+          assert.equal(below.tier, index - 1);
+          assert.equal(below.next.id, tier.id);
+          assert.equal(below.next.remaining, 1);
+          assert.equal(below.progressText, `1 more ${unit} for ${tier.name}`);
+
+          const at = evaluate(definition, statsWith(metric, reaching(tier)));
+          assert.equal(at.earned, true);
+          assert.equal(at.tier, index);
+          assert.equal(at.tierId, tier.id);
+          assert.equal(at.name, tier.name);
+          assert.equal(at.icon, tier.icon);
+          assert.deepEqual(at.tiers.map(t => t.reached), tiers.map((t, i) => i <= index));
+        });
+      });
+
+      it('has no next tier once the highest is reached', () => {
+        const top = tiers.at(-1);
+        const result = evaluate(definition, statsWith(metric, reaching(top) * 10));
+        assert.equal(result.tier, tiers.length - 1);
+        assert.equal(result.next, null);
+        assert.equal(result.progress, 1);
+        assert.equal(result.progressText, null);
+      });
+    });
+  }
+});
+
+describe('progress text', () => {
+  const comments = CATALOG.find(definition => definition.id === 'comments');
+
+  it('counts what is left towards the next tier', () => {
+    const result = evaluate(comments, statsWith('summary.totalComments', 188));
+    assert.equal(result.name, 'Contributor');
+    assert.equal(result.progressText, '12 more comments for Conversationalist');
+    assert.equal(result.progress, (188 - 50) / (200 - 50));
+  });
+
+  it('is kept on the earned badges the slides show', () => {
+    const registry = new AchievementRegistry([comments]);
+    const [earned] = earnedAchievements(registry.evaluate(statsWith('summary.totalComments', 188)));
+    assert.deepEqual(earned, {
+      id: 'contributor',
+      badge: 'comments',
+      name: 'Contributor',
+      description: 'Left 50+ comments',
+      icon: '✍️',
+      progressText: '12 more comments for Conversationalist'
+    });
+  });
+
+  it('falls back to "to go" without a unit', () => {
+    const result = evaluate({ id: 'plain', metric: 'summary.totalComments', tiers: [{ id: 'one', name: 'One', icon: '1️⃣', description: 'Three comments', threshold: 3 }] },
+      emptyStats());
+    assert.equal(result.progressText, '3 more to go for One');
+  });
+
+  it('is left out for badges that count down', () => {
+    const result = evaluate({ id: 'fast', metric: 'resolutionStats.medianDays', comparator: '<=', tiers: [{ id: 'fast', name: 'Fast', icon: '⚡', description: 'Two days at most', threshold: 2 }] },
+      statsWith('resolutionStats.medianDays', 5));
+    assert.equal(result.earned, false);
+    assert.equal(result.next.remaining, null);
+    assert.equal(result.progressText, null);
+  });
+});
+
+describe('rules with a computed metric or a predicate', () => {
+  const rule = id => CATALOG.find(definition => definition.id === id);
+  const typeCounts = createdByValue => statsWith('fieldBreakdowns.fields', { Type: { createdByValue } });
+
+  it('bug_reporter counts created issues of type Bug', () => {
+    assert.equal(evaluate(rule('bug_reporter'), emptyStats()).value, 0);
+    assert.equal(evaluate(rule('bug_reporter'), typeCounts({ Bug: 9 })).earned, false);
+    assert.equal(evaluate(rule('bug_reporter'), typeCounts({ Bug: 10 })).tierId, 'bug_spotter');
+    assert.equal(evaluate(rule('bug_reporter'), typeCounts({ Bug: 50, Feature: 3 })).tierId, 'eagle_eye');
+  });
+
+  it('feature_factory counts created issues of type Feature', () => {
+    assert.equal(evaluate(rule('feature_factory'), typeCounts({ Bug: 40 })).earned, false);
+    const result = evaluate(rule('feature_factory'), typeCounts({ Feature: 7 }));
+    assert.equal(result.progressText, '3 more feature requests for Feature Factory');
+    assert.equal(evaluate(rule('feature_factory'), typeCounts({ Feature: 10 })).earned, true);
+  });
+
+  it('full_house needs every member of a team of two or more to contribute', () => {
+    const team = members => ({ ...emptyStats(), members });
+    assert.equal(evaluate(rule('full_house'), team([member(5)])).earned, false);
+    assert.equal(evaluate(rule('full_house'), team([member(5), member(0)])).earned, false);
+    assert.equal(evaluate(rule('full_house'), team([member(5), member(1)])).earned, true);
+  });
+
+  it('balanced_team needs three members and nobody above half the work', () => {
+    const team = counts => ({
+      ...statsWith('summary.totalContributions', counts.reduce((sum, count) => sum + count, 0)),
+      members: counts.map(member)
+    });
+    assert.equal(evaluate(rule('balanced_team'), team([5, 5])).earned, false);
+    assert.equal(evaluate(rule('balanced_team'), team([6, 3, 1])).earned, false);
+    assert.equal(evaluate(rule('balanced_team'), team([5, 3, 2])).earned, true);
+    assert.equal(evaluate(rule('balanced_team'), team([5, 3, 2])).value, 0.5);
+  });
+
+  it('around_the_clock counts the hours of the day with activity', () => {
+    const hours = active => statsWith('timeStats.hourlyActivity',
+      Object.fromEntries(Array.from({ length: 24 }, (_, hour) => [hour, hour < active ? 1 : 0])));
+    assert.equal(evaluate(rule('around_the_clock'), hours(19)).progressText, '1 more active hours of the day for Around the Clock');
+    assert.equal(evaluate(rule('around_the_clock'), hours(20)).earned, true);
+  });
+
+  it('inbox_zero needs as many issues resolved as were filed', () => {
+    const project = (created, resolved) => ({
+      ...emptyStats(),
+      summary: { ...emptyStats().summary, totalIssuesCreated: created, totalIssuesResolved: resolved }
+    });
+    assert.equal(evaluate(rule('inbox_zero'), project(0, 0)).earned, false);
+    assert.equal(evaluate(rule('inbox_zero'), project(10, 9)).earned, false);
+    assert.equal(evaluate(rule('inbox_zero'), project(10, 10)).earned, true);
+  });
+
+  it('quick_turnaround needs a median under 2 days over 10 or more resolved issues', () => {
+    const project = (resolvedCount, medianDays) => statsWith('resolutionStats', { resolvedCount, medianDays });
+    assert.equal(evaluate(rule('quick_turnaround'), project(9, 1)).earned, false);
+    assert.equal(evaluate(rule('quick_turnaround'), project(10, 2.5)).earned, false);
+    assert.equal(evaluate(rule('quick_turnaround'), project(10, 2)).earned, true);
+    assert.equal(evaluate(rule('quick_turnaround'), project(10, null)).earned, false);
+  });
+
+  it('community counts the reporters leaderboard', () => {
+    const project = reporters => statsWith('leaderboards', [
+      { id: 'commenters', entries: new Array(30).fill({}) },
+      { id: 'reporters', entries: new Array(reporters).fill({}) }
+    ]);
+    assert.equal(evaluate(rule('community'), emptyStats()).value, 0);
+    assert.equal(evaluate(rule('community'), project(9)).progressText, '1 more reporters for Community');
+    assert.equal(evaluate(rule('community'), project(10)).earned, true);
+  });
+});
+
+describe('registry', () => {
+  const tier = { id: 'one', name: 'One', icon: '1️⃣', description: 'One of them', threshold: 1 };
+
+  it('rejects invalid definitions', () => {
+    const registry = new AchievementRegistry();
+    assert.throws(() => registry.register({ metric: 'summary.totalComments', tiers: [tier] }), /missing id/);
+    assert.throws(() => registry.register({ id: 'x', metric: 'summary.totalComments', tiers: [] }), /needs at least one tier/);
+    assert.throws(() => registry.register({ id: 'x', tiers: [tier] }), /needs a metric or a predicate/);
+    assert.throws(() => registry.register({ id: 'x', metric: 'a', comparator: '=>', tiers: [tier] }), /unknown comparator =>/);
+    assert.throws(() => registry.register({ id: 'x', metric: 'a', modes: ['org'], tiers: [tier] }), /unknown mode in org/);
+    assert.throws(() => registry.register({ id: 'x', metric: 'a', tiers: [{ id: 'one' }] }), /every tier needs an id and a name/);
+    assert.throws(() => registry.register({ id: 'x', metric: 'a', tiers: [{ id: 'one', name: 'One', description: 'One', threshold: 1 }] }),
+      /tier "one" needs an icon/);
+    assert.throws(() => registry.register({ id: 'x', metric: 'a', tiers: [{ id: 'one', name: 'One', icon: '1️⃣', threshold: 1 }] }),
+      /tier "one" needs a description/);
+    assert.throws(() => registry.register({ id: 'x', metric: 'a', tiers: [{ id: 'one', name: 'One', icon: '1️⃣', description: 'One' }] }), /needs a numeric threshold/);
+  });
+
+  it('replaces a badge registered under the same id', () => {
+    const registry = new AchievementRegistry(CATALOG);
+    registry.register({ id: 'comments', metric: 'summary.totalComments', unit: 'comments', tiers: [{ id: 'talker', name: 'Talker', icon: '💬', description: 'Commented', threshold: 1 }] });
+    const results = registry.evaluate(statsWith('summary.totalComments', 1));
+    assert.equal(results.filter(result => result.id === 'comments').length, 1);
+    assert.equal(results.find(result => result.id === 'comments').tierId, 'talker');
+  });
+
+  it('evaluates only the badges of a mode', () => {
+    const registry = new AchievementRegistry(CATALOG);
+    const ids = mode => registry.evaluate(emptyStats(), mode).map(result => result.id);
+    assert.deepEqual(ids('personal'), PERSONAL_ACHIEVEMENTS.map(definition => definition.id));
+    assert.deepEqual(ids('team'), TEAM_ACHIEVEMENTS.map(definition => definition.id));
+    assert.deepEqual(ids('project'), PROJECT_ACHIEVEMENTS.map(definition => definition.id));
+  });
+
+  it('resolves predicates by name and keeps badges with unknown ones locked', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    try {
+      const registry = new AchievementRegistry([], { predicates: { busy: stats => stats.summary.totalComments > 2 } });
+      registry.register({ id: 'busy', predicate: 'busy', tiers: [{ id: 'busy', name: 'Busy', icon: '🐝', description: 'Busy' }] });
+      registry.register({ id: 'odd', predicate: 'missing', tiers: [{ id: 'odd', name: 'Odd', icon: '❓', description: 'Odd' }] });
+
+      const [busy, odd] = registry.evaluate(statsWith('summary.totalComments', 3));
+      assert.equal(busy.earned, true);
+      assert.equal(odd.earned, false);
+      assert.equal(warn.mock.callCount(), 1);
+    } finally {
+      warn.mock.restore();
+    }
+  });
+
+  it('treats a missing metric as no value', () => {
+    const result = evaluate({ id: 'x', metric: 'nothing.here', tiers: [tier] }, emptyStats());
+    assert.equal(result.value, null);
+    assert.equal(result.earned, false);
+  });
+});
+
+describe('JSON definitions', () => {
+  const exampleUrl = new URL('../achievements.example.json', import.meta.url);
+
+  it('loads achievements.example.json', async () => {
+    const registry = new AchievementRegistry();
+    assert.equal(registry.loadJson(await readFile(exampleUrl, 'utf8')), 2);
+
+    const stats = { ...statsWith('summary.totalArticles', 5), timeTrackingStats: { totalHours: 480 } };
+    const [herald, keeper] = registry.evaluate(stats, 'personal');
+    assert.equal(herald.tierId, 'release_scribe');
+    assert.equal(herald.progressText, '20 more articles for Release Herald');
+    assert.equal(keeper.earned, false);
+    assert.equal(keeper.progressText, '20 more hours logged for Time Keeper');
+    assert.deepEqual(registry.evaluate(stats, 'team').map(result => result.id), ['release_herald']);
+  });
+
+  it('accepts a plain array of definitions', () => {
+    const registry = new AchievementRegistry();
+    assert.equal(registry.loadJson([{ id: 'x', metric: 'summary.totalComments', tiers: [{ id: 'x', name: 'X', icon: '❌', description: 'X', threshold: 1 }] }]), 1);
+  });
+
+  it('rejects documents without definitions and invalid definitions', () => {
+    const registry = new AchievementRegistry();
+    assert.throws(() => registry.loadJson('{"badges": []}'), /must contain an array of definitions/);
+    assert.throws(() => registry.loadJson('not json'), SyntaxError);
+    assert.throws(() => registry.loadJson({ achievements: [{ id: 'x', metric: 'a', tiers: [{ id: 'x', name: 'X', icon: '❌', description: 'X' }] }] }),
+      /Invalid achievement "x": tier "x" needs a numeric threshold/);
+  });
+
+  it('fetches a file, and skips one that does not exist', async () => {
+    const example = await readFile(exampleUrl, 'utf8');
+    const responses = {
+      'achievements.json': new Response(example),
+      'missing.json': new Response('', { status: 404 }),
+      'broken.json': new Response('', { status: 500 })
+    };
+    const fetch = mock.method(globalThis, 'fetch', async url => responses[url]);
+    const log = mock.method(console, 'log', () => {});
+    try {
+      const registry = new AchievementRegistry();
+      assert.equal(await registry.loadFromUrl('achievements.json'), 2);
+      assert.equal(await registry.loadFromUrl('missing.json'), 0);
+      await assert.rejects(registry.loadFromUrl('broken.json'), /HTTP 500/);
+      assert.equal(registry.definitions.size, 2);
+    } finally {
+      fetch.mock.restore();
+      log.mock.restore();
+    }
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Period bounds and lengths in a time zone, across daylight saving changes and
+ * the turn of the year
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createPeriod, nextPeriodLabel, periodBounds, periodDays, periodKey, periodQueryRange, previousPeriod, timelineGranularity
+} from '../services/period.js';
+
+describe('periodBounds', () => {
+  it('covers a year from local midnight to local midnight', () => {
+    const period = createPeriod({ type: 'year', year: 2024, timeZone: 'America/New_York' });
+    assert.deepEqual(periodBounds(period), {
+      start: Date.UTC(2024, 0, 1, 5),
+      end: Date.UTC(2025, 0, 1, 5) - 1
+    });
+    // 23:30 on December 31 in New York is inside the year, 00:00 on January 1 is not
+    assert.ok(Date.UTC(2025, 0, 1, 4, 30) <= periodBounds(period).end);
+    assert.ok(Date.UTC(2025, 0, 1, 5) > periodBounds(period).end);
+  });
+
+  it('ends a quarter at summer time when the quarter ends after a spring-forward', () => {
+    const period = createPeriod({ type: 'quarter', year: 2024, quarter: 1, timeZone: 'Europe/Berlin' });
+    assert.deepEqual(periodBounds(period), {
+      start: Date.UTC(2023, 11, 31, 23),
+      end: Date.UTC(2024, 2, 31, 22) - 1
+    });
+  });
+
+  it('starts a southern quarter at standard time after summer time ended', () => {
+    const period = createPeriod({ type: 'quarter', year: 2024, quarter: 2, timeZone: 'Australia/Sydney' });
+    assert.deepEqual(periodBounds(period), {
+      start: Date.UTC(2024, 2, 31, 13),
+      end: Date.UTC(2024, 5, 30, 14) - 1
+    });
+  });
+
+  it('uses UTC when the period has no time zone', () => {
+    assert.deepEqual(periodBounds(createPeriod({ type: 'year', year: 2024 })), {
+      start: Date.UTC(2024, 0, 1),
+      end: Date.UTC(2025, 0, 1) - 1
+    });
+  });
+});
+
+describe('periodDays', () => {
+  it('counts whole days across a spring-forward and a fall-back', () => {
+    assert.equal(periodDays(createPeriod({ type: 'year', year: 2024, timeZone: 'Europe/Berlin' })), 366);
+    assert.equal(periodDays(createPeriod({ type: 'quarter', year: 2024, quarter: 1, timeZone: 'Europe/Berlin' })), 91);
+    assert.equal(periodDays(createPeriod({ type: 'quarter', year: 2024, quarter: 4, timeZone: 'America/New_York' })), 92);
+    assert.equal(periodDays(createPeriod({ type: 'half', year: 2024, half: 2, timeZone: 'Australia/Sydney' })), 184);
+  });
+
+  it('keeps a sprint across a time change two weeks long', () => {
+    const sprint = createPeriod({ type: 'custom', startDate: '2024-03-25', endDate: '2024-04-07', timeZone: 'Europe/Berlin' });
+    assert.equal(periodDays(sprint), 14);
+    assert.equal(timelineGranularity(sprint), 'week');
+  });
+
+  it('charts quarters by week and years by month', () => {
+    assert.equal(timelineGranularity(createPeriod({ type: 'quarter', year: 2024, quarter: 4, timeZone: 'Europe/Berlin' })), 'week');
+    assert.equal(timelineGranularity(createPeriod({ type: 'year', year: 2024, timeZone: 'Europe/Berlin' })), 'month');
+  });
+});
+
+describe('previousPeriod', () => {
+  it('steps back over the year boundary, keeping the time zone', () => {
+    const previous = previousPeriod(createPeriod({ type: 'quarter', year: 2024, quarter: 1, timeZone: 'Europe/Berlin' }));
+    assert.equal(previous.label, 'Q4 2023');
+    assert.equal(previous.startDate, '2023-10-01');
+    assert.equal(previous.endDate, '2023-12-31');
+    assert.equal(previous.timeZone, 'Europe/Berlin');
+
+    const year = previousPeriod(createPeriod({ type: 'year', year: 2025, timeZone: 'Pacific/Auckland' }));
+    assert.equal(year.label, '2024');
+    assert.equal(year.timeZone, 'Pacific/Auckland');
+  });
+
+  it('takes an equally long window before a custom period', () => {
+    const previous = previousPeriod(createPeriod({ type: 'custom', startDate: '2024-03-25', endDate: '2024-04-07', timeZone: 'Europe/Berlin' }));
+    assert.equal(previous.startDate, '2024-03-11');
+    assert.equal(previous.endDate, '2024-03-24');
+    assert.equal(previous.timeZone, 'Europe/Berlin');
+  });
+
+  it('wraps a fiscal year into the next calendar year', () => {
+    const fiscal = createPeriod({ type: 'fiscal-year', year: 2024, fiscalStartMonth: 7 });
+    assert.equal(fiscal.startDate, '2024-07-01');
+    assert.equal(fiscal.endDate, '2025-06-30');
+    assert.equal(previousPeriod(fiscal).label, 'FY2023/24');
+    assert.equal(nextPeriodLabel(fiscal), 'FY2025/26');
+  });
+});
+
+describe('periodQueryRange and periodKey', () => {
+  it('asks YouTrack for a day more on each side of the year', () => {
+    assert.deepEqual(periodQueryRange(createPeriod({ type: 'year', year: 2024, timeZone: 'Pacific/Auckland' })), {
+      startDate: '2023-12-31',
+      endDate: '2025-01-01'
+    });
+  });
+
+  it('tells the same dates in different time zones apart', () => {
+    const berlin = createPeriod({ type: 'year', year: 2024, timeZone: 'Europe/Berlin' });
+    const sydney = createPeriod({ type: 'year', year: 2024, timeZone: 'Australia/Sydney' });
+    assert.equal(periodKey(berlin), '2024-01-01..2024-12-31@Europe/Berlin');
+    assert.notEqual(periodKey(berlin), periodKey(sydney));
+    assert.equal(periodKey(createPeriod({ type: 'year', year: 2024 })), '2024-01-01..2024-12-31');
+  });
+});
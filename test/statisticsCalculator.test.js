@@ -0,0 +1,259 @@
+/**
+ * Statistics calculated from small datasets: which hour, day, month and week
+ * an activity counts towards in the period's time zone, and streaks
+ */
+
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AchievementRegistry } from '../services/achievementRegistry.js';
+import { createPeriod } from '../services/period.js';
+import { StatisticsCalculator } from '../services/statisticsCalculator.js';
+
+/**
+ * A personal dataset with one created issue per timestamp
+ */
+function dataset(period, timestamps) {
+  return {
+    user: { login: 'jane', fullName: 'Jane Doe' },
+    year: period.year,
+    period,
+    createdIssues: timestamps.map((created, index) => ({
+      id: `2-${index}`,
+      idReadable: `WR-${index + 1}`,
+      summary: `Issue ${index + 1}`,
+      created,
+      resolved: null,
+      project: { id: '0-1', name: 'Wrapped', shortName: 'WR' },
+      customFields: []
+    })),
+    resolvedIssues: [],
+    comments: [],
+    articles: [],
+    workItems: [],
+    activities: []
+  };
+}
+
+function timeStats(period, timestamps) {
+  return new StatisticsCalculator(dataset(period, timestamps)).calculateAll().timeStats;
+}
+
+function calendarDay(stats, date) {
+  return stats.calendar.weeks.flat().find(day => day?.date === date);
+}
+
+describe('activity at 23:30 on December 31', () => {
+  // 04:30 UTC on January 1, 2025
+  const newYearsEve = Date.UTC(2025, 0, 1, 4, 30);
+
+  it('counts towards the last hour, day, weekday and month of the year in New York', () => {
+    const stats = timeStats(createPeriod({ type: 'year', year: 2024, timeZone: 'America/New_York' }), [newYearsEve]);
+
+    assert.equal(stats.monthlyActivity['2024-12'], 1);
+    assert.equal(stats.monthlyActivity['2024-01'], 0);
+    assert.equal(stats.busiestMonth.monthName, 'December');
+    assert.equal(stats.hourlyActivity[23], 1);
+    assert.equal(stats.busiestHour.hour, 23);
+    assert.equal(stats.busiestDayOfWeek.dayName, 'Tuesday');
+
+    const { buckets } = stats.activityTimeline;
+    assert.equal(buckets.length, 12);
+    assert.equal(buckets.at(-1).startDate, '2024-12-01');
+    assert.equal(buckets.at(-1).value, 1);
+
+    assert.equal(calendarDay(stats, '2024-12-31').total, 1);
+    assert.equal(stats.calendar.busiestDay.date, '2024-12-31');
+    assert.deepEqual(stats.longestStreak, { days: 1, startDate: '2024-12-31', endDate: '2024-12-31' });
+  });
+
+  it('counts towards January 1 of the next year when read in UTC', () => {
+    const stats = timeStats(createPeriod({ type: 'year', year: 2025, timeZone: 'UTC' }), [newYearsEve]);
+
+    assert.equal(stats.monthlyActivity['2025-01'], 1);
+    assert.equal(stats.hourlyActivity[4], 1);
+    assert.equal(stats.activityTimeline.buckets[0].value, 1);
+    assert.equal(calendarDay(stats, '2025-01-01').total, 1);
+  });
+
+  it('counts towards the old year in Auckland during southern summer time', () => {
+    // 10:30 UTC is 23:30 at UTC+13
+    const stats = timeStats(createPeriod({ type: 'year', year: 2024, timeZone: 'Pacific/Auckland' }), [Date.UTC(2024, 11, 31, 10, 30)]);
+
+    assert.equal(stats.monthlyActivity['2024-12'], 1);
+    assert.equal(stats.hourlyActivity[23], 1);
+    assert.equal(calendarDay(stats, '2024-12-31').total, 1);
+  });
+});
+
+describe('busiest month of a period longer than a year', () => {
+  it('keeps the two Januaries apart and names the year', () => {
+    const period = createPeriod({ type: 'custom', startDate: '2024-01-01', endDate: '2025-03-31', timeZone: 'Europe/Berlin' });
+    const stats = timeStats(period, [
+      Date.UTC(2024, 0, 10, 12),
+      Date.UTC(2024, 0, 11, 12),
+      Date.UTC(2025, 0, 10, 12),
+      Date.UTC(2025, 0, 11, 12),
+      Date.UTC(2025, 0, 12, 12)
+    ]);
+
+    assert.equal(Object.keys(stats.monthlyActivity).length, 15);
+    assert.equal(stats.monthlyActivity['2024-01'], 2);
+    assert.equal(stats.monthlyActivity['2025-01'], 3);
+    assert.deepEqual(stats.busiestMonth, { month: '2025-01', monthName: 'January 2025', count: 3 });
+  });
+
+  it('tells a shift apart from the same month one year later', () => {
+    const calculate = (year, timestamps) => new StatisticsCalculator(
+      dataset(createPeriod({ type: 'year', year, timeZone: 'UTC' }), timestamps),
+      { previousData: dataset(createPeriod({ type: 'year', year: year - 1, timeZone: 'UTC' }), [Date.UTC(year - 1, 2, 1)]) }
+    ).calculateAll().comparison.busiestMonth;
+
+    assert.equal(calculate(2025, [Date.UTC(2025, 2, 1)]).shifted, false);
+    assert.equal(calculate(2025, [Date.UTC(2025, 9, 1)]).shifted, true);
+  });
+});
+
+describe('streaks across daylight saving changes', () => {
+  it('continues through the spring-forward night in Berlin', () => {
+    // Noon every day from March 29 to April 2, 2024; summer time starts on March 31
+    const noon = [
+      Date.UTC(2024, 2, 29, 11),
+      Date.UTC(2024, 2, 30, 11),
+      Date.UTC(2024, 2, 31, 10),
+      Date.UTC(2024, 3, 1, 10),
+      Date.UTC(2024, 3, 2, 10)
+    ];
+    const stats = timeStats(createPeriod({ type: 'quarter', year: 2024, quarter: 1, timeZone: 'Europe/Berlin' }),
+      [Date.UTC(2024, 2, 20, 11), ...noon]);
+
+    assert.deepEqual(stats.longestStreak, { days: 5, startDate: '2024-03-29', endDate: '2024-04-02' });
+    assert.equal(stats.hourlyActivity[12], 6);
+    assert.equal(calendarDay(stats, '2024-03-31').inStreak, true);
+    assert.equal(calendarDay(stats, '2024-03-20').inStreak, false);
+  });
+
+  it('keeps late evenings on their own day through the fall-back night in New York', () => {
+    // 23:30 every day from November 1 to 5, 2024; standard time starts on November 3
+    const lateEvenings = [
+      Date.UTC(2024, 10, 2, 3, 30),
+      Date.UTC(2024, 10, 3, 3, 30),
+      Date.UTC(2024, 10, 4, 4, 30),
+      Date.UTC(2024, 10, 5, 4, 30),
+      Date.UTC(2024, 10, 6, 4, 30)
+    ];
+    const stats = timeStats(createPeriod({ type: 'quarter', year: 2024, quarter: 4, timeZone: 'America/New_York' }), lateEvenings);
+
+    assert.deepEqual(stats.longestStreak, { days: 5, startDate: '2024-11-01', endDate: '2024-11-05' });
+    assert.equal(stats.hourlyActivity[23], 5);
+    for (const date of ['2024-11-01', '2024-11-02', '2024-11-03', '2024-11-04', '2024-11-05']) {
+      assert.equal(calendarDay(stats, date).total, 1, date);
+    }
+  });
+
+  it('breaks on a missed day even when the gap is 23 hours of local time', () => {
+    // 23:30 on March 9 and 00:30 on March 11 in New York, around the spring-forward night
+    const stats = timeStats(createPeriod({ type: 'quarter', year: 2024, quarter: 1, timeZone: 'America/New_York' }),
+      [Date.UTC(2024, 2, 10, 4, 30), Date.UTC(2024, 2, 11, 4, 30)]);
+
+    assert.equal(stats.longestStreak.days, 1);
+  });
+});
+
+describe('weekly buckets in the southern hemisphere', () => {
+  it('splits weeks at local midnight after summer time starts in Sydney', () => {
+    // Q4 2024 starts on Tuesday, October 1; summer time starts on October 6
+    const period = createPeriod({ type: 'quarter', year: 2024, quarter: 4, timeZone: 'Australia/Sydney' });
+    const stats = timeStats(period, [
+      Date.UTC(2024, 9, 6, 13, 30), // 00:30 on October 7, the last day of week one
+      Date.UTC(2024, 9, 7, 13, 30) // 00:30 on October 8, the first day of week two
+    ]);
+
+    const { granularity, buckets } = stats.activityTimeline;
+    assert.equal(granularity, 'week');
+    assert.deepEqual(buckets.slice(0, 2).map(bucket => [bucket.startDate, bucket.value]), [['2024-10-01', 1], ['2024-10-08', 1]]);
+    assert.equal(stats.hourlyActivity[0], 2);
+    assert.equal(calendarDay(stats, '2024-10-07').total, 1);
+    assert.equal(calendarDay(stats, '2024-10-08').total, 1);
+  });
+});
+
+describe('monthly hours across the turn of the year', () => {
+  it('keeps the same month of two years apart in a fiscal year', () => {
+    // FY2024/25 runs from July 2024 to June 2025
+    const period = createPeriod({ type: 'fiscal-year', year: 2024, fiscalStartMonth: 7 });
+    const data = dataset(period, []);
+    data.workItems = [
+      ['2024-07-15', 90],
+      ['2025-03-10', 60],
+      ['2025-07-01', 600] // after the period
+    ].map(([date, minutes], index) => ({
+      id: `3-${index}`,
+      date: Date.parse(date),
+      duration: { minutes },
+      type: { name: 'Development' },
+      issue: { idReadable: 'WR-1', project: { name: 'Wrapped', shortName: 'WR' } }
+    }));
+
+    const { monthlyHours } = new StatisticsCalculator(data).calculateAll().timeTrackingStats;
+
+    assert.deepEqual(Object.keys(monthlyHours), [
+      '2024-07', '2024-08', '2024-09', '2024-10', '2024-11', '2024-12',
+      '2025-01', '2025-02', '2025-03', '2025-04', '2025-05', '2025-06'
+    ]);
+    assert.equal(monthlyHours['2024-07'], 1.5);
+    assert.equal(monthlyHours['2025-03'], 1);
+    assert.equal(monthlyHours['2025-06'], 0);
+    assert.equal(monthlyHours['2025-07'], undefined);
+  });
+});
+
+describe('comparison with the previous period', () => {
+  it('reuses this period\'s statistics and calculates the previous one with the same options', () => {
+    const period = createPeriod({ type: 'quarter', year: 2024, quarter: 2, timeZone: 'Europe/Berlin' });
+    const previousPeriod = createPeriod({ type: 'quarter', year: 2024, quarter: 1, timeZone: 'Europe/Berlin' });
+    const achievements = new AchievementRegistry();
+    const breakdownFields = ['Type', 'Team'];
+    const projectStats = mock.method(StatisticsCalculator.prototype, 'calculateProjectStats');
+
+    try {
+      const calculator = new StatisticsCalculator(dataset(period, [Date.UTC(2024, 3, 2, 10), Date.UTC(2024, 3, 3, 10)]), {
+        previousData: dataset(previousPeriod, [Date.UTC(2024, 0, 10, 10)]),
+        achievements,
+        breakdownFields
+      });
+      const { comparison } = calculator.calculateAll();
+
+      assert.equal(comparison.period.label, 'Q1 2024');
+      assert.deepEqual(comparison.summary.totalIssuesCreated, { current: 2, previous: 1, delta: 1, percent: 100 });
+      assert.deepEqual(comparison.streak, { current: 2, previous: 1, delta: 1, percent: 100 });
+
+      const calculators = projectStats.mock.calls.map(call => call.this);
+      assert.equal(calculators.filter(each => each === calculator).length, 1);
+      const [previous] = calculators.filter(each => each !== calculator);
+      assert.equal(previous.achievements, achievements);
+      assert.equal(previous.breakdownFields, breakdownFields);
+    } finally {
+      projectStats.mock.restore();
+    }
+  });
+});
+
+describe('calculateAll', () => {
+  it('calculates each section once, fun facts included', () => {
+    const period = createPeriod({ type: 'year', year: 2024, timeZone: 'UTC' });
+    const sections = ['calculateSummary', 'calculateTimeStats', 'calculateActivityStats', 'calculateFieldBreakdowns', 'calculateCommentStats'];
+    const mocks = sections.map(name => mock.method(StatisticsCalculator.prototype, name));
+
+    try {
+      const { funFacts } = new StatisticsCalculator(dataset(period, [Date.UTC(2024, 4, 1, 10), Date.UTC(2024, 4, 2, 10)])).calculateAll();
+
+      assert.ok(funFacts.some(fact => fact.text === '2-day activity streak!'));
+      for (const [index, name] of sections.entries()) {
+        assert.equal(mocks[index].mock.callCount(), 1, name);
+      }
+    } finally {
+      mocks.forEach(each => each.mock.restore());
+    }
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Calendar arithmetic around daylight saving changes and the turn of the year,
+ * in both hemispheres
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { addDays, isValidTimeZone, startOfZonedDay, timeZoneOffset, zonedParts } from '../services/timeZone.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Length of a calendar day in a time zone, in hours
+ */
+function dayLength(dateKey, timeZone) {
+  return (startOfZonedDay(addDays(dateKey, 1), timeZone) - startOfZonedDay(dateKey, timeZone)) / HOUR_MS;
+}
+
+describe('zonedParts', () => {
+  it('puts 23:30 on December 31 in New York in the old year', () => {
+    // 04:30 UTC on January 1 is 23:30 the evening before at UTC-5
+    const parts = zonedParts(Date.UTC(2025, 0, 1, 4, 30), 'America/New_York');
+    assert.deepEqual(parts, {
+      year: 2024, month: 12, day: 31, hour: 23, minute: 30, second: 0, weekday: 2, dateKey: '2024-12-31'
+    });
+    assert.equal(zonedParts(Date.UTC(2025, 0, 1, 4, 30), 'UTC').dateKey, '2025-01-01');
+  });
+
+  it('puts 23:30 on December 31 in Auckland in the old year, during southern summer time', () => {
+    // New Zealand is at UTC+13 in December
+    const parts = zonedParts(Date.UTC(2024, 11, 31, 10, 30), 'Pacific/Auckland');
+    assert.equal(parts.dateKey, '2024-12-31');
+    assert.equal(parts.hour, 23);
+    assert.equal(zonedParts(Date.UTC(2024, 11, 31, 11, 30), 'Pacific/Auckland').dateKey, '2025-01-01');
+  });
+
+  it('skips the missing hour when Berlin springs forward', () => {
+    // 2024-03-31: 02:00 CET becomes 03:00 CEST
+    assert.equal(zonedParts(Date.UTC(2024, 2, 31, 0, 59), 'Europe/Berlin').hour, 1);
+    assert.equal(zonedParts(Date.UTC(2024, 2, 31, 1, 0), 'Europe/Berlin').hour, 3);
+  });
+
+  it('reads the repeated hour twice when New York falls back', () => {
+    // 2024-11-03: 02:00 EDT becomes 01:00 EST, so 01:30 happens twice
+    const first = zonedParts(Date.UTC(2024, 10, 3, 5, 30), 'America/New_York');
+    const second = zonedParts(Date.UTC(2024, 10, 3, 6, 30), 'America/New_York');
+    assert.equal(first.hour, 1);
+    assert.equal(second.hour, 1);
+    assert.equal(first.dateKey, '2024-11-03');
+    assert.equal(second.dateKey, '2024-11-03');
+  });
+});
+
+describe('timeZoneOffset', () => {
+  it('follows summer time in the southern hemisphere', () => {
+    assert.equal(timeZoneOffset(Date.UTC(2024, 0, 15), 'Australia/Sydney'), 11 * HOUR_MS);
+    assert.equal(timeZoneOffset(Date.UTC(2024, 6, 15), 'Australia/Sydney'), 10 * HOUR_MS);
+  });
+
+  it('follows summer time in the northern hemisphere', () => {
+    assert.equal(timeZoneOffset(Date.UTC(2024, 0, 15), 'America/New_York'), -5 * HOUR_MS);
+    assert.equal(timeZoneOffset(Date.UTC(2024, 6, 15), 'America/New_York'), -4 * HOUR_MS);
+    assert.equal(timeZoneOffset(Date.UTC(2024, 6, 15), 'UTC'), 0);
+  });
+});
+
+describe('startOfZonedDay', () => {
+  const transitions = [
+    // [time zone, day, its start in UTC, hours in the day]
+    ['Europe/Berlin', '2024-03-31', Date.UTC(2024, 2, 30, 23), 23],
+    ['Europe/Berlin', '2024-10-27', Date.UTC(2024, 9, 26, 22), 25],
+    ['America/New_York', '2024-03-10', Date.UTC(2024, 2, 10, 5), 23],
+    ['America/New_York', '2024-11-03', Date.UTC(2024, 10, 3, 4), 25],
+    ['Australia/Sydney', '2024-10-06', Date.UTC(2024, 9, 5, 14), 23],
+    ['Australia/Sydney', '2024-04-07', Date.UTC(2024, 3, 6, 13), 25]
+  ];
+
+  for (const [timeZone, dateKey, start, hours] of transitions) {
+    it(`starts ${dateKey} in ${timeZone} at local midnight, ${hours} hours long`, () => {
+      assert.equal(startOfZonedDay(dateKey, timeZone), start);
+      assert.equal(dayLength(dateKey, timeZone), hours);
+      assert.equal(zonedParts(start, timeZone).dateKey, dateKey);
+      assert.equal(zonedParts(start - 1, timeZone).dateKey, addDays(dateKey, -1));
+    });
+  }
+
+  it('starts the day at the transition when summer time skips midnight', () => {
+    // Santiago moves from 00:00 (UTC-4) straight to 01:00 (UTC-3) on 2024-09-08
+    const start = startOfZonedDay('2024-09-08', 'America/Santiago');
+    assert.equal(start, Date.UTC(2024, 8, 8, 4));
+    assert.equal(zonedParts(start, 'America/Santiago').hour, 1);
+    assert.equal(zonedParts(start - 1, 'America/Santiago').dateKey, '2024-09-07');
+  });
+
+  it('starts January 1 at local midnight across the year boundary', () => {
+    assert.equal(startOfZonedDay('2025-01-01', 'America/New_York'), Date.UTC(2025, 0, 1, 5));
+    assert.equal(startOfZonedDay('2025-01-01', 'Pacific/Auckland'), Date.UTC(2024, 11, 31, 11));
+  });
+});
+
+describe('addDays', () => {
+  it('crosses month, year and leap day boundaries', () => {
+    assert.equal(addDays('2024-12-31', 1), '2025-01-01');
+    assert.equal(addDays('2025-01-01', -1), '2024-12-31');
+    assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+    assert.equal(addDays('2024-03-30', 2), '2024-04-01');
+  });
+});
+
+describe('isValidTimeZone', () => {
+  it('knows IANA names and nothing else', () => {
+    assert.equal(isValidTimeZone('Australia/Sydney'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+    assert.equal(isValidTimeZone(''), false);
+  });
+});